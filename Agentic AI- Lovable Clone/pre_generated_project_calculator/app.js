@@ -1,95 +1,130 @@
-// app.js - Calculator logic implementation
+// app.js - Calculator display binding
+
+// Headless engine (parser.js, numeric.js, scientific.js, programmer.js and engine.js must load first in the browser)
+const CalcEngine = typeof require === 'function' ? require('./engine.js') : window.CalcEngine;
+// Locale-aware display formatting (format.js)
+const CalcFormat = typeof require === 'function' ? require('./format.js') : window.CalcFormat;
 
 /**
- * Calculator class encapsulating state and operations.
+ * Calculator class binding a CalculatorEngine to a display element. All
+ * arithmetic and state transitions live in the engine; this class only
+ * forwards input and mirrors the engine's display text.
  */
 class Calculator {
   /**
    * @param {HTMLInputElement} displayElement - The input element used as the display.
+   * @param {Object} [options] - Number backend selection, see CalcNumeric.createBackend.
+   * @param {'float'|'decimal'} [options.numeric='float'] - IEEE doubles or exact decimals.
+   * @param {number} [options.precision] - Decimal mode: fraction digits kept per operation.
+   * @param {string} [options.rounding] - Decimal mode: 'half-up', 'half-even' or 'truncate'.
+   * @param {string} [options.locale] - Display locale, e.g. 'de-DE'; defaults to the runtime locale.
+   * @param {number} [options.maxDigits=12] - Digits shown before switching to engineering notation.
+   * @param {HTMLElement} [expressionElement] - Optional upper display line for the pending expression.
    */
-  constructor(displayElement) {
+  constructor(displayElement, options = {}, expressionElement = null) {
     this.displayEl = displayElement; // reference to #display input
-    this.currentInput = '';
-    this.lastOperator = null;
-    this.result = null;
-    this.updateDisplay('');
+    this.expressionEl = expressionElement; // reference to #expression line, if any
+    this.engine = new CalcEngine.CalculatorEngine(options);
+    this.formatter = CalcFormat.createDisplayFormatter({ locale: options.locale, maxDigits: options.maxDigits });
+    this.engine.on('change', (state) => this.render(state));
+    this.render(this.engine.getState());
+  }
+
+  /** Number backend in use; changes when switching to or from programmer mode. */
+  get numeric() {
+    return this.engine.numeric;
+  }
+
+  /** Operand currently being typed ('' when none). */
+  get currentInput() {
+    return this.engine.state.entry;
   }
 
-  /** Append a digit or decimal point to the current input and update display. */
+  /** Pending operator, or null. */
+  get lastOperator() {
+    return this.engine.state.operator;
+  }
+
+  /** Running result in the backend's number representation, or null. */
+  get result() {
+    return this.engine.state.accumulator;
+  }
+
+  /** Append a digit or decimal point to the current input. */
   appendDigit(digit) {
-    // Prevent multiple decimal points
-    if (digit === '.' && this.currentInput.includes('.')) return;
-    this.currentInput += digit;
-    this.updateDisplay(this.currentInput);
+    this.engine.dispatch({ type: 'digit', value: digit });
   }
 
-  /** Store an operator, compute intermediate result if needed. */
+  /** Store an operator, first applying pending operations that bind at least as tightly. */
   setOperator(op) {
-    // If there is a pending input, incorporate it into the result first
-    if (this.currentInput !== '') {
-      const value = parseFloat(this.currentInput);
-      if (this.result === null) {
-        this.result = value;
-      } else if (this.lastOperator) {
-        this.result = this._perform(this.lastOperator, this.result, value);
-      }
-    }
-    // Prepare for next number
-    this.lastOperator = op;
-    this.currentInput = '';
-    // Show the current result (or 0 if not yet set)
-    this.updateDisplay(this.result !== null ? String(this.result) : '');
+    this.engine.dispatch({ type: 'operator', value: op });
   }
 
-  /** Perform the pending calculation and display the result. */
+  /** Perform the pending calculation (repeats the last one on repeated '='). */
   calculate() {
-    if (this.lastOperator === null) {
-      // Nothing to calculate – just show current input if any
-      if (this.currentInput !== '') {
-        this.updateDisplay(this.currentInput);
-      }
-      return;
-    }
-    const right = this.currentInput !== '' ? parseFloat(this.currentInput) : this.result;
-    const left = this.result !== null ? this.result : 0;
-    const computed = this._perform(this.lastOperator, left, right);
-    this.result = computed;
-    this.currentInput = '';
-    this.lastOperator = null;
-    this.updateDisplay(String(this.result));
+    this.engine.dispatch({ type: 'equals' });
+  }
+
+  /**
+   * Evaluate a typed expression with operator precedence, unary minus and
+   * parentheses, e.g. `(1.5 + 2) * -3 / 4`. The result becomes the running
+   * result so further operators chain from it.
+   * @param {string} expression
+   * @returns {*} the result in this calculator's number representation
+   * @throws {ExpressionParser.ParseError} for malformed input (with `position`)
+   */
+  evaluate(expression) {
+    return this.engine.evaluate(expression);
   }
 
   /** Reset all state and clear the display. */
   clear() {
-    this.currentInput = '';
-    this.lastOperator = null;
-    this.result = null;
-    this.updateDisplay('');
-  }
-
-  /** Helper to update the display element's value. */
-  updateDisplay(value) {
-    this.displayEl.value = value;
-  }
-
-  /** Internal method to execute a binary operation. */
-  _perform(operator, left, right) {
-    switch (operator) {
-      case '+':
-        return left + right;
-      case '-':
-        return left - right;
-      case '*':
-        return left * right;
-      case '/':
-        if (right === 0) {
-          throw new Error('Division by zero');
-        }
-        return left / right;
-      default:
-        return right; // fallback
+    this.engine.dispatch({ type: 'clear' });
+  }
+
+  /** Delete the last typed character (⌫). */
+  backspace() {
+    this.engine.dispatch({ type: 'backspace' });
+  }
+
+  /** Clear the current operand only (CE). */
+  clearEntry() {
+    this.engine.dispatch({ type: 'clearEntry' });
+  }
+
+  /** Toggle the sign of the current operand (±). */
+  toggleSign() {
+    this.engine.dispatch({ type: 'negate' });
+  }
+
+  /** Apply percentage semantics to the current operand (%). */
+  percent() {
+    this.engine.dispatch({ type: 'percent' });
+  }
+
+  /** Mirror an engine state snapshot onto the display. */
+  render(state) {
+    // Hex and binary digits are shown exactly as the engine writes them
+    const raw = state.mode === 'programmer';
+    this.updateDisplay(state.display, { typing: state.entry !== '' && !state.overwrite, raw });
+    if (this.expressionEl) {
+      this.expressionEl.textContent = raw ? state.expression : this.formatter.formatExpression(state.expression);
+    }
+    if (this.displayEl.classList) {
+      this.displayEl.classList.toggle('error', state.error !== null);
     }
   }
+
+  /**
+   * Helper to update the display element's value, formatted for the locale.
+   * @param {string} value - plain number text from the engine, or an error message
+   * @param {Object} [options]
+   * @param {boolean} [options.typing=false] - keep every typed digit and a trailing separator
+   * @param {boolean} [options.raw=false] - show `value` unformatted
+   */
+  updateDisplay(value, { typing = false, raw = false } = {}) {
+    this.displayEl.value = raw ? value : this.formatter.format(value, { typing });
+  }
 }
 
 // Export for testing / module environments
@@ -98,69 +133,3 @@ if (typeof module !== 'undefined' && typeof module.exports !== 'undefined') {
 } else {
   window.Calculator = Calculator;
 }
-
-/**
- * DOMContentLoaded initialization – instantiate calculator and bind UI events.
- */
-window.addEventListener('DOMContentLoaded', () => {
-  const displayEl = document.getElementById('display');
-  const calc = new Calculator(displayEl);
-
-  // Button click handling using event delegation on .buttons container
-  const buttonsContainer = document.querySelector('.buttons');
-  if (buttonsContainer) {
-    buttonsContainer.addEventListener('click', (e) => {
-      const target = e.target;
-      if (!(target instanceof HTMLElement)) return;
-      const type = target.getAttribute('data-type');
-      if (type === 'digit') {
-        const val = target.getAttribute('data-value');
-        calc.appendDigit(val);
-      } else if (type === 'operator') {
-        const op = target.getAttribute('data-operator');
-        calc.setOperator(op);
-      } else if (target.id === 'clear') {
-        calc.clear();
-      } else if (target.id === 'equals') {
-        try {
-          calc.calculate();
-        } catch (err) {
-          calc.updateDisplay('Error');
-        }
-      }
-    });
-  }
-
-  // Keyboard support
-  window.addEventListener('keydown', (e) => {
-    const key = e.key;
-    // Digits and decimal point
-    if (/^[0-9]$/.test(key) || key === '.') {
-      e.preventDefault();
-      calc.appendDigit(key);
-      return;
-    }
-    // Operators
-    if (['+', '-', '*', '/'].includes(key)) {
-      e.preventDefault();
-      calc.setOperator(key);
-      return;
-    }
-    // Enter / = for calculation
-    if (key === 'Enter' || key === '=') {
-      e.preventDefault();
-      try {
-        calc.calculate();
-      } catch (err) {
-        calc.updateDisplay('Error');
-      }
-      return;
-    }
-    // Escape or Backspace for clear
-    if (key === 'Escape' || key === 'Backspace') {
-      e.preventDefault();
-      calc.clear();
-      return;
-    }
-  });
-});
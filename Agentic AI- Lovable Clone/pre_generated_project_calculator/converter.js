@@ -0,0 +1,261 @@
+// converter.js - Unit and currency conversion
+// --------------------------------------------------
+// Converts between units of length, mass, temperature, volume, data size and
+// time, plus currencies from a locally stored, user-editable rate table (no
+// network access). Arithmetic goes through a number backend from numeric.js,
+// so decimal mode keeps exact conversion factors exact.
+// No DOM access, so it runs in Node as well.
+// Wrapped in IIFE to avoid polluting global scope.
+// --------------------------------------------------
+(() => {
+  /**
+   * Units per category. A value converts to the category's base unit as
+   * (value + offset) × factor; factors may be written as fractions ('5/9').
+   * @type {Object<string, {label: string, units: Object<string, {label: string, factor: string, offset?: string}>}>}
+   */
+  const CATEGORIES = {
+    length: {
+      label: 'Length',
+      units: {
+        m: { label: 'Metres', factor: '1' },
+        km: { label: 'Kilometres', factor: '1000' },
+        cm: { label: 'Centimetres', factor: '0.01' },
+        mm: { label: 'Millimetres', factor: '0.001' },
+        mi: { label: 'Miles', factor: '1609.344' },
+        yd: { label: 'Yards', factor: '0.9144' },
+        ft: { label: 'Feet', factor: '0.3048' },
+        in: { label: 'Inches', factor: '0.0254' },
+        nmi: { label: 'Nautical miles', factor: '1852' },
+      },
+    },
+    mass: {
+      label: 'Mass',
+      units: {
+        kg: { label: 'Kilograms', factor: '1' },
+        g: { label: 'Grams', factor: '0.001' },
+        mg: { label: 'Milligrams', factor: '0.000001' },
+        t: { label: 'Tonnes', factor: '1000' },
+        lb: { label: 'Pounds', factor: '0.45359237' },
+        oz: { label: 'Ounces', factor: '0.028349523125' },
+        st: { label: 'Stones', factor: '6.35029318' },
+      },
+    },
+    temperature: {
+      label: 'Temperature',
+      units: {
+        K: { label: 'Kelvin', factor: '1' },
+        C: { label: 'Celsius', factor: '1', offset: '273.15' },
+        F: { label: 'Fahrenheit', factor: '5/9', offset: '459.67' },
+      },
+    },
+    volume: {
+      label: 'Volume',
+      units: {
+        L: { label: 'Litres', factor: '1' },
+        mL: { label: 'Millilitres', factor: '0.001' },
+        m3: { label: 'Cubic metres', factor: '1000' },
+        gal: { label: 'US gallons', factor: '3.785411784' },
+        qt: { label: 'US quarts', factor: '0.946352946' },
+        pt: { label: 'US pints', factor: '0.473176473' },
+        cup: { label: 'US cups', factor: '0.2365882365' },
+        floz: { label: 'US fluid ounces', factor: '0.0295735295625' },
+        impgal: { label: 'Imperial gallons', factor: '4.54609' },
+      },
+    },
+    data: {
+      label: 'Data size',
+      units: {
+        B: { label: 'Bytes', factor: '1' },
+        bit: { label: 'Bits', factor: '1/8' },
+        kB: { label: 'Kilobytes (1000)', factor: '1000' },
+        KiB: { label: 'Kibibytes (1024)', factor: '1024' },
+        MB: { label: 'Megabytes', factor: '1000000' },
+        MiB: { label: 'Mebibytes', factor: '1048576' },
+        GB: { label: 'Gigabytes', factor: '1000000000' },
+        GiB: { label: 'Gibibytes', factor: '1073741824' },
+        TB: { label: 'Terabytes', factor: '1000000000000' },
+        TiB: { label: 'Tebibytes', factor: '1099511627776' },
+      },
+    },
+    time: {
+      label: 'Time',
+      units: {
+        s: { label: 'Seconds', factor: '1' },
+        ms: { label: 'Milliseconds', factor: '0.001' },
+        min: { label: 'Minutes', factor: '60' },
+        h: { label: 'Hours', factor: '3600' },
+        d: { label: 'Days', factor: '86400' },
+        wk: { label: 'Weeks', factor: '604800' },
+        yr: { label: 'Years (365.25 days)', factor: '31557600' },
+      },
+    },
+  };
+
+  /** Placeholder rates per 1 USD; users are expected to edit them. */
+  const DEFAULT_RATES = { USD: '1', EUR: '0.92', GBP: '0.79', JPY: '150', INR: '83' };
+  const DEFAULT_RATES_KEY = 'calcCurrencyRates';
+  const CURRENCY_CODE = /^[A-Z]{3}$/;
+
+  /**
+   * User-editable currency rates, each the amount of that currency worth one
+   * unit of a common reference currency. Persisted through any Storage-like
+   * object, like CalculationHistory.
+   */
+  class CurrencyRates {
+    /**
+     * @param {Object} [options]
+     * @param {Storage} [options.storage] - object with getItem/setItem; omit to keep rates in memory only
+     * @param {string} [options.key='calcCurrencyRates'] - storage key
+     */
+    constructor({ storage = null, key = DEFAULT_RATES_KEY } = {}) {
+      this.storage = storage;
+      this.key = key;
+      /** @type {Object<string, string>} rate text by ISO 4217 code */
+      this.rates = { ...DEFAULT_RATES };
+      this.load();
+    }
+
+    /** @returns {string[]} currency codes in alphabetical order */
+    codes() {
+      return Object.keys(this.rates).sort();
+    }
+
+    /**
+     * Add or update a currency.
+     * @param {string} code - three-letter code, e.g. 'CHF'
+     * @param {string|number} rate - positive amount per reference unit
+     */
+    set(code, rate) {
+      const normalized = String(code).trim().toUpperCase();
+      if (!CURRENCY_CODE.test(normalized)) throw new Error(`Invalid currency code '${code}'`);
+      const text = String(rate).trim();
+      if (!/^(\d+\.?\d*|\.\d+)$/.test(text) || !(parseFloat(text) > 0)) {
+        throw new Error(`Invalid rate '${rate}'`);
+      }
+      this.rates[normalized] = text;
+      this.save();
+    }
+
+    /** @param {string} code */
+    remove(code) {
+      delete this.rates[code];
+      this.save();
+    }
+
+    /** Restore the placeholder table. */
+    reset() {
+      this.rates = { ...DEFAULT_RATES };
+      this.save();
+    }
+
+    /** Read rates from storage, keeping the current table on bad data. */
+    load() {
+      if (!this.storage) return;
+      const data = this.storage.getItem(this.key);
+      if (!data) return;
+      try {
+        const parsed = JSON.parse(data);
+        if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+          throw new Error('Rates are not an object');
+        }
+        const rates = {};
+        Object.keys(parsed).forEach((code) => {
+          const rate = String(parsed[code]);
+          if (CURRENCY_CODE.test(code) && parseFloat(rate) > 0) rates[code] = rate;
+        });
+        this.rates = rates;
+      } catch (e) {
+        console.error('Error parsing currency rates from storage', e);
+      }
+    }
+
+    /** Write rates to storage. */
+    save() {
+      if (!this.storage) return;
+      try {
+        this.storage.setItem(this.key, JSON.stringify(this.rates));
+      } catch (e) {
+        console.error('Error saving currency rates', e);
+      }
+    }
+  }
+
+  /**
+   * Bind conversions to a number backend.
+   * @param {Object} numeric - backend from CalcNumeric.createBackend
+   * @param {Object} [options]
+   * @param {CurrencyRates} [options.currency] - rate table for the 'currency' category
+   * @returns {{categories: Function, units: Function, convert: Function}}
+   */
+  function createConverter(numeric, { currency = new CurrencyRates() } = {}) {
+    const zero = numeric.parse('0');
+
+    /** Multiply by a factor such as '0.3048' or '5/9', numerator first. */
+    function scale(value, factor, invert = false) {
+      const [num, den = '1'] = factor.split('/');
+      const [times, over] = invert ? [den, num] : [num, den];
+      return numeric.divide(numeric.multiply(value, numeric.parse(times)), numeric.parse(over));
+    }
+
+    function unitOf(category, unit) {
+      const info = CATEGORIES[category];
+      if (!info) throw new Error(`Unknown category '${category}'`);
+      if (!info.units[unit]) throw new Error(`Unknown unit '${unit}'`);
+      return info.units[unit];
+    }
+
+    /** @returns {Array<{id: string, label: string}>} every category, currency last */
+    function categories() {
+      return [
+        ...Object.keys(CATEGORIES).map((id) => ({ id, label: CATEGORIES[id].label })),
+        { id: 'currency', label: 'Currency' },
+      ];
+    }
+
+    /**
+     * @param {string} category
+     * @returns {Array<{id: string, label: string}>}
+     */
+    function units(category) {
+      if (category === 'currency') return currency.codes().map((code) => ({ id: code, label: code }));
+      const info = CATEGORIES[category];
+      if (!info) throw new Error(`Unknown category '${category}'`);
+      return Object.keys(info.units).map((id) => ({ id, label: info.units[id].label }));
+    }
+
+    /**
+     * Convert a backend value between two units of a category.
+     * @param {*} value - backend value
+     * @param {string} category - e.g. 'length' or 'currency'
+     * @param {string} from - unit id, e.g. 'mi'
+     * @param {string} to - unit id, e.g. 'km'
+     * @returns {*} backend value
+     */
+    function convert(value, category, from, to) {
+      if (category === 'currency') {
+        const rateFrom = currency.rates[from];
+        const rateTo = currency.rates[to];
+        if (!rateFrom) throw new Error(`Unknown currency '${from}'`);
+        if (!rateTo) throw new Error(`Unknown currency '${to}'`);
+        return numeric.divide(numeric.multiply(value, numeric.parse(rateTo)), numeric.parse(rateFrom));
+      }
+      const source = unitOf(category, from);
+      const target = unitOf(category, to);
+      if (from === to) return value;
+      const base = scale(numeric.add(value, source.offset ? numeric.parse(source.offset) : zero), source.factor);
+      const result = scale(base, target.factor, true);
+      return target.offset ? numeric.subtract(result, numeric.parse(target.offset)) : result;
+    }
+
+    return { categories, units, convert };
+  }
+
+  const CalcConverter = { CATEGORIES, DEFAULT_RATES, CurrencyRates, createConverter };
+
+  // Export for testing / module environments
+  if (typeof module !== 'undefined' && typeof module.exports !== 'undefined') {
+    module.exports = CalcConverter;
+  } else {
+    window.CalcConverter = CalcConverter;
+  }
+})();
@@ -0,0 +1,863 @@
+// engine.js - Headless calculator state machine
+// --------------------------------------------------
+// DOM-free core shared by every front end (buttons, keyboard, tests). Input is
+// fed in as actions through `dispatch`, and listeners receive immutable state
+// snapshots, so behavior is identical in Node and in the browser.
+// Wrapped in IIFE to avoid polluting global scope.
+// --------------------------------------------------
+(() => {
+  const ExpressionParser = typeof require === 'function' ? require('./parser.js') : window.ExpressionParser;
+  const CalcNumeric = typeof require === 'function' ? require('./numeric.js') : window.CalcNumeric;
+  const CalcScientific = typeof require === 'function' ? require('./scientific.js') : window.CalcScientific;
+  const CalcProgrammer = typeof require === 'function' ? require('./programmer.js') : window.CalcProgrammer;
+
+  const OPERATORS = ['+', '-', '*', '/', '^'];
+  // Programmer mode only: AND, OR, XOR, shift left, shift right
+  const BITWISE_OPERATORS = ['&', '|', 'xor', '<<', '>>'];
+  const ALL_OPERATORS = [...OPERATORS, ...BITWISE_OPERATORS];
+  const { ANGLE_MODES, FUNCTION_NAMES, CONSTANT_NAMES } = CalcScientific;
+  const { BASES, WORD_SIZES } = CalcProgrammer;
+  const MODES = ['standard', 'programmer'];
+
+  // Glyphs used when writing operators into expression text (the parser accepts the arithmetic ones)
+  const OPERATOR_SYMBOLS = {
+    '+': '+',
+    '-': '−',
+    '*': '×',
+    '/': '÷',
+    '^': '^',
+    '&': 'AND',
+    '|': 'OR',
+    xor: 'XOR',
+    '<<': '<<',
+    '>>': '>>',
+  };
+  // Bitwise operators bind loosest, in the same order as C
+  const OPERATOR_PRECEDENCE = {
+    '|': 1,
+    xor: 2,
+    '&': 3,
+    '<<': 4,
+    '>>': 4,
+    '+': 5,
+    '-': 5,
+    '*': 6,
+    '/': 6,
+    '^': 7,
+  };
+  // Whether `previous` is applied before `next` (null: the end of the calculation); '^' is right-associative
+  const bindsBefore = (previous, next) =>
+    next === null ||
+    OPERATOR_PRECEDENCE[previous] > OPERATOR_PRECEDENCE[next] ||
+    (OPERATOR_PRECEDENCE[previous] === OPERATOR_PRECEDENCE[next] && next !== '^');
+
+  // Whole-word numbers in hex/dec/oct/bin text; 'AND' or 'NOT(' never match
+  const PROGRAMMER_NUMBER = /(?<![\w])[0-9A-F]+(?![\w])/gi;
+
+  // '(-3) ^ 2' keeps its meaning when the expression is parsed again; '-3 ^ 2' would not
+  const parenthesizeNegative = (text) => (text.startsWith('-') ? `(${text})` : text);
+
+  /**
+   * Expression text for a function applied to an operand, e.g. 'sin(30)', '√9', '5!'.
+   * @param {string} name
+   * @param {string} operand
+   */
+  function functionLabel(name, operand) {
+    const simple = /^[\d.]+$/.test(operand);
+    if (name === 'sqrt') return simple ? `√${operand}` : `√(${operand})`;
+    if (name === 'fact') return simple ? `${operand}!` : `(${operand})!`;
+    return `${name}(${operand})`;
+  }
+
+  /**
+   * Actions accepted by CalculatorEngine#dispatch:
+   *   { type: 'digit', value: '0'-'9' | 'A'-'F' | '.' } – A–F only in hex, no '.' in programmer mode
+   *   { type: 'operator', value: '+' | '-' | '*' | '/' | '^' }
+   *   { type: 'operator', value: '&' | '|' | 'xor' | '<<' | '>>' } – programmer mode only
+   *   { type: 'not' }               – programmer mode: bitwise NOT of the current operand
+   *   { type: 'function', value: 'sin' | 'asin' | 'ln' | 'sqrt' | 'fact' | ... }
+   *                                 – applies to the current operand at once
+   *   { type: 'constant', value: 'pi' | 'e' }
+   *   { type: 'angleMode', value?: 'deg' | 'rad' | 'grad' } – cycles when value is omitted
+   *   { type: 'mode', value: 'standard' | 'programmer' } – switch number system, keeping the
+   *                                 current value (truncated to an integer in programmer mode)
+   *   { type: 'base', value: 16 | 10 | 8 | 2 }   – programmer mode: convert input and display
+   *   { type: 'wordSize', value: 8 | 16 | 32 | 64 } – programmer mode: wrap values to the new width
+   *   { type: 'signed', value?: boolean } – programmer mode: two's complement or unsigned;
+   *                                 toggles when value is omitted
+   *   { type: 'memory', op: 'add' | 'subtract' | 'store' | 'recall' | 'clear', slot?: string }
+   *                                 – M+, M−, MS, MR, MC on a named slot (default 'M')
+   *   { type: 'value', value: '12.5' } – replace the current operand with a number
+   *   { type: 'percent' }           – 200 + 10% → 200 + 20; 50 × 10% → 50 × 0.1
+   *   { type: 'negate' }            – ± on the current operand
+   *   { type: 'backspace' }         – delete the last typed character
+   *   { type: 'clearEntry' }        – CE: reset the current operand only
+   *   { type: 'equals' }
+   *   { type: 'clear' }             – C: reset the whole calculation
+   *
+   * Events emitted (subscribe with CalculatorEngine#on):
+   *   'change' (state)                      – after every action that alters state
+   *   'result' (value, state, expression)   – when '=' or evaluate() produces a value;
+   *                                           `expression` is the calculation as text
+   *   'error'  (message, state)             – when an operation fails (e.g. division by zero)
+   *                                           or an action is invalid
+   *
+   * State snapshot fields:
+   *   entry        {string}      operand being typed, '' when none
+   *   accumulator  {*|null}      left operand of the pending operator, reduced as far as precedence
+   *                              allows ('2 + 3 ×' holds 3, '2 × 3 +' holds 6), or the last result
+   *   operator     {string|null} pending binary operator
+   *   pending      {{value: *, operator: string}[]} operands entered so far, each with the operator
+   *                              that followed it; '=' evaluates them with precedence
+   *   lastOperation {{operator: string, operand: *}|null} replayed by repeated '='
+   *   tape         {string[]}    operands and operator glyphs entered so far, as text
+   *   label        {string|null} text for an operand produced by a function, e.g. 'sin(30)'
+   *   lastExpression {string|null} the calculation just completed by '='
+   *   overwrite    {boolean}     next digit starts a fresh entry
+   *   error        {string|null} error message while in the error state
+   *   angleMode    {string}      'deg', 'rad' or 'grad' (kept across clears)
+   *   mode         {string}      'standard' or 'programmer' (kept across clears)
+   *   base, wordSize, signed     programmer-mode number format (kept across clears)
+   *   conversions  {Object|null} programmer mode: current value as text by base, e.g. { 16: 'FF', 2: '11111111' }
+   *   memory       {Object}      backend values by slot name (kept across clears)
+   *   expression   {string}      pending expression for the upper display line, e.g. '12 + 7 ×'
+   *   display      {string}      text the UI should show for the current operand
+   */
+  class CalculatorEngine {
+    /**
+     * @param {Object} [options] - number backend options, see CalcNumeric.createBackend
+     */
+    constructor(options = {}) {
+      this.options = options;
+      this.numeric = CalcNumeric.createBackend(options);
+      this.scientific = CalcScientific.createScientific(this.numeric);
+      this.listeners = {};
+      this.state = this._initialState();
+      // Preferences and memory registers survive clears and errors
+      this.settings = {
+        angleMode: options.angleMode || 'deg',
+        mode: 'standard',
+        base: 10,
+        wordSize: 64,
+        signed: true,
+      };
+      this.memory = {};
+    }
+
+    // --------------------------------------------------
+    // Event API
+    // --------------------------------------------------
+    /**
+     * Subscribe to an engine event.
+     * @param {'change'|'result'|'error'} event
+     * @param {Function} listener
+     * @returns {Function} unsubscribe callback
+     */
+    on(event, listener) {
+      (this.listeners[event] = this.listeners[event] || []).push(listener);
+      return () => {
+        this.listeners[event] = this.listeners[event].filter((l) => l !== listener);
+      };
+    }
+
+    /** @returns {Object} frozen snapshot of the current state */
+    getState() {
+      return Object.freeze({
+        ...this.state,
+        pending: Object.freeze([...this.state.pending]),
+        tape: Object.freeze([...this.state.tape]),
+        ...this.settings,
+        memory: Object.freeze({ ...this.memory }),
+        expression: this._expressionLine(),
+        display: this._display(),
+        conversions: this._conversions(),
+      });
+    }
+
+    /**
+     * Apply an action and notify listeners. An invalid action puts the engine
+     * in the error state and emits 'error' instead of throwing.
+     * @param {{type: string, value?: string}} action
+     * @returns {Object} the new state snapshot
+     */
+    dispatch(action) {
+      try {
+        switch (action.type) {
+          case 'digit':
+            this._inputDigit(action.value);
+            break;
+          case 'operator':
+            this._inputOperator(action.value);
+            break;
+          case 'function':
+            this._applyFunction(action.value);
+            break;
+          case 'constant':
+            this._inputConstant(action.value);
+            break;
+          case 'angleMode':
+            this._setAngleMode(action.value);
+            break;
+          case 'not':
+            this._not();
+            break;
+          case 'mode':
+            this._setMode(action.value);
+            break;
+          case 'base':
+            this._configureProgrammer({ base: action.value });
+            break;
+          case 'wordSize':
+            this._configureProgrammer({ wordSize: action.value });
+            break;
+          case 'signed':
+            this._configureProgrammer({ signed: action.value === undefined ? !this.settings.signed : action.value });
+            break;
+          case 'memory':
+            this._memory(action.op, action.slot);
+            break;
+          case 'value':
+            this._inputValue(action.value);
+            break;
+          case 'percent':
+            this._percent();
+            break;
+          case 'negate':
+            this._negate();
+            break;
+          case 'backspace':
+            this._backspace();
+            break;
+          case 'clearEntry':
+            this._clearEntry();
+            break;
+          case 'equals':
+            this._equals();
+            break;
+          case 'clear':
+            this.state = this._initialState();
+            break;
+          default:
+            throw new Error(`Unknown action type '${action.type}'`);
+        }
+      } catch (err) {
+        // A malformed action (e.g. a bitwise operator outside programmer mode)
+        // is reported like any other failure rather than thrown at the UI
+        this._fail(err);
+      }
+      const snapshot = this.getState();
+      this._emit('change', snapshot);
+      return snapshot;
+    }
+
+    /**
+     * Evaluate a typed expression with precedence and parentheses; the value
+     * becomes the accumulator so further operators chain from it.
+     * @param {string} expression
+     * @returns {*} the result in the backend's representation
+     * @throws {ExpressionParser.ParseError} for malformed input (with `position`)
+     */
+    evaluate(expression) {
+      if (this._isProgrammer()) throw new Error('Typed expressions are not available in programmer mode');
+      const ast = ExpressionParser.parse(expression, { functions: FUNCTION_NAMES, constants: CONSTANT_NAMES });
+      const value = ExpressionParser.evaluate(ast, {
+        number: (text) => this.numeric.parse(text),
+        unary: (operator, operand) => (operator === '-' ? this.numeric.negate(operand) : operand),
+        binary: (operator, left, right) => this._perform(operator, left, right),
+        call: (name, argument) => this.scientific.call(name, argument, this.settings.angleMode),
+        constant: (name) => this.scientific.constant(name),
+      });
+      this.state = {
+        ...this._initialState(),
+        accumulator: value,
+        overwrite: true,
+        lastExpression: expression.trim(),
+      };
+      const snapshot = this.getState();
+      this._emit('result', value, snapshot, expression.trim());
+      this._emit('change', snapshot);
+      return value;
+    }
+
+    // --------------------------------------------------
+    // Transitions
+    // --------------------------------------------------
+    _initialState() {
+      return {
+        entry: '',
+        accumulator: null,
+        operator: null,
+        pending: [],
+        lastOperation: null,
+        tape: [],
+        label: null,
+        lastExpression: null,
+        overwrite: false,
+        error: null,
+      };
+    }
+
+    /** Prepare to show a new operand (constant, memory recall, injected value). */
+    _startOperand() {
+      if (this.state.error) this.state = this._initialState();
+      const s = this.state;
+      if (s.overwrite && s.operator === null) {
+        // After '=' a new operand starts a new calculation
+        s.accumulator = null;
+        s.tape = [];
+        s.lastExpression = null;
+      }
+    }
+
+    /** Text for the current operand as it should appear in the expression. */
+    _operandText() {
+      const s = this.state;
+      if (s.label !== null) return s.label;
+      const text = s.entry !== '' ? s.entry : this.numeric.format(s.accumulator !== null ? s.accumulator : this.numeric.parse('0'));
+      return parenthesizeNegative(text);
+    }
+
+    _inputDigit(digit) {
+      if (!/^[0-9A-F.]$/i.test(digit)) throw new Error(`Invalid digit '${digit}'`);
+      digit = digit.toUpperCase();
+      if (this._isProgrammer()) {
+        // Integers only, and only the digits of the current base
+        if (digit === '.' || parseInt(digit, 16) >= this.settings.base) return;
+      } else if (!/^[0-9.]$/.test(digit)) {
+        throw new Error(`Invalid digit '${digit}'`);
+      }
+      if (this.state.error) this.state = this._initialState();
+      const s = this.state;
+      if (s.overwrite) {
+        // Typing after '=' starts a new calculation
+        if (s.operator === null) {
+          s.accumulator = null;
+          s.tape = [];
+          s.lastExpression = null;
+        }
+        s.entry = '';
+        s.label = null;
+        s.overwrite = false;
+        s.lastOperation = null;
+      }
+      let entry;
+      if (digit === '.') {
+        if (s.entry.includes('.')) return; // prevent multiple dots
+        entry = s.entry === '' ? '0.' : `${s.entry}.`;
+      } else if (s.entry === '0' || s.entry === '-0') {
+        entry = s.entry.slice(0, -1) + digit; // no leading zeros
+      } else {
+        entry = s.entry + digit;
+      }
+      // A digit that would overflow the programmer word is refused
+      if (this._isProgrammer() && !this.numeric.accepts(entry)) return;
+      s.entry = entry;
+    }
+
+    _inputOperator(op) {
+      if (!ALL_OPERATORS.includes(op)) throw new Error(`Invalid operator '${op}'`);
+      if (BITWISE_OPERATORS.includes(op) && !this._isProgrammer()) {
+        throw new Error(`Operator '${op}' is only available in programmer mode`);
+      }
+      const s = this.state;
+      if (s.error) return;
+      if (s.entry !== '') {
+        s.pending = [...s.pending, { value: this.numeric.parse(s.entry), operator: op }];
+        s.tape.push(this._operandText(), OPERATOR_SYMBOLS[op]);
+      } else if (s.operator !== null) {
+        // Pressing a second operator just replaces the pending one
+        s.pending = [...s.pending.slice(0, -1), { ...s.pending[s.pending.length - 1], operator: op }];
+        s.tape[s.tape.length - 1] = OPERATOR_SYMBOLS[op];
+      } else {
+        if (s.accumulator === null) s.accumulator = this.numeric.parse('0');
+        s.pending = [{ value: s.accumulator, operator: op }];
+        s.tape = [this._operandText(), OPERATOR_SYMBOLS[op]];
+      }
+      // Show what can be worked out already: 2 × 3 + shows 6, 2 + 3 × shows 3
+      if (!this._apply(s.pending)) return;
+      s.operator = op;
+      s.entry = '';
+      s.label = null;
+      s.lastExpression = null;
+      s.overwrite = true;
+      s.lastOperation = null;
+    }
+
+    /** Replace the current operand with f(operand), e.g. 30 sin → 0.5. */
+    _applyFunction(name) {
+      if (!FUNCTION_NAMES.includes(name)) throw new Error(`Invalid function '${name}'`);
+      const s = this.state;
+      if (s.error || this._isProgrammer()) return;
+      let operand = s.accumulator !== null ? s.accumulator : this.numeric.parse('0');
+      if (s.entry !== '') operand = this.numeric.parse(s.entry);
+      const label = functionLabel(name, this._operandText());
+      try {
+        this._setEntryValue(this.scientific.call(name, operand, this.settings.angleMode), label);
+      } catch (err) {
+        this._fail(err);
+      }
+    }
+
+    _inputConstant(name) {
+      if (!CONSTANT_NAMES.includes(name)) throw new Error(`Invalid constant '${name}'`);
+      if (this._isProgrammer()) return;
+      this._startOperand();
+      this._setEntryValue(this.scientific.constant(name), name === 'pi' ? 'π' : name);
+    }
+
+    /** Replace the current operand with its bitwise complement, e.g. NOT(0F). */
+    _not() {
+      const s = this.state;
+      if (s.error || !this._isProgrammer()) return;
+      let operand = s.accumulator !== null ? s.accumulator : this.numeric.parse('0');
+      if (s.entry !== '') operand = this.numeric.parse(s.entry);
+      this._setEntryValue(this.numeric.not(operand), `NOT(${this._operandText()})`);
+    }
+
+    _inputValue(text) {
+      const value = this.numeric.parse(text); // throws for malformed numbers
+      this._startOperand();
+      this._setEntryValue(value);
+    }
+
+    /**
+     * Memory register operations. Values are taken from (and recalled into)
+     * the current operand.
+     * @param {'add'|'subtract'|'store'|'recall'|'clear'} op
+     * @param {string} [slot='M']
+     */
+    _memory(op, slot = 'M') {
+      if (op === 'clear') {
+        delete this.memory[slot];
+        return;
+      }
+      if (op === 'recall') {
+        this._startOperand();
+        const stored = this.memory[slot];
+        this._setEntryValue(stored !== undefined ? stored : this.numeric.parse('0'));
+        return;
+      }
+      const s = this.state;
+      if (s.error) return;
+      let value = s.accumulator !== null ? s.accumulator : this.numeric.parse('0');
+      if (s.entry !== '') value = this.numeric.parse(s.entry);
+      const current = this.memory[slot] !== undefined ? this.memory[slot] : this.numeric.parse('0');
+      switch (op) {
+        case 'add':
+          this.memory[slot] = this.numeric.add(current, value);
+          break;
+        case 'subtract':
+          this.memory[slot] = this.numeric.subtract(current, value);
+          break;
+        case 'store':
+          this.memory[slot] = value;
+          break;
+        default:
+          throw new Error(`Invalid memory operation '${op}'`);
+      }
+      // The next digit starts a fresh number, as on a desk calculator
+      s.overwrite = true;
+    }
+
+    _setAngleMode(mode) {
+      if (mode === undefined) {
+        mode = ANGLE_MODES[(ANGLE_MODES.indexOf(this.settings.angleMode) + 1) % ANGLE_MODES.length];
+      }
+      if (!ANGLE_MODES.includes(mode)) throw new Error(`Invalid angle mode '${mode}'`);
+      this.settings.angleMode = mode;
+    }
+
+    _isProgrammer() {
+      return this.settings.mode === 'programmer';
+    }
+
+    /**
+     * Switch between the standard number backend and programmer integers.
+     * The shown value carries over; the pending calculation does not, since
+     * its operators may not exist in the other mode.
+     */
+    _setMode(mode) {
+      if (!MODES.includes(mode)) throw new Error(`Invalid mode '${mode}'`);
+      if (mode === this.settings.mode) return;
+      const s = this.state;
+      const current = s.error ? null : s.entry !== '' ? this.numeric.parse(s.entry) : s.accumulator;
+      this.settings.mode = mode;
+      const convert = this._switchBackend();
+      this.state = this._initialState();
+      if (current !== null) {
+        this.state.accumulator = convert(current);
+        this.state.overwrite = true;
+      }
+    }
+
+    /**
+     * Change the programmer base, word size or signedness. Values wrap to the
+     * new word, and numbers already typed are rewritten in the new base.
+     * @param {{base?: number, wordSize?: number, signed?: boolean}} changes
+     */
+    _configureProgrammer(changes) {
+      if (changes.base !== undefined && !BASES.includes(changes.base)) {
+        throw new Error(`Invalid base '${changes.base}'`);
+      }
+      if (changes.wordSize !== undefined && !WORD_SIZES.includes(changes.wordSize)) {
+        throw new Error(`Invalid word size '${changes.wordSize}'`);
+      }
+      Object.assign(this.settings, changes);
+      if (!this._isProgrammer()) return; // applied on the next switch to programmer mode
+      const previous = this.numeric;
+      const convert = this._switchBackend();
+      const s = this.state;
+      if (s.error) return;
+      const rewrite = (text) => text.replace(PROGRAMMER_NUMBER, (digits) => this.numeric.format(convert(previous.parse(digits))));
+      if (s.entry !== '') {
+        s.entry = this.numeric.format(convert(previous.parse(s.entry)));
+      }
+      s.tape = s.tape.map(rewrite);
+      if (s.label !== null) s.label = rewrite(s.label);
+      if (s.lastExpression !== null) s.lastExpression = rewrite(s.lastExpression);
+    }
+
+    /**
+     * Replace the number backend to match the settings and carry every stored
+     * value (accumulator, repeat operand, memory) across.
+     * @returns {Function} converter from old backend values to new ones
+     */
+    _switchBackend() {
+      const from = this.numeric;
+      const to = this._isProgrammer()
+        ? CalcProgrammer.createProgrammerBackend(this.settings)
+        : CalcNumeric.createBackend(this.options);
+      // Base-10 text is the common ground between backends
+      const convert = (value) => {
+        const text = from.toDecimalString ? from.toDecimalString(value) : from.format(value);
+        return to.fromDecimalString ? to.fromDecimalString(text) : to.parse(text);
+      };
+      const s = this.state;
+      if (s.accumulator !== null) s.accumulator = convert(s.accumulator);
+      s.pending = s.pending.map((operand) => ({ ...operand, value: convert(operand.value) }));
+      if (s.lastOperation) s.lastOperation = { ...s.lastOperation, operand: convert(s.lastOperation.operand) };
+      Object.keys(this.memory).forEach((slot) => {
+        this.memory[slot] = convert(this.memory[slot]);
+      });
+      this.numeric = to;
+      this.scientific = CalcScientific.createScientific(to);
+      return convert;
+    }
+
+    /**
+     * Show a computed value as the current operand; typing replaces it.
+     * @param {*} value - backend value
+     * @param {string|null} [label] - how the operand appears in the expression
+     */
+    _setEntryValue(value, label = null) {
+      const s = this.state;
+      s.entry = this.numeric.format(value);
+      s.label = label;
+      s.overwrite = true;
+      s.lastOperation = null;
+    }
+
+    /**
+     * Percentage of the current operand. After + or − it is taken of the
+     * running total (200 + 10% → 200 + 20); otherwise it is operand / 100.
+     */
+    _percent() {
+      const s = this.state;
+      if (s.error || this._isProgrammer()) return;
+      let value = s.accumulator !== null ? s.accumulator : this.numeric.parse('0');
+      if (s.entry !== '') value = this.numeric.parse(s.entry);
+      const fraction = this.numeric.divide(value, this.numeric.parse('100'));
+      const additive = (s.operator === '+' || s.operator === '-') && s.accumulator !== null;
+      this._setEntryValue(additive ? this.numeric.multiply(s.accumulator, fraction) : fraction);
+    }
+
+    /** Toggle the sign of the current operand (±). */
+    _negate() {
+      const s = this.state;
+      if (s.error) return;
+      if (s.entry === '') {
+        if (s.operator === null && s.accumulator !== null) {
+          // ± on a result turns it into a new operand
+          this._setEntryValue(this.numeric.negate(s.accumulator));
+        } else {
+          // Start typing a negative number
+          s.entry = '-0';
+          s.overwrite = false;
+          s.label = null;
+        }
+        return;
+      }
+      if (this._isProgrammer() && this.settings.base !== 10) {
+        // Hex, octal and binary show the raw bits, so ± gives the two's complement
+        s.entry = this.numeric.format(this.numeric.negate(this.numeric.parse(s.entry)));
+      } else {
+        s.entry = s.entry.startsWith('-') ? s.entry.slice(1) : `-${s.entry}`;
+      }
+      if (s.label !== null) {
+        const negated = /^\(-(.*)\)$/.exec(s.label);
+        s.label = negated ? negated[1] : `(-${s.label})`;
+      }
+    }
+
+    /** Delete the last typed character; computed values cannot be edited. */
+    _backspace() {
+      const s = this.state;
+      if (s.error) {
+        this.state = this._initialState();
+        return;
+      }
+      if (s.overwrite || s.entry === '') return;
+      const entry = s.entry.slice(0, -1);
+      s.entry = entry === '' || entry === '-' ? '0' : entry;
+    }
+
+    /** CE: clear the current operand but keep the pending calculation. */
+    _clearEntry() {
+      const s = this.state;
+      if (s.error || s.operator === null) {
+        this.state = this._initialState();
+        return;
+      }
+      s.entry = '0';
+      s.label = null;
+      s.overwrite = false;
+    }
+
+    _equals() {
+      const s = this.state;
+      if (s.error) return;
+      let operation;
+      let operands;
+      let expression;
+      if (s.operator !== null) {
+        // '5 + =' uses the accumulator as the right operand
+        const operand = s.entry !== '' ? this.numeric.parse(s.entry) : s.accumulator;
+        operation = { operator: s.operator, operand };
+        operands = [...s.pending, { value: operand, operator: null }];
+        expression = [...s.tape, this._operandText()].join(' ');
+      } else if (s.lastOperation && s.entry === '') {
+        operation = s.lastOperation; // repeated '=' replays the last operation
+        operands = [
+          { value: s.accumulator, operator: operation.operator },
+          { value: operation.operand, operator: null },
+        ];
+        expression = [
+          parenthesizeNegative(this.numeric.format(s.accumulator)),
+          OPERATOR_SYMBOLS[operation.operator],
+          parenthesizeNegative(this.numeric.format(operation.operand)),
+        ].join(' ');
+      } else {
+        if (s.entry !== '') s.accumulator = this.numeric.parse(s.entry);
+        s.entry = '';
+        s.overwrite = true;
+        return;
+      }
+      if (!this._apply(operands)) return;
+      s.operator = null;
+      s.pending = [];
+      s.entry = '';
+      s.label = null;
+      s.tape = [];
+      s.lastExpression = expression;
+      s.overwrite = true;
+      s.lastOperation = operation;
+      this._emit('result', s.accumulator, this.getState(), expression);
+    }
+
+    /**
+     * Evaluate `operands` with operator precedence and store the result in the
+     * accumulator, or enter the error state. While the last operator is still
+     * pending, only what binds at least as tightly is applied, and the result
+     * is that operator's left operand.
+     * @param {{value: *, operator: string|null}[]} operands - each operand with
+     *   the operator after it; null after the last operand of a full calculation
+     * @returns {boolean} whether the operations succeeded
+     */
+    _apply(operands) {
+      const values = [];
+      const operators = [];
+      try {
+        operands.forEach(({ value, operator }) => {
+          values.push(value);
+          while (operators.length && bindsBefore(operators[operators.length - 1], operator)) {
+            const right = values.pop();
+            values.push(this._perform(operators.pop(), values.pop(), right));
+          }
+          if (operator !== null) operators.push(operator);
+        });
+      } catch (err) {
+        this._fail(err);
+        return false;
+      }
+      this.state.accumulator = values[values.length - 1];
+      return true;
+    }
+
+    /** Enter the error state with the message of `err`. */
+    _fail(err) {
+      this.state = { ...this._initialState(), error: `Error: ${err.message}` };
+      this._emit('error', this.state.error, this.getState());
+    }
+
+    /** Execute a binary operation through the number backend. */
+    _perform(operator, left, right) {
+      switch (operator) {
+        case '+':
+          return this.numeric.add(left, right);
+        case '-':
+          return this.numeric.subtract(left, right);
+        case '*':
+          return this.numeric.multiply(left, right);
+        case '/':
+          // Backend throws Error('Division by zero')
+          return this.numeric.divide(left, right);
+        case '^':
+          return this.scientific.power(left, right);
+        case '&':
+          return this.numeric.and(left, right);
+        case '|':
+          return this.numeric.or(left, right);
+        case 'xor':
+          return this.numeric.xor(left, right);
+        case '<<':
+          return this.numeric.shiftLeft(left, right);
+        case '>>':
+          return this.numeric.shiftRight(left, right);
+        default:
+          throw new Error(`Unknown operator '${operator}'`);
+      }
+    }
+
+    _expressionLine() {
+      const s = this.state;
+      if (s.error) return '';
+      const parts = s.label !== null ? [...s.tape, s.label] : s.tape;
+      if (parts.length) return parts.join(' ');
+      return s.lastExpression ? `${s.lastExpression} =` : '';
+    }
+
+    _display() {
+      const s = this.state;
+      if (s.error) return s.error;
+      if (s.entry !== '') return s.entry;
+      if (s.accumulator !== null) return this.numeric.format(s.accumulator);
+      return '0';
+    }
+
+    /** Programmer mode: the current value written in every base. */
+    _conversions() {
+      const s = this.state;
+      if (!this._isProgrammer() || s.error) return null;
+      let value = s.accumulator !== null ? s.accumulator : this.numeric.parse('0');
+      if (s.entry !== '') value = this.numeric.parse(s.entry);
+      const conversions = {};
+      BASES.forEach((base) => {
+        conversions[base] = this.numeric.formatIn(value, base);
+      });
+      return conversions;
+    }
+
+    _emit(event, ...args) {
+      (this.listeners[event] || []).forEach((listener) => listener(...args));
+    }
+  }
+
+  // --------------------------------------------------
+  // Input mapping shared by the button UI and keyboard handler
+  // --------------------------------------------------
+  /**
+   * Translate a button's data-value into an engine action. Hex digit buttons
+   * use lowercase 'a'-'f' so they cannot clash with C (clear) or e (Euler).
+   * @param {string} value
+   * @param {Object} [context]
+   * @param {string} [context.mode] - engine mode from the current state
+   * @param {string} [context.decimalSeparator] - locale decimal separator, e.g. ',', accepted for '.'
+   * @returns {Object|null}
+   */
+  function actionForButton(value, context = {}) {
+    if (context.mode === 'programmer' && /^[a-f]$/.test(value)) return { type: 'digit', value: value.toUpperCase() };
+    if (context.decimalSeparator && value === context.decimalSeparator) return { type: 'digit', value: '.' };
+    if (value === 'C') return { type: 'clear' };
+    if (value === 'CE') return { type: 'clearEntry' };
+    if (value === '⌫') return { type: 'backspace' };
+    if (value === '%') return { type: 'percent' };
+    if (value === '±') return { type: 'negate' };
+    if (value === '=') return { type: 'equals' };
+    if (value === 'angle') return { type: 'angleMode' };
+    if (value === 'not') return { type: 'not' };
+    if (MEMORY_BUTTONS[value]) return { type: 'memory', op: MEMORY_BUTTONS[value] };
+    if (OPERATORS.includes(value)) return { type: 'operator', value };
+    if (context.mode === 'programmer' && BITWISE_OPERATORS.includes(value)) return { type: 'operator', value };
+    if (FUNCTION_NAMES.includes(value)) return { type: 'function', value };
+    if (CONSTANT_NAMES.includes(value)) return { type: 'constant', value };
+    if (/^[0-9.]$/.test(value)) return { type: 'digit', value };
+    return null;
+  }
+
+  /** Memory key labels and the register operation each performs. */
+  const MEMORY_BUTTONS = { MC: 'clear', MR: 'recall', 'M+': 'add', 'M-': 'subtract', MS: 'store' };
+
+  /** Single-key shortcuts for the scientific functions (Shift gives the inverse). */
+  const SCIENTIFIC_KEYS = {
+    s: 'sin',
+    c: 'cos',
+    t: 'tan',
+    S: 'asin',
+    C: 'acos',
+    T: 'atan',
+    l: 'ln',
+    L: 'log',
+    r: 'sqrt',
+    '!': 'fact',
+  };
+
+  /** Programmer-mode keys: A–F type digits, ^ is XOR as on most programmer calculators. */
+  const PROGRAMMER_KEYS = {
+    '&': { type: 'operator', value: '&' },
+    '|': { type: 'operator', value: '|' },
+    '^': { type: 'operator', value: 'xor' },
+    '<': { type: 'operator', value: '<<' },
+    '>': { type: 'operator', value: '>>' },
+    '~': { type: 'not' },
+  };
+
+  /**
+   * Translate a KeyboardEvent.key into an engine action.
+   * @param {string} key
+   * @param {Object} [context] - see actionForButton
+   * @returns {Object|null}
+   */
+  function actionForKey(key, context = {}) {
+    if (context.mode === 'programmer') {
+      if (/^[a-f]$/i.test(key)) return { type: 'digit', value: key.toUpperCase() };
+      if (PROGRAMMER_KEYS[key]) return { ...PROGRAMMER_KEYS[key] };
+    }
+    if (key === 'Enter') return { type: 'equals' };
+    if (key === 'Escape') return { type: 'clear' };
+    if (key === 'Delete') return { type: 'clearEntry' };
+    if (key === 'Backspace') return { type: 'backspace' };
+    if (key === 'F9') return { type: 'negate' };
+    if (SCIENTIFIC_KEYS[key]) return { type: 'function', value: SCIENTIFIC_KEYS[key] };
+    if (key === 'p') return { type: 'constant', value: 'pi' };
+    if (key === 'e') return { type: 'constant', value: 'e' };
+    if (key === 'd') return { type: 'angleMode' };
+    return actionForButton(key, context);
+  }
+
+  const CalcEngine = {
+    CalculatorEngine,
+    OPERATORS,
+    BITWISE_OPERATORS,
+    SCIENTIFIC_KEYS,
+    PROGRAMMER_KEYS,
+    actionForButton,
+    actionForKey,
+  };
+
+  // Export for testing / module environments
+  if (typeof module !== 'undefined' && typeof module.exports !== 'undefined') {
+    module.exports = CalcEngine;
+  } else {
+    window.CalcEngine = CalcEngine;
+  }
+})();
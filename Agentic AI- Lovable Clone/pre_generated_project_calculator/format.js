@@ -0,0 +1,148 @@
+// format.js - Locale-aware number display
+// --------------------------------------------------
+// Turns the engine's plain number text ('-1234.5', '1e+21') into what the
+// display shows for a locale: digit grouping, the locale's decimal separator,
+// a cap on displayed digits and engineering notation beyond it. Works on the
+// text rather than on doubles, so exact decimal results keep every digit.
+// No DOM access, so it runs in Node as well.
+// Wrapped in IIFE to avoid polluting global scope.
+// --------------------------------------------------
+(() => {
+  const DEFAULT_MAX_DIGITS = 12;
+  const PLAIN_NUMBER = /^(-?)(\d*)(?:(\.)(\d*))?(?:e([+-]?\d+))?$/i;
+  // Numbers inside expression text, but not digits that belong to a name such as 'log10'
+  const EXPRESSION_NUMBER = /(?<![\w.])\d+(?:\.\d*)?(?:e[+-]?\d+)?/gi;
+
+  /**
+   * Round a digit string to `count` digits, half up.
+   * @returns {{digits: string, carry: boolean}} `carry` when rounding added a digit (999 → 1000)
+   */
+  function roundDigits(digits, count) {
+    if (digits.length <= count) return { digits, carry: false };
+    let kept = digits.slice(0, count);
+    if (digits[count] >= '5') {
+      const incremented = (BigInt(kept || '0') + 1n).toString().padStart(kept.length, '0');
+      if (incremented.length > kept.length) return { digits: incremented.slice(0, count), carry: true };
+      kept = incremented;
+    }
+    return { digits: kept, carry: false };
+  }
+
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.locale] - BCP 47 tag such as 'de-DE'; defaults to the runtime locale
+   * @param {number} [options.maxDigits=12] - most digits a result may show before engineering notation
+   * @returns {{locale: string, decimalSeparator: string, groupSeparator: string, maxDigits: number, format: Function, formatExpression: Function, parse: Function}}
+   */
+  function createDisplayFormatter({ locale, maxDigits = DEFAULT_MAX_DIGITS } = {}) {
+    // Latin digits everywhere, so grouped integers match the fraction digits we append
+    const integerFormat = new Intl.NumberFormat(locale, { numberingSystem: 'latn', useGrouping: true });
+    const parts = new Intl.NumberFormat(locale).formatToParts(12345.6);
+    const find = (type, fallback) => (parts.find((p) => p.type === type) || { value: fallback }).value;
+    const decimalSeparator = find('decimal', '.');
+    const groupSeparator = find('group', ',');
+
+    /** Grouped integer digits, e.g. '1234567' → '1.234.567' in de-DE. */
+    const group = (digits) => integerFormat.format(BigInt(digits || '0'));
+
+    function fixed(sign, integer, fraction, point) {
+      return sign + group(integer) + (point ? decimalSeparator + fraction : '');
+    }
+
+    /** Significant digits × 10^(exponent) written with an exponent that is a multiple of 3. */
+    function engineering(sign, significant, pointPosition) {
+      const { digits, carry } = roundDigits(significant, maxDigits);
+      const magnitude = pointPosition - 1 + (carry ? 1 : 0); // power of ten of the first digit
+      const exponent = Math.floor(magnitude / 3) * 3;
+      const integerLength = magnitude - exponent + 1; // 1 to 3 digits before the point
+      const padded = digits.padEnd(integerLength, '0');
+      const fraction = padded.slice(integerLength).replace(/0+$/, '');
+      return `${sign}${padded.slice(0, integerLength)}${fraction ? decimalSeparator + fraction : ''}e${exponent}`;
+    }
+
+    /**
+     * Split significant digits into fixed-notation integer and fraction parts
+     * within maxDigits, or return null when engineering notation is needed.
+     * @param {string} significant - digits without leading or trailing zeros
+     * @param {number} pointPosition - digits before the decimal point (≤ 0 for values below 0.1)
+     */
+    function fixedParts(significant, pointPosition) {
+      if (pointPosition > maxDigits) return null;
+      // Below 1 the leading '0' and the zeros after the point use up room
+      const room = pointPosition > 0 ? maxDigits : maxDigits - 1 + pointPosition;
+      if (pointPosition <= 0 && room < Math.ceil(maxDigits / 2)) return null;
+      const { digits, carry } = roundDigits(significant, room);
+      if (carry) return fixedParts(digits, pointPosition + 1);
+      if (pointPosition <= 0) {
+        return { integer: '0', fraction: ('0'.repeat(-pointPosition) + digits).replace(/0+$/, '') };
+      }
+      return {
+        integer: digits.slice(0, pointPosition).padEnd(pointPosition, '0'),
+        fraction: digits.slice(pointPosition).replace(/0+$/, ''),
+      };
+    }
+
+    /**
+     * Format the engine's display text. Anything that is not a plain decimal
+     * number (error messages, hex digits) is returned unchanged.
+     * @param {string} text - e.g. '1234.5', '-0.', '1e+21'
+     * @param {Object} [options]
+     * @param {boolean} [options.typing=false] - the user is still typing: keep every digit and a trailing separator
+     * @returns {string}
+     */
+    function format(text, { typing = false } = {}) {
+      const match = PLAIN_NUMBER.exec(String(text));
+      if (!match || (match[2] === '' && !match[4])) return String(text);
+      const [, sign, integer, point, fraction = '', exponent] = match;
+      if (typing && !exponent) return fixed(sign, integer, fraction, point);
+
+      const all = integer + fraction;
+      const significant = all.replace(/^0+/, '').replace(/0+$/, '');
+      if (significant === '') return '0';
+      const leadingZeros = all.length - all.replace(/^0+/, '').length;
+      const pointPosition = integer.length - leadingZeros + (exponent ? parseInt(exponent, 10) : 0);
+      const parts = fixedParts(significant, pointPosition);
+      if (!parts) return engineering(sign, significant, pointPosition);
+      return fixed(sign, parts.integer, parts.fraction, parts.fraction !== '');
+    }
+
+    /**
+     * Format every number inside expression text such as '1234.5 × (-2)'.
+     * Numbers are shown as written, only grouped and with the locale separator.
+     * @param {string} text
+     */
+    function formatExpression(text) {
+      return String(text).replace(EXPRESSION_NUMBER, (number) => format(number, { typing: true }));
+    }
+
+    /**
+     * Turn a number typed in this locale back into plain text for a number
+     * backend, e.g. '1.234,5' → '1234.5' in de-DE. Group separators and spaces
+     * are dropped; anything else is left for the backend to reject.
+     * @param {string} text
+     * @returns {string}
+     */
+    function parse(text) {
+      return String(text).replace(/\s/g, '').split(groupSeparator).join('').replace(decimalSeparator, '.');
+    }
+
+    return {
+      locale: integerFormat.resolvedOptions().locale,
+      decimalSeparator,
+      groupSeparator,
+      maxDigits,
+      format,
+      formatExpression,
+      parse,
+    };
+  }
+
+  const CalcFormat = { DEFAULT_MAX_DIGITS, createDisplayFormatter };
+
+  // Export for testing / module environments
+  if (typeof module !== 'undefined' && typeof module.exports !== 'undefined') {
+    module.exports = CalcFormat;
+  } else {
+    window.CalcFormat = CalcFormat;
+  }
+})();
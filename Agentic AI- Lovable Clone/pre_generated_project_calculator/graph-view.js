@@ -0,0 +1,313 @@
+// graph-view.js - Canvas rendering for the graphing view
+// --------------------------------------------------
+// Draws grid, axes, curves and marked points on a <canvas> and handles
+// panning (drag, arrow keys), zooming (wheel, pinch, +/- keys) and the trace
+// cursor. The maths lives in graph.js.
+// Wrapped in IIFE to avoid polluting global scope.
+// --------------------------------------------------
+(() => {
+  const CalcGraph = typeof require === 'function' ? require('./graph.js') : window.CalcGraph;
+
+  const ZOOM_STEP = 1.25;
+  const PAN_STEP = 40; // pixels per arrow key press
+  const TRACE_STEP = 5; // pixels per Shift+arrow key press
+
+  /**
+   * Tick label for a grid line, with only the decimals the step needs.
+   * @param {number} value
+   * @param {number} step
+   */
+  function tickLabel(value, step) {
+    const decimals = Math.max(0, -Math.floor(Math.log10(step)));
+    return String(Number(value.toFixed(Math.min(decimals, 20))));
+  }
+
+  class GraphView {
+    /**
+     * @param {HTMLCanvasElement} canvas
+     * @param {Object} [options]
+     * @param {function(Array<{label: string, color: string, x: number, y: number}>|null)} [options.onTrace] -
+     *   called with the curve values under the trace cursor, or null when it leaves the plot
+     * @param {function()} [options.onViewChange] - called after every pan or zoom
+     */
+    constructor(canvas, { onTrace = null, onViewChange = null } = {}) {
+      this.canvas = canvas;
+      this.ctx = canvas.getContext('2d');
+      this.onTrace = onTrace;
+      this.onViewChange = onViewChange;
+      this.view = CalcGraph.createView();
+      /** @type {Array<{fn: function(number): number, color: string, label: string}>} */
+      this.curves = [];
+      /** @type {Array<{x: number, y: number}>} */
+      this.markers = [];
+      this.traceX = null; // CSS pixel column of the trace cursor
+      this.width = 0;
+      this.height = 0;
+      this.pointers = new Map(); // active pointers for drag and pinch
+      this._bindEvents();
+      this.resize();
+    }
+
+    /** @param {Array<{fn: function(number): number, color: string, label: string}>} curves */
+    setCurves(curves) {
+      this.curves = curves;
+      this.markers = [];
+      this.draw();
+      this._reportTrace();
+    }
+
+    /** @param {Array<{x: number, y: number}>} points - highlighted, e.g. roots */
+    setMarkers(points) {
+      this.markers = points;
+      this.draw();
+    }
+
+    /** @returns {{xMin: number, xMax: number, yMin: number, yMax: number}} */
+    range() {
+      return CalcGraph.visibleRange(this.view, this.width, this.height);
+    }
+
+    /** Back to the default view centred on the origin. */
+    reset() {
+      this._setView(CalcGraph.createView());
+    }
+
+    /**
+     * @param {number} factor - > 1 zooms in
+     * @param {number} [px] - CSS pixel to zoom around; defaults to the centre
+     * @param {number} [py]
+     */
+    zoom(factor, px, py) {
+      this._setView(CalcGraph.zoomView(this.view, factor, this.width, this.height, px, py));
+    }
+
+    /** Move by a screen distance in CSS pixels. */
+    pan(dx, dy) {
+      this._setView(CalcGraph.panView(this.view, dx, dy));
+    }
+
+    /** Match the backing store to the element's size and pixel ratio. */
+    resize() {
+      const ratio = window.devicePixelRatio || 1;
+      this.width = this.canvas.clientWidth || this.canvas.width;
+      this.height = this.canvas.clientHeight || this.canvas.height;
+      this.canvas.width = Math.round(this.width * ratio);
+      this.canvas.height = Math.round(this.height * ratio);
+      this.ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+      this.draw();
+    }
+
+    draw() {
+      const { ctx, width, height } = this;
+      if (!width || !height) return;
+      // Theme colours come from CSS so dark and high-contrast themes apply
+      const style = window.getComputedStyle(this.canvas);
+      ctx.clearRect(0, 0, width, height);
+      this._drawGrid(style.getPropertyValue('--graph-grid').trim() || '#dddddd', style.color);
+      this.curves.forEach((curve) => this._drawCurve(curve));
+      this._drawMarkers(style.color);
+      this._drawTrace(style.color);
+    }
+
+    _setView(view) {
+      this.view = view;
+      this.markers = [];
+      this.draw();
+      this._reportTrace();
+      if (this.onViewChange) this.onViewChange();
+    }
+
+    _drawGrid(gridColor, axisColor) {
+      const { ctx, view, width, height } = this;
+      const step = CalcGraph.gridStep(view.scale);
+      const { xMin, xMax, yMin, yMax } = this.range();
+      const origin = CalcGraph.toScreen(view, width, height, 0, 0);
+      // Labels sit beside the axes, or along the edge when an axis is off screen
+      const labelY = Math.min(Math.max(origin.py + 4, 4), height - 16);
+      const labelX = Math.min(Math.max(origin.px + 4, 4), width - 40);
+
+      ctx.lineWidth = 1;
+      ctx.font = '11px Arial, Helvetica, sans-serif';
+      ctx.textBaseline = 'top';
+      // The `+ step` checks end the loops should a step be lost in rounding
+      for (let x = Math.ceil(xMin / step) * step; x <= xMax && x + step !== x; x += step) {
+        const { px } = CalcGraph.toScreen(view, width, height, x, 0);
+        this._line(px, 0, px, height, gridColor);
+        if (Math.abs(x) > step / 2) {
+          ctx.fillStyle = axisColor;
+          ctx.fillText(tickLabel(x, step), px + 2, labelY);
+        }
+      }
+      for (let y = Math.ceil(yMin / step) * step; y <= yMax && y + step !== y; y += step) {
+        const { py } = CalcGraph.toScreen(view, width, height, 0, y);
+        this._line(0, py, width, py, gridColor);
+        if (Math.abs(y) > step / 2) {
+          ctx.fillStyle = axisColor;
+          ctx.fillText(tickLabel(y, step), labelX, py + 2);
+        }
+      }
+      this._line(origin.px, 0, origin.px, height, axisColor);
+      this._line(0, origin.py, width, origin.py, axisColor);
+    }
+
+    _line(x1, y1, x2, y2, color) {
+      const { ctx } = this;
+      ctx.strokeStyle = color;
+      ctx.beginPath();
+      // Half-pixel offsets keep one-pixel lines crisp
+      ctx.moveTo(Math.round(x1) + 0.5, Math.round(y1) + 0.5);
+      ctx.lineTo(Math.round(x2) + 0.5, Math.round(y2) + 0.5);
+      ctx.stroke();
+    }
+
+    /** One sample per pixel column; the path breaks at gaps and poles. */
+    _drawCurve({ fn, color }) {
+      const { ctx, view, width, height } = this;
+      ctx.strokeStyle = color;
+      ctx.lineWidth = 2;
+      ctx.beginPath();
+      let previous = null;
+      for (let px = 0; px <= width; px++) {
+        const { x } = CalcGraph.toGraph(view, width, height, px, 0);
+        const y = fn(x);
+        if (!Number.isFinite(y)) {
+          previous = null;
+          continue;
+        }
+        // Clamp so far off-screen points do not overflow the canvas maths
+        const py = Math.min(Math.max(CalcGraph.toScreen(view, width, height, x, y).py, -height), 2 * height);
+        // A jump from beyond one edge to beyond the other is a pole, not a steep line
+        const pole = previous !== null && ((previous < 0 && py > height) || (previous > height && py < 0));
+        if (previous === null || pole) ctx.moveTo(px, py);
+        else ctx.lineTo(px, py);
+        previous = py;
+      }
+      ctx.stroke();
+    }
+
+    _drawMarkers(color) {
+      const { ctx, view, width, height } = this;
+      ctx.fillStyle = color;
+      this.markers.forEach(({ x, y }) => {
+        const { px, py } = CalcGraph.toScreen(view, width, height, x, y);
+        ctx.beginPath();
+        ctx.arc(px, py, 4, 0, 2 * Math.PI);
+        ctx.fill();
+      });
+    }
+
+    _drawTrace(color) {
+      if (this.traceX === null) return;
+      const { ctx, view, width, height } = this;
+      ctx.setLineDash([4, 4]);
+      this._line(this.traceX, 0, this.traceX, height, color);
+      ctx.setLineDash([]);
+      const { x } = CalcGraph.toGraph(view, width, height, this.traceX, 0);
+      this.curves.forEach(({ fn, color: curveColor }) => {
+        const y = fn(x);
+        if (!Number.isFinite(y)) return;
+        const { py } = CalcGraph.toScreen(view, width, height, x, y);
+        ctx.strokeStyle = curveColor;
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.arc(this.traceX, py, 5, 0, 2 * Math.PI);
+        ctx.stroke();
+      });
+    }
+
+    _setTrace(px) {
+      this.traceX = px === null ? null : Math.min(Math.max(px, 0), this.width);
+      this.draw();
+      this._reportTrace();
+    }
+
+    _reportTrace() {
+      if (!this.onTrace) return;
+      if (this.traceX === null) {
+        this.onTrace(null);
+        return;
+      }
+      const { x } = CalcGraph.toGraph(this.view, this.width, this.height, this.traceX, 0);
+      this.onTrace(this.curves.map(({ fn, color, label }) => ({ label, color, x, y: fn(x) })));
+    }
+
+    /** Pointer position in CSS pixels relative to the canvas. */
+    _position(event) {
+      const rect = this.canvas.getBoundingClientRect();
+      return { px: event.clientX - rect.left, py: event.clientY - rect.top };
+    }
+
+    _bindEvents() {
+      const { canvas } = this;
+      canvas.addEventListener('pointerdown', (e) => {
+        canvas.setPointerCapture(e.pointerId);
+        this.pointers.set(e.pointerId, this._position(e));
+      });
+      canvas.addEventListener('pointermove', (e) => {
+        const position = this._position(e);
+        const last = this.pointers.get(e.pointerId);
+        if (!last) {
+          this._setTrace(position.px); // hovering traces
+          return;
+        }
+        if (this.pointers.size === 2) {
+          // Pinch: zoom by the change in finger distance around their midpoint
+          const [other] = [...this.pointers.entries()].filter(([id]) => id !== e.pointerId).map(([, p]) => p);
+          const before = Math.hypot(last.px - other.px, last.py - other.py);
+          const after = Math.hypot(position.px - other.px, position.py - other.py);
+          this.pointers.set(e.pointerId, position);
+          if (before > 0) this.zoom(after / before, (position.px + other.px) / 2, (position.py + other.py) / 2);
+          return;
+        }
+        this.pointers.set(e.pointerId, position);
+        this.pan(position.px - last.px, position.py - last.py);
+        if (e.pointerType === 'touch') this._setTrace(position.px); // touch has no hover, so dragging traces too
+      });
+      const release = (e) => this.pointers.delete(e.pointerId);
+      canvas.addEventListener('pointerup', release);
+      canvas.addEventListener('pointercancel', release);
+      canvas.addEventListener('pointerleave', (e) => {
+        if (e.pointerType === 'mouse') this._setTrace(null);
+      });
+      canvas.addEventListener(
+        'wheel',
+        (e) => {
+          e.preventDefault();
+          const { px, py } = this._position(e);
+          this.zoom(e.deltaY < 0 ? ZOOM_STEP : 1 / ZOOM_STEP, px, py);
+        },
+        { passive: false },
+      );
+      canvas.addEventListener('keydown', (e) => this._handleKey(e));
+      canvas.addEventListener('blur', () => this._setTrace(null));
+    }
+
+    /** Arrows pan, Shift+arrows move the trace cursor, +/- zoom and 0 resets. */
+    _handleKey(e) {
+      const arrows = { ArrowLeft: [-1, 0], ArrowRight: [1, 0], ArrowUp: [0, -1], ArrowDown: [0, 1] };
+      if (e.shiftKey && (e.key === 'ArrowLeft' || e.key === 'ArrowRight')) {
+        const start = this.traceX === null ? this.width / 2 : this.traceX;
+        this._setTrace(start + arrows[e.key][0] * TRACE_STEP);
+      } else if (arrows[e.key]) {
+        // The view moves the way the arrow points: the opposite of dragging
+        this.pan(-arrows[e.key][0] * PAN_STEP, -arrows[e.key][1] * PAN_STEP);
+      } else if (e.key === '+' || e.key === '=') {
+        this.zoom(ZOOM_STEP);
+      } else if (e.key === '-') {
+        this.zoom(1 / ZOOM_STEP);
+      } else if (e.key === '0') {
+        this.reset();
+      } else {
+        return;
+      }
+      e.preventDefault();
+    }
+  }
+
+  // Export for testing / module environments
+  if (typeof module !== 'undefined' && typeof module.exports !== 'undefined') {
+    module.exports = GraphView;
+  } else {
+    window.GraphView = GraphView;
+  }
+})();
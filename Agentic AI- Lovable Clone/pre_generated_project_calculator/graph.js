@@ -0,0 +1,236 @@
+// graph.js - Function plotting maths for the graphing view
+// --------------------------------------------------
+// Compiles expressions in x with the calculator's own parser and scientific
+// functions (never eval), maps between graph and screen coordinates, picks
+// grid spacing and finds roots and intersections numerically.
+// No DOM access, so it runs in Node as well; graph-view.js draws the result.
+// Wrapped in IIFE to avoid polluting global scope.
+// --------------------------------------------------
+(() => {
+  const ExpressionParser = typeof require === 'function' ? require('./parser.js') : window.ExpressionParser;
+  const CalcNumeric = typeof require === 'function' ? require('./numeric.js') : window.CalcNumeric;
+  const CalcScientific = typeof require === 'function' ? require('./scientific.js') : window.CalcScientific;
+
+  const { FUNCTION_NAMES, CONSTANT_NAMES } = CalcScientific;
+
+  // Plotting needs speed rather than exact decimals
+  const floatBackend = CalcNumeric.createFloatBackend();
+  const scientific = CalcScientific.createScientific(floatBackend);
+
+  /**
+   * Compile an expression in x, e.g. 'x^2 - 2' or 'y = sin(x)', into a plain
+   * function. Points outside the domain (ln of a negative, division by zero)
+   * evaluate to NaN so the plot leaves a gap.
+   * @param {string} source
+   * @param {Object} [options]
+   * @param {'deg'|'rad'|'grad'} [options.angleMode='rad']
+   * @returns {function(number): number}
+   * @throws {ExpressionParser.ParseError} for malformed input (with `position`)
+   */
+  function compile(source, { angleMode = 'rad' } = {}) {
+    // An optional 'y =' prefix is allowed; error positions still refer to `source`
+    const prefix = /^\s*y\s*=/i.exec(source);
+    const body = prefix ? ' '.repeat(prefix[0].length) + source.slice(prefix[0].length) : source;
+    const ast = ExpressionParser.parse(body, { functions: FUNCTION_NAMES, constants: [...CONSTANT_NAMES, 'x'] });
+    return (x) => {
+      try {
+        // Arithmetic uses the parser's double-precision defaults
+        return ExpressionParser.evaluate(ast, {
+          constant: (name) => (name === 'x' ? x : scientific.constant(name)),
+          call: (name, argument) => scientific.call(name, argument, angleMode),
+        });
+      } catch (err) {
+        return NaN; // division by zero, out-of-domain function input
+      }
+    };
+  }
+
+  // --------------------------------------------------
+  // View: a centre point and a scale shared by both axes
+  // --------------------------------------------------
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.centerX=0]
+   * @param {number} [options.centerY=0]
+   * @param {number} [options.scale=0.05] - graph units per screen pixel
+   */
+  function createView({ centerX = 0, centerY = 0, scale = 0.05 } = {}) {
+    return { centerX, centerY, scale };
+  }
+
+  /** Screen pixel (origin top-left) for a graph point. */
+  function toScreen(view, width, height, x, y) {
+    return {
+      px: width / 2 + (x - view.centerX) / view.scale,
+      py: height / 2 - (y - view.centerY) / view.scale,
+    };
+  }
+
+  /** Graph point under a screen pixel. */
+  function toGraph(view, width, height, px, py) {
+    return {
+      x: view.centerX + (px - width / 2) * view.scale,
+      y: view.centerY - (py - height / 2) * view.scale,
+    };
+  }
+
+  /** @returns {{xMin: number, xMax: number, yMin: number, yMax: number}} visible ranges */
+  function visibleRange(view, width, height) {
+    const halfW = (width / 2) * view.scale;
+    const halfH = (height / 2) * view.scale;
+    return {
+      xMin: view.centerX - halfW,
+      xMax: view.centerX + halfW,
+      yMin: view.centerY - halfH,
+      yMax: view.centerY + halfH,
+    };
+  }
+
+  /** Move the view by a screen distance, as when dragging the plot. */
+  function panView(view, dxPixels, dyPixels) {
+    return {
+      ...view,
+      centerX: view.centerX - dxPixels * view.scale,
+      centerY: view.centerY + dyPixels * view.scale,
+    };
+  }
+
+  // Zoom limits in graph units per pixel. Zoomed in further than
+  // MIN_RELATIVE_SCALE of the coordinates in view, grid steps would fall
+  // below the spacing of doubles there and stop advancing.
+  const MIN_SCALE = 1e-12;
+  const MAX_SCALE = 1e12;
+  const MIN_RELATIVE_SCALE = 1e-12;
+
+  /** `scale` kept within the zoom limits around the graph point (x, y). */
+  function clampScale(scale, x, y) {
+    const min = Math.max(MIN_SCALE, Math.max(Math.abs(x), Math.abs(y)) * MIN_RELATIVE_SCALE);
+    return Math.min(Math.max(scale, min), MAX_SCALE);
+  }
+
+  /**
+   * Zoom by `factor` (> 1 zooms in) keeping the graph point under the given
+   * pixel in place, e.g. the mouse position. The scale stops at the zoom limits.
+   */
+  function zoomView(view, factor, width, height, px = width / 2, py = height / 2) {
+    const anchor = toGraph(view, width, height, px, py);
+    const scale = clampScale(view.scale / factor, anchor.x, anchor.y);
+    return {
+      scale,
+      centerX: anchor.x - (px - width / 2) * scale,
+      centerY: anchor.y + (py - height / 2) * scale,
+    };
+  }
+
+  /**
+   * Grid spacing of 1, 2 or 5 × 10^n graph units that keeps lines at least
+   * `minPixels` apart.
+   */
+  function gridStep(scale, minPixels = 40) {
+    const raw = scale * minPixels;
+    const magnitude = Math.pow(10, Math.floor(Math.log10(raw)));
+    return [1, 2, 5, 10].map((m) => m * magnitude).find((step) => step >= raw);
+  }
+
+  // --------------------------------------------------
+  // Roots and intersections
+  // --------------------------------------------------
+  const MAX_ITERATIONS = 200;
+
+  /** Narrow a sign change of fn on [a, b] by bisection. */
+  function bisect(fn, a, b, fa) {
+    for (let i = 0; i < MAX_ITERATIONS && b - a > 1e-15 * Math.max(1, Math.abs(a)); i++) {
+      const mid = (a + b) / 2;
+      const fm = fn(mid);
+      if (fm === 0) return mid;
+      if (Math.sign(fm) === Math.sign(fa)) {
+        a = mid;
+        fa = fm;
+      } else {
+        b = mid;
+      }
+    }
+    return (a + b) / 2;
+  }
+
+  /** Minimise |fn| on [a, b] by ternary search, for roots that touch the axis. */
+  function touchPoint(fn, a, b) {
+    for (let i = 0; i < MAX_ITERATIONS && b - a > 1e-12 * Math.max(1, Math.abs(a)); i++) {
+      const m1 = a + (b - a) / 3;
+      const m2 = b - (b - a) / 3;
+      if (Math.abs(fn(m1)) < Math.abs(fn(m2))) b = m2;
+      else a = m1;
+    }
+    return (a + b) / 2;
+  }
+
+  /**
+   * Find the zeros of fn between xMin and xMax: sign changes refined by
+   * bisection, plus points where the curve touches the axis. Sign changes
+   * across a pole (tan, 1/x) are rejected.
+   * @param {function(number): number} fn
+   * @param {number} xMin
+   * @param {number} xMax
+   * @param {Object} [options]
+   * @param {number} [options.samples=1000] - sample intervals; closer roots may merge
+   * @returns {number[]} x values in increasing order
+   */
+  function findRoots(fn, xMin, xMax, { samples = 1000 } = {}) {
+    const step = (xMax - xMin) / samples;
+    const xs = [];
+    const ys = [];
+    for (let i = 0; i <= samples; i++) {
+      xs.push(xMin + i * step);
+      ys.push(fn(xs[i]));
+    }
+    const roots = [];
+    const add = (x) => {
+      if (!roots.some((r) => Math.abs(r - x) < step / 2)) roots.push(x);
+    };
+    for (let i = 0; i < samples; i++) {
+      const [y0, y1] = [ys[i], ys[i + 1]];
+      if (!Number.isFinite(y0) || !Number.isFinite(y1)) continue;
+      if (y0 === 0) {
+        add(xs[i]);
+      } else if (Math.sign(y0) !== Math.sign(y1) && y1 !== 0) {
+        const root = bisect(fn, xs[i], xs[i + 1], y0);
+        if (Math.abs(fn(root)) <= 1e-6 * Math.max(1, Math.abs(y0), Math.abs(y1))) add(root);
+      } else if (i > 0 && Number.isFinite(ys[i - 1]) && Math.abs(y0) < Math.abs(ys[i - 1]) && Math.abs(y0) < Math.abs(y1)) {
+        // |fn| dips here without crossing: check whether it reaches zero
+        const x = touchPoint(fn, xs[i - 1], xs[i + 1]);
+        if (Math.abs(fn(x)) < 1e-9) add(x);
+      }
+    }
+    if (ys[samples] === 0) add(xs[samples]);
+    return roots.sort((a, b) => a - b);
+  }
+
+  /**
+   * Points where two curves meet between xMin and xMax.
+   * @returns {Array<{x: number, y: number}>}
+   */
+  function findIntersections(f, g, xMin, xMax, options) {
+    return findRoots((x) => f(x) - g(x), xMin, xMax, options).map((x) => ({ x, y: f(x) }));
+  }
+
+  const CalcGraph = {
+    compile,
+    createView,
+    toScreen,
+    toGraph,
+    visibleRange,
+    panView,
+    zoomView,
+    clampScale,
+    gridStep,
+    findRoots,
+    findIntersections,
+  };
+
+  // Export for testing / module environments
+  if (typeof module !== 'undefined' && typeof module.exports !== 'undefined') {
+    module.exports = CalcGraph;
+  } else {
+    window.CalcGraph = CalcGraph;
+  }
+})();
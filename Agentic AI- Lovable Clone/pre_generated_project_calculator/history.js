@@ -0,0 +1,104 @@
+// history.js - Calculation history tape
+// --------------------------------------------------
+// Keeps the list of completed calculations, persists it through any
+// Storage-like object (localStorage in the browser) and exports it as CSV.
+// No DOM access, so it runs in Node as well.
+// Wrapped in IIFE to avoid polluting global scope.
+// --------------------------------------------------
+(() => {
+  const DEFAULT_KEY = 'calcHistory';
+  const DEFAULT_LIMIT = 200;
+
+  /**
+   * Quote a CSV field when it contains a separator, quote or line break.
+   * @param {string} value
+   */
+  function csvField(value) {
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  class CalculationHistory {
+    /**
+     * @param {Object} [options]
+     * @param {Storage} [options.storage] - object with getItem/setItem; omit to keep history in memory only
+     * @param {string} [options.key='calcHistory'] - storage key
+     * @param {number} [options.limit=200] - oldest entries are dropped beyond this many
+     */
+    constructor({ storage = null, key = DEFAULT_KEY, limit = DEFAULT_LIMIT } = {}) {
+      this.storage = storage;
+      this.key = key;
+      this.limit = limit;
+      /** @type {Array<{expression: string, result: string, timestamp: number}>} oldest first */
+      this.entries = [];
+      this.load();
+    }
+
+    /**
+     * Record a completed calculation.
+     * @param {string} expression - e.g. '2 + 3'
+     * @param {string} result - formatted result, e.g. '5'
+     * @returns {Object} the stored entry
+     */
+    add(expression, result) {
+      const entry = { expression, result, timestamp: Date.now() };
+      this.entries.push(entry);
+      if (this.entries.length > this.limit) {
+        this.entries.splice(0, this.entries.length - this.limit);
+      }
+      this.save();
+      return entry;
+    }
+
+    /** Remove every entry. */
+    clear() {
+      this.entries = [];
+      this.save();
+    }
+
+    /** @returns {string} CSV with a header row, oldest entry first */
+    toCSV() {
+      const rows = [['timestamp', 'expression', 'result']];
+      this.entries.forEach(({ timestamp, expression, result }) => {
+        rows.push([new Date(timestamp).toISOString(), expression, result]);
+      });
+      return rows.map((row) => row.map(csvField).join(',')).join('\r\n');
+    }
+
+    /** Read entries from storage, keeping the in-memory list on bad data. */
+    load() {
+      if (!this.storage) return;
+      const data = this.storage.getItem(this.key);
+      if (!data) return;
+      try {
+        const parsed = JSON.parse(data);
+        if (!Array.isArray(parsed)) throw new Error('History is not an array');
+        this.entries = parsed
+          .filter((e) => e && typeof e.expression === 'string' && typeof e.result === 'string')
+          .slice(-this.limit);
+      } catch (e) {
+        console.error('Error parsing calculation history from storage', e);
+      }
+    }
+
+    /** Write entries to storage. */
+    save() {
+      if (!this.storage) return;
+      try {
+        this.storage.setItem(this.key, JSON.stringify(this.entries));
+      } catch (e) {
+        // Quota exceeded or storage disabled – history still works for this session
+        console.error('Error saving calculation history', e);
+      }
+    }
+  }
+
+  const CalcHistory = { CalculationHistory };
+
+  // Export for testing / module environments
+  if (typeof module !== 'undefined' && typeof module.exports !== 'undefined') {
+    module.exports = CalcHistory;
+  } else {
+    window.CalcHistory = CalcHistory;
+  }
+})();
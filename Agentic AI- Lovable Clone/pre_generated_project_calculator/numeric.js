@@ -0,0 +1,212 @@
+// numeric.js - Pluggable number backends for the calculator
+// --------------------------------------------------
+// Every operator and the display formatter go through a backend so a
+// calculator instance can switch between IEEE doubles ("float") and exact
+// BigInt-backed decimals ("decimal") without touching the UI code.
+// Wrapped in IIFE to avoid polluting global scope.
+// --------------------------------------------------
+(() => {
+  const ROUNDING_MODES = ['half-up', 'half-even', 'truncate'];
+  const DEFAULT_PRECISION = 12;
+  const DEFAULT_ROUNDING = 'half-up';
+  // Largest exponent a decimal literal may have; 1e99999999 would take BigInt
+  // a hundred million digits. Doubles only reach about 1e±324 anyway.
+  const MAX_EXPONENT = 10000;
+  // Decimal number text accepted by both backends: sign, digits, optional
+  // fraction and exponent, e.g. '-12', '.5', '3.', '1.5e-3'
+  const NUMBER_PATTERN = /^\s*([+-]?)(\d*)(?:\.(\d*))?(?:e([+-]?\d+))?\s*$/i;
+
+  /** Reject results beyond the double range, as the scientific functions do. */
+  function checkFinite(x) {
+    if (!Number.isFinite(x)) throw new Error('Overflow');
+    return x;
+  }
+
+  // --------------------------------------------------
+  // Float backend – plain JavaScript numbers
+  // --------------------------------------------------
+  /** @returns {Object} backend operating on IEEE doubles */
+  function createFloatBackend() {
+    return {
+      name: 'float',
+      parse(text) {
+        const match = NUMBER_PATTERN.exec(String(text));
+        if (!match || (match[2] === '' && !match[3])) throw new Error(`Invalid number '${text}'`);
+        return checkFinite(Number(String(text).trim()));
+      },
+      fromNumber: (n) => n,
+      toNumber: (value) => value,
+      add: (a, b) => checkFinite(a + b),
+      subtract: (a, b) => checkFinite(a - b),
+      multiply: (a, b) => checkFinite(a * b),
+      divide(a, b) {
+        if (b === 0) throw new Error('Division by zero');
+        return checkFinite(a / b);
+      },
+      negate: (a) => -a,
+      isZero: (a) => a === 0,
+      compare: (a, b) => (a < b ? -1 : a > b ? 1 : 0),
+      format: (value) => String(value),
+    };
+  }
+
+  // --------------------------------------------------
+  // Decimal backend – BigInt coefficient with a base-10 scale
+  // --------------------------------------------------
+  /**
+   * Immutable decimal value equal to `coefficient × 10^-scale`.
+   */
+  class DecimalValue {
+    /**
+     * @param {bigint} coefficient
+     * @param {number} scale - number of fraction digits (>= 0)
+     */
+    constructor(coefficient, scale) {
+      this.coefficient = coefficient;
+      this.scale = scale;
+      Object.freeze(this);
+    }
+
+    toString() {
+      const negative = this.coefficient < 0n;
+      let digits = (negative ? -this.coefficient : this.coefficient).toString();
+      if (this.scale > 0) {
+        digits = digits.padStart(this.scale + 1, '0');
+        const whole = digits.slice(0, -this.scale);
+        const fraction = digits.slice(-this.scale).replace(/0+$/, '');
+        digits = fraction ? `${whole}.${fraction}` : whole;
+      }
+      return negative && digits !== '0' ? `-${digits}` : digits;
+    }
+  }
+
+  const pow10 = (n) => 10n ** BigInt(n);
+  const abs = (n) => (n < 0n ? -n : n);
+
+  /**
+   * Divide two BigInts, rounding the quotient according to `mode`.
+   * @param {bigint} numerator
+   * @param {bigint} denominator
+   * @param {string} mode
+   * @returns {bigint}
+   */
+  function roundedDivide(numerator, denominator, mode) {
+    const quotient = numerator / denominator; // truncates toward zero
+    const remainder = numerator % denominator;
+    if (remainder === 0n || mode === 'truncate') return quotient;
+    const sign = (numerator < 0n) !== (denominator < 0n) ? -1n : 1n;
+    const twiceRemainder = 2n * abs(remainder);
+    const divisor = abs(denominator);
+    if (twiceRemainder > divisor) return quotient + sign;
+    if (twiceRemainder < divisor) return quotient;
+    // Exactly halfway
+    if (mode === 'half-even') return quotient % 2n === 0n ? quotient : quotient + sign;
+    return quotient + sign; // half-up rounds away from zero
+  }
+
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.precision] - maximum fraction digits kept after each operation
+   * @param {string} [options.rounding] - 'half-up', 'half-even' or 'truncate'
+   * @returns {Object} backend operating on DecimalValue instances
+   */
+  function createDecimalBackend({ precision = DEFAULT_PRECISION, rounding = DEFAULT_ROUNDING } = {}) {
+    if (!Number.isInteger(precision) || precision < 0) {
+      throw new RangeError(`Precision must be a non-negative integer, got ${precision}`);
+    }
+    if (!ROUNDING_MODES.includes(rounding)) {
+      throw new RangeError(`Unknown rounding mode '${rounding}'`);
+    }
+
+    /** Reduce a value to at most `precision` fraction digits. */
+    function round(value) {
+      if (value.scale <= precision) return value;
+      const coefficient = roundedDivide(value.coefficient, pow10(value.scale - precision), rounding);
+      return new DecimalValue(coefficient, precision);
+    }
+
+    /** Bring two values to a common scale. */
+    function align(a, b) {
+      const scale = Math.max(a.scale, b.scale);
+      return [a.coefficient * pow10(scale - a.scale), b.coefficient * pow10(scale - b.scale), scale];
+    }
+
+    function parse(text) {
+      const match = NUMBER_PATTERN.exec(String(text));
+      if (!match || (match[2] === '' && !match[3])) throw new Error(`Invalid number '${text}'`);
+      const [, sign, whole, fraction = '', exponent = '0'] = match;
+      if (Math.abs(parseInt(exponent, 10)) > MAX_EXPONENT) throw new Error(`Exponent out of range in '${text}'`);
+      let coefficient = BigInt(`${whole}${fraction}` || '0');
+      let scale = fraction.length - parseInt(exponent, 10);
+      if (scale < 0) {
+        coefficient *= pow10(-scale);
+        scale = 0;
+      }
+      // Operands are kept exact; only operation results are rounded to `precision`
+      return new DecimalValue(sign === '-' ? -coefficient : coefficient, scale);
+    }
+
+    return {
+      name: 'decimal',
+      precision,
+      rounding,
+      parse,
+      // Go through the shortest round-trip string so 0.1 stays 0.1
+      fromNumber: (n) => round(parse(String(n))),
+      toNumber: (value) => Number(value.toString()),
+      add(a, b) {
+        const [x, y, scale] = align(a, b);
+        return round(new DecimalValue(x + y, scale));
+      },
+      subtract(a, b) {
+        const [x, y, scale] = align(a, b);
+        return round(new DecimalValue(x - y, scale));
+      },
+      multiply: (a, b) => round(new DecimalValue(a.coefficient * b.coefficient, a.scale + b.scale)),
+      divide(a, b) {
+        if (b.coefficient === 0n) throw new Error('Division by zero');
+        // a / b = (a.c / b.c) × 10^(b.scale - a.scale); compute it at `precision` digits
+        const shift = precision + b.scale - a.scale;
+        const numerator = shift >= 0 ? a.coefficient * pow10(shift) : a.coefficient;
+        const denominator = shift >= 0 ? b.coefficient : b.coefficient * pow10(-shift);
+        return new DecimalValue(roundedDivide(numerator, denominator, rounding), precision);
+      },
+      negate: (a) => new DecimalValue(-a.coefficient, a.scale),
+      isZero: (a) => a.coefficient === 0n,
+      compare(a, b) {
+        const [x, y] = align(a, b);
+        return x < y ? -1 : x > y ? 1 : 0;
+      },
+      format: (value) => value.toString(),
+    };
+  }
+
+  /**
+   * Create a backend from calculator options.
+   * @param {Object} [options]
+   * @param {'float'|'decimal'} [options.numeric='float']
+   * @param {number} [options.precision]
+   * @param {string} [options.rounding]
+   */
+  function createBackend(options = {}) {
+    const { numeric = 'float' } = options;
+    if (numeric === 'float') return createFloatBackend();
+    if (numeric === 'decimal') return createDecimalBackend(options);
+    throw new RangeError(`Unknown numeric backend '${numeric}'`);
+  }
+
+  const CalcNumeric = {
+    ROUNDING_MODES,
+    DecimalValue,
+    createBackend,
+    createFloatBackend,
+    createDecimalBackend,
+  };
+
+  // Export for testing / module environments
+  if (typeof module !== 'undefined' && typeof module.exports !== 'undefined') {
+    module.exports = CalcNumeric;
+  } else {
+    window.CalcNumeric = CalcNumeric;
+  }
+})();
@@ -0,0 +1,288 @@
+// parser.js - Expression tokenizer, parser and evaluator
+// --------------------------------------------------
+// Turns a typed expression such as "(1.5 + 2) * -3 / 4" or "sin(30) + 2^3!"
+// into an AST using a Pratt parser, then evaluates it with proper precedence,
+// unary minus and grouping. Wrapped in IIFE to avoid polluting global scope.
+// --------------------------------------------------
+(() => {
+  /**
+   * Error raised for malformed input. `position` is the zero-based index of
+   * the offending character in the source string.
+   */
+  class ParseError extends Error {
+    /**
+     * @param {string} message
+     * @param {number} position
+     */
+    constructor(message, position) {
+      super(`${message} at position ${position}`);
+      this.name = 'ParseError';
+      this.position = position;
+    }
+  }
+
+  // Display glyphs accepted as aliases for the ASCII operators
+  const OPERATOR_ALIASES = { '×': '*', '÷': '/', '−': '-' };
+
+  /**
+   * Binary operators by symbol. Higher precedence binds tighter.
+   * @type {Object<string, {precedence: number, associativity: 'left'|'right'}>}
+   */
+  const BINARY_OPERATORS = {
+    '+': { precedence: 10, associativity: 'left' },
+    '-': { precedence: 10, associativity: 'left' },
+    '*': { precedence: 20, associativity: 'left' },
+    '/': { precedence: 20, associativity: 'left' },
+    '^': { precedence: 40, associativity: 'right' },
+  };
+
+  /**
+   * Prefix operators and the precedence of the operand they capture. `call`
+   * turns the operator into a function call node (√x → sqrt(x)).
+   */
+  const PREFIX_OPERATORS = {
+    '-': { precedence: 30 },
+    '+': { precedence: 30 },
+    '√': { precedence: 40, call: 'sqrt' },
+  };
+
+  /** Postfix operators, all rewritten as function calls (x! → fact(x)). */
+  const POSTFIX_OPERATORS = {
+    '!': { precedence: 50, call: 'fact' },
+  };
+
+  const NUMBER_PATTERN = /^(\d+\.?\d*|\.\d+)(e[+-]?\d+)?/i;
+  const IDENTIFIER_PATTERN = /^(π|[a-z][a-z0-9]*)/i;
+
+  // --------------------------------------------------
+  // Tokenizer
+  // --------------------------------------------------
+  /**
+   * Split an expression into tokens.
+   * @param {string} source
+   * @returns {Array<{type: string, value: string, position: number}>}
+   */
+  function tokenize(source) {
+    const tokens = [];
+    let i = 0;
+    while (i < source.length) {
+      const ch = source[i];
+      if (/\s/.test(ch)) {
+        i++;
+        continue;
+      }
+      const number = NUMBER_PATTERN.exec(source.slice(i));
+      if (number) {
+        tokens.push({ type: 'number', value: number[0], position: i });
+        i += number[0].length;
+        continue;
+      }
+      const identifier = IDENTIFIER_PATTERN.exec(source.slice(i));
+      if (identifier) {
+        tokens.push({ type: 'identifier', value: identifier[0], position: i });
+        i += identifier[0].length;
+        continue;
+      }
+      const op = OPERATOR_ALIASES[ch] || ch;
+      if (op in BINARY_OPERATORS || op in PREFIX_OPERATORS || op in POSTFIX_OPERATORS) {
+        tokens.push({ type: 'operator', value: op, position: i });
+      } else if (ch === '(') {
+        tokens.push({ type: 'lparen', value: ch, position: i });
+      } else if (ch === ')') {
+        tokens.push({ type: 'rparen', value: ch, position: i });
+      } else {
+        throw new ParseError(`Unexpected character '${ch}'`, i);
+      }
+      i++;
+    }
+    tokens.push({ type: 'eof', value: '', position: source.length });
+    return tokens;
+  }
+
+  // --------------------------------------------------
+  // Parser
+  // --------------------------------------------------
+  /**
+   * Parse an expression into an AST.
+   * Nodes are `{type: 'number', value}`, `{type: 'constant', name}`,
+   * `{type: 'call', name, argument}`, `{type: 'unary', operator, operand}` or
+   * `{type: 'binary', operator, left, right}`, each with a `position`.
+   * @param {string} source
+   * @param {Object} [options]
+   * @param {string[]} [options.functions] - known function names; others are rejected
+   * @param {string[]} [options.constants] - known constant names; others are rejected
+   * @returns {Object} root AST node
+   */
+  function parse(source, options = {}) {
+    const { functions, constants } = options;
+    const tokens = tokenize(source);
+    let index = 0;
+
+    const peek = () => tokens[index];
+    const next = () => tokens[index++];
+
+    function describe(token) {
+      return token.type === 'eof' ? 'end of input' : `'${token.value}'`;
+    }
+
+    function parsePrefix() {
+      const token = next();
+      if (token.type === 'number') {
+        return { type: 'number', value: token.value, position: token.position };
+      }
+      if (token.type === 'operator' && PREFIX_OPERATORS[token.value]) {
+        const info = PREFIX_OPERATORS[token.value];
+        const operand = parseExpression(info.precedence);
+        if (info.call) {
+          return { type: 'call', name: info.call, argument: operand, position: token.position };
+        }
+        return { type: 'unary', operator: token.value, operand, position: token.position };
+      }
+      if (token.type === 'lparen') {
+        return parseGroup();
+      }
+      if (token.type === 'identifier') {
+        if (peek().type === 'lparen') {
+          if (functions && !functions.includes(token.value)) {
+            throw new ParseError(`Unknown function '${token.value}'`, token.position);
+          }
+          next();
+          return { type: 'call', name: token.value, argument: parseGroup(), position: token.position };
+        }
+        if (constants && !constants.includes(token.value)) {
+          throw new ParseError(`Unknown constant '${token.value}'`, token.position);
+        }
+        return { type: 'constant', name: token.value, position: token.position };
+      }
+      throw new ParseError(`Unexpected ${describe(token)}`, token.position);
+    }
+
+    // Called after the opening '(' has been consumed
+    function parseGroup() {
+      const inner = parseExpression(0);
+      const closing = next();
+      if (closing.type !== 'rparen') {
+        throw new ParseError(`Expected ')' but found ${describe(closing)}`, closing.position);
+      }
+      return inner;
+    }
+
+    function parseExpression(minPrecedence) {
+      let left = parsePrefix();
+      for (;;) {
+        const token = peek();
+        const postfix = token.type === 'operator' && POSTFIX_OPERATORS[token.value];
+        if (postfix && postfix.precedence > minPrecedence) {
+          next();
+          left = { type: 'call', name: postfix.call, argument: left, position: token.position };
+          continue;
+        }
+        const info = token.type === 'operator' && BINARY_OPERATORS[token.value];
+        if (!info || info.precedence <= minPrecedence) break;
+        next();
+        // Left-associative operators stop at their own precedence level
+        const rightMin = info.associativity === 'left' ? info.precedence : info.precedence - 1;
+        const right = parseExpression(rightMin);
+        left = { type: 'binary', operator: token.value, left, right, position: token.position };
+      }
+      return left;
+    }
+
+    const ast = parseExpression(0);
+    const trailing = peek();
+    if (trailing.type !== 'eof') {
+      throw new ParseError(`Unexpected ${describe(trailing)}`, trailing.position);
+    }
+    return ast;
+  }
+
+  // --------------------------------------------------
+  // Evaluator
+  // --------------------------------------------------
+  /** Default arithmetic on IEEE doubles. */
+  const defaultOperations = {
+    number: (text) => parseFloat(text),
+    unary: (operator, value) => (operator === '-' ? -value : value),
+    binary: (operator, left, right) => {
+      switch (operator) {
+        case '+':
+          return left + right;
+        case '-':
+          return left - right;
+        case '*':
+          return left * right;
+        case '/':
+          if (right === 0) {
+            throw new Error('Division by zero');
+          }
+          return left / right;
+        case '^':
+          return Math.pow(left, right);
+        default:
+          throw new Error(`Unknown operator '${operator}'`);
+      }
+    },
+    call: (name) => {
+      throw new Error(`Unknown function '${name}'`);
+    },
+    constant: (name) => {
+      throw new Error(`Unknown constant '${name}'`);
+    },
+  };
+
+  /**
+   * Evaluate an AST node. `operations` may override how literals are read and
+   * how operators are applied (e.g. to route through Calculator._perform).
+   * @param {Object} node
+   * @param {Object} [operations]
+   * @returns {*} the computed value
+   */
+  function evaluate(node, operations = defaultOperations) {
+    const ops = { ...defaultOperations, ...operations };
+    const visit = (n) => {
+      switch (n.type) {
+        case 'number':
+          return ops.number(n.value);
+        case 'constant':
+          return ops.constant(n.name);
+        case 'call':
+          return ops.call(n.name, visit(n.argument));
+        case 'unary':
+          return ops.unary(n.operator, visit(n.operand));
+        case 'binary':
+          return ops.binary(n.operator, visit(n.left), visit(n.right));
+        default:
+          throw new Error(`Unknown node type '${n.type}'`);
+      }
+    };
+    return visit(node);
+  }
+
+  /**
+   * Parse and evaluate an expression string in one step.
+   * @param {string} source
+   * @param {Object} [operations]
+   * @param {Object} [options] - parse options (known functions/constants)
+   */
+  function evaluateExpression(source, operations, options) {
+    return evaluate(parse(source, options), operations);
+  }
+
+  const ExpressionParser = {
+    ParseError,
+    BINARY_OPERATORS,
+    PREFIX_OPERATORS,
+    POSTFIX_OPERATORS,
+    tokenize,
+    parse,
+    evaluate,
+    evaluateExpression,
+  };
+
+  // Export for testing / module environments
+  if (typeof module !== 'undefined' && typeof module.exports !== 'undefined') {
+    module.exports = ExpressionParser;
+  } else {
+    window.ExpressionParser = ExpressionParser;
+  }
+})();
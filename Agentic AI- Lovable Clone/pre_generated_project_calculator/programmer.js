@@ -0,0 +1,125 @@
+// programmer.js - Integer backend for the calculator's programmer mode
+// --------------------------------------------------
+// Fixed-width integers (8/16/32/64-bit, signed or unsigned) stored as BigInt,
+// read and written in HEX/DEC/OCT/BIN. Every result wraps with two's
+// complement semantics, and the bitwise operators live here alongside the
+// usual backend interface from numeric.js.
+// Wrapped in IIFE to avoid polluting global scope.
+// --------------------------------------------------
+(() => {
+  const BASES = [16, 10, 8, 2];
+  const WORD_SIZES = [8, 16, 32, 64];
+  const BASE_NAMES = { 16: 'HEX', 10: 'DEC', 8: 'OCT', 2: 'BIN' };
+
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.base=10] - 16, 10, 8 or 2
+   * @param {number} [options.wordSize=32] - 8, 16, 32 or 64 bits
+   * @param {boolean} [options.signed=true] - two's-complement signed or unsigned
+   * @returns {Object} backend operating on BigInt values
+   */
+  function createProgrammerBackend({ base = 10, wordSize = 32, signed = true } = {}) {
+    if (!BASES.includes(base)) throw new RangeError(`Unsupported base ${base}`);
+    if (!WORD_SIZES.includes(wordSize)) throw new RangeError(`Unsupported word size ${wordSize}`);
+
+    const bits = BigInt(wordSize);
+    const min = signed ? -(1n << (bits - 1n)) : 0n;
+    const max = signed ? (1n << (bits - 1n)) - 1n : (1n << bits) - 1n;
+    const digitPattern = new RegExp(`^[${'0123456789ABCDEF'.slice(0, base)}]+$`, 'i');
+
+    /** Wrap any BigInt into the word with two's-complement overflow. */
+    const wrap = (n) => (signed ? BigInt.asIntN(wordSize, n) : BigInt.asUintN(wordSize, n));
+
+    /** Unwrapped value of a digit string in `radix` (digits already validated). */
+    function digitsToBigInt(digits, radix) {
+      let n = 0n;
+      for (const d of digits.toUpperCase()) n = n * BigInt(radix) + BigInt(parseInt(d, 16));
+      return n;
+    }
+
+    function split(text) {
+      const match = /^\s*(-?)([0-9A-F]+)\s*$/i.exec(String(text));
+      if (!match || !digitPattern.test(match[2])) throw new Error(`Invalid number '${text}'`);
+      return { negative: match[1] === '-', magnitude: digitsToBigInt(match[2], base) };
+    }
+
+    /**
+     * Format a value in any base. Decimal shows the signed/unsigned value;
+     * the other bases show the raw bits of the word.
+     */
+    function formatIn(value, radix) {
+      if (radix === 10) return value.toString(10);
+      return BigInt.asUintN(wordSize, value).toString(radix).toUpperCase();
+    }
+
+    /** Shift count from a backend value, rejecting negatives. */
+    function shiftCount(value) {
+      if (value < 0n) throw new Error('Invalid input');
+      return value > bits ? bits : value;
+    }
+
+    return {
+      name: 'programmer',
+      base,
+      wordSize,
+      signed,
+      parse(text) {
+        const { negative, magnitude } = split(text);
+        return wrap(negative ? -magnitude : magnitude);
+      },
+      /**
+       * Whether `text` fits the word without wrapping, so typing can refuse a
+       * digit that would overflow. Non-decimal input may use every bit.
+       */
+      accepts(text) {
+        const { negative, magnitude } = split(text);
+        if (base !== 10) return magnitude <= (1n << bits) - 1n;
+        const n = negative ? -magnitude : magnitude;
+        return n >= min && n <= max;
+      },
+      format: (value) => formatIn(value, base),
+      formatIn,
+      toNumber: (value) => Number(value),
+      fromNumber(n) {
+        if (!Number.isFinite(n)) throw new Error('Overflow');
+        return wrap(BigInt(Math.trunc(n)));
+      },
+      /** Base-10 text of a value, for converting to other backends. */
+      toDecimalString: (value) => value.toString(10),
+      /** Read base-10 text from another backend, dropping any fraction. */
+      fromDecimalString(text) {
+        const match = /^\s*(-?)(\d*)(?:\.\d*)?\s*$/.exec(String(text));
+        if (match) return wrap(BigInt(`${match[1]}${match[2] || '0'}`));
+        const n = Number(text); // exponent notation such as 1e+21
+        if (!Number.isFinite(n)) throw new Error(`Invalid number '${text}'`);
+        return wrap(BigInt(Math.trunc(n)));
+      },
+      add: (a, b) => wrap(a + b),
+      subtract: (a, b) => wrap(a - b),
+      multiply: (a, b) => wrap(a * b),
+      divide(a, b) {
+        if (b === 0n) throw new Error('Division by zero');
+        return wrap(a / b); // BigInt division truncates toward zero
+      },
+      negate: (a) => wrap(-a),
+      isZero: (a) => a === 0n,
+      compare: (a, b) => (a < b ? -1 : a > b ? 1 : 0),
+      and: (a, b) => wrap(a & b),
+      or: (a, b) => wrap(a | b),
+      xor: (a, b) => wrap(a ^ b),
+      not: (a) => wrap(~a),
+      shiftLeft: (a, b) => wrap(a << shiftCount(b)),
+      // Arithmetic shift for signed words; unsigned values are never negative
+      shiftRight: (a, b) => wrap(a >> shiftCount(b)),
+    };
+  }
+
+  const CalcProgrammer = { BASES, WORD_SIZES, BASE_NAMES, createProgrammerBackend };
+
+  // Export for testing / module environments
+  if (typeof module !== 'undefined' && typeof module.exports !== 'undefined') {
+    module.exports = CalcProgrammer;
+  } else {
+    window.CalcProgrammer = CalcProgrammer;
+  }
+})();
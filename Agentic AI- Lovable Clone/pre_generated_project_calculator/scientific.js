@@ -0,0 +1,157 @@
+// scientific.js - Scientific functions and constants for the calculator
+// --------------------------------------------------
+// Trig (with degree/radian/grad switching), logarithms, roots, powers and
+// factorials expressed against a number backend from numeric.js. Integer
+// powers and factorials stay exact in decimal mode; transcendental functions
+// are computed in double precision and rounded back into the backend.
+// Wrapped in IIFE to avoid polluting global scope.
+// --------------------------------------------------
+(() => {
+  const ANGLE_MODES = ['deg', 'rad', 'grad'];
+
+  // Radians per unit for each angle mode
+  const ANGLE_UNITS = { deg: Math.PI / 180, rad: 1, grad: Math.PI / 200 };
+
+  // Anything this close to zero after a trig call is treated as exactly zero,
+  // so sin(180°) shows 0 rather than 1.2246e-16.
+  const TRIG_EPSILON = 1e-15;
+
+  // Doubles carry just under 16 significant digits; trimming results to 15
+  // hides representation noise such as sin(30°) = 0.49999999999999994.
+  const SIGNIFICANT_DIGITS = 15;
+
+  const MAX_FACTORIAL = 1000;
+  const MAX_EXACT_EXPONENT = 10000;
+  // Powers of ten beyond the double range; a power estimated past this is
+  // reported as an overflow before any exact multiplication is attempted
+  const MAX_MAGNITUDE = Math.log10(Number.MAX_VALUE);
+
+  const CONSTANTS = { pi: Math.PI, 'π': Math.PI, e: Math.E };
+
+  const clean = (x) => (Math.abs(x) < TRIG_EPSILON ? 0 : x);
+
+  /**
+   * Functions of one argument on plain numbers. `angle` marks trig functions
+   * that take an angle; `inverse` marks ones that return an angle.
+   */
+  const FUNCTIONS = {
+    sin: { angle: true, apply: (x) => clean(Math.sin(x)) },
+    cos: { angle: true, apply: (x) => clean(Math.cos(x)) },
+    tan: {
+      angle: true,
+      apply: (x) => {
+        const cos = clean(Math.cos(x));
+        if (cos === 0) throw new Error('Invalid input');
+        return clean(Math.sin(x)) / cos;
+      },
+    },
+    asin: { inverse: true, apply: Math.asin },
+    acos: { inverse: true, apply: Math.acos },
+    atan: { inverse: true, apply: Math.atan },
+    ln: { apply: Math.log },
+    log: { apply: Math.log10 },
+    log10: { apply: Math.log10 },
+    sqrt: { apply: Math.sqrt },
+  };
+
+  // Functions handled exactly through the backend rather than via doubles
+  const EXACT_FUNCTIONS = ['fact'];
+
+  const FUNCTION_NAMES = [...Object.keys(FUNCTIONS), ...EXACT_FUNCTIONS];
+  const CONSTANT_NAMES = Object.keys(CONSTANTS);
+
+  /** Reject NaN and infinities produced by out-of-domain input. */
+  function checkFinite(x) {
+    if (Number.isNaN(x)) throw new Error('Invalid input');
+    if (!Number.isFinite(x)) throw new Error('Overflow');
+    return x;
+  }
+
+  /**
+   * Bind the scientific operations to a number backend.
+   * @param {Object} numeric - backend from CalcNumeric.createBackend
+   * @returns {{call: Function, constant: Function, power: Function}}
+   */
+  function createScientific(numeric) {
+    const one = numeric.parse('1');
+
+    function factorial(value) {
+      const n = numeric.toNumber(value);
+      if (!Number.isInteger(n) || n < 0) throw new Error('Invalid input');
+      if (n > MAX_FACTORIAL) throw new Error('Overflow');
+      let result = one;
+      for (let i = 2; i <= n; i++) {
+        result = numeric.multiply(result, numeric.fromNumber(i));
+      }
+      checkFinite(numeric.toNumber(result));
+      return result;
+    }
+
+    /**
+     * Apply a named function to a backend value.
+     * @param {string} name - one of FUNCTION_NAMES
+     * @param {*} value - backend value
+     * @param {'deg'|'rad'|'grad'} [angleMode='deg']
+     */
+    function call(name, value, angleMode = 'deg') {
+      if (name === 'fact') return factorial(value);
+      const fn = FUNCTIONS[name];
+      if (!fn) throw new Error(`Unknown function '${name}'`);
+      let x = numeric.toNumber(value);
+      if (fn.angle) x *= ANGLE_UNITS[angleMode];
+      let result = checkFinite(fn.apply(x));
+      if (fn.inverse) result /= ANGLE_UNITS[angleMode];
+      return numeric.fromNumber(Number(result.toPrecision(SIGNIFICANT_DIGITS)));
+    }
+
+    /** @param {string} name - one of CONSTANT_NAMES */
+    function constant(name) {
+      if (!(name in CONSTANTS)) throw new Error(`Unknown constant '${name}'`);
+      return numeric.fromNumber(CONSTANTS[name]);
+    }
+
+    /**
+     * Raise `base` to `exponent`. Integer exponents use repeated squaring in
+     * the backend so decimal mode stays exact.
+     */
+    function power(base, exponent) {
+      const e = numeric.toNumber(exponent);
+      // |base^e| is about 10^(e × log10|base|). A negative power is worked out
+      // as 1 / base^|e|, so that divisor has to fit as well. The margin leaves
+      // results near the limit to the exact check below.
+      if (!numeric.isZero(base)) {
+        const magnitude = e * Math.log10(Math.abs(numeric.toNumber(base)));
+        if (magnitude > MAX_MAGNITUDE + 1 || (e < 0 && -magnitude > MAX_MAGNITUDE + 1)) {
+          throw new Error('Overflow');
+        }
+      }
+      if (Number.isInteger(e) && Math.abs(e) <= MAX_EXACT_EXPONENT) {
+        let result = one;
+        let square = base;
+        for (let k = Math.abs(e); k > 0; k = Math.floor(k / 2)) {
+          if (k % 2 === 1) result = numeric.multiply(result, square);
+          if (k > 1) square = numeric.multiply(square, square);
+        }
+        checkFinite(numeric.toNumber(result));
+        return e < 0 ? numeric.divide(one, result) : result;
+      }
+      return numeric.fromNumber(checkFinite(Math.pow(numeric.toNumber(base), e)));
+    }
+
+    return { call, constant, power };
+  }
+
+  const CalcScientific = {
+    ANGLE_MODES,
+    FUNCTION_NAMES,
+    CONSTANT_NAMES,
+    createScientific,
+  };
+
+  // Export for testing / module environments
+  if (typeof module !== 'undefined' && typeof module.exports !== 'undefined') {
+    module.exports = CalcScientific;
+  } else {
+    window.CalcScientific = CalcScientific;
+  }
+})();
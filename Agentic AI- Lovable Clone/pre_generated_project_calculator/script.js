@@ -1,190 +1,682 @@
-// Calculator Core Logic
+// Calculator UI Wiring
 // --------------------------------------------------
+// Buttons and keyboard both translate input into CalculatorEngine actions
+// (see engine.js); all arithmetic and state live in the engine.
 // Wrapped in IIFE to avoid polluting global scope
 // --------------------------------------------------
 (() => {
+    const { actionForButton, actionForKey } = window.CalcEngine;
+
     // --------------------------------------------------
-    // Element References & State
+    // Element References & Calculator Instance
     // --------------------------------------------------
     /** @type {HTMLInputElement|null} */
     const display = document.getElementById('display');
+    /** @type {HTMLElement|null} */
+    const expressionLine = document.getElementById('expression');
     /** @type {NodeListOf<HTMLElement>} */
     const buttons = document.querySelectorAll('.btn');
+    /** @type {HTMLElement|null} */
+    const container = document.querySelector('.calculator');
+    /** @type {HTMLButtonElement|null} */
+    const modeToggle = document.getElementById('mode-toggle');
+    /** @type {HTMLElement|null} */
+    const scientificKeypad = document.getElementById('scientific-keypad');
+    /** @type {HTMLButtonElement|null} */
+    const programmerToggle = document.getElementById('programmer-toggle');
+    /** @type {HTMLElement|null} */
+    const programmerKeypad = document.getElementById('programmer-keypad');
+    /** @type {NodeListOf<HTMLButtonElement>} */
+    const baseRows = document.querySelectorAll('.base-row');
+    /** @type {HTMLSelectElement|null} */
+    const wordSize = document.getElementById('word-size');
+    /** @type {HTMLButtonElement|null} */
+    const signedToggle = document.getElementById('signed-toggle');
+    /** @type {HTMLButtonElement|null} */
+    const converterToggle = document.getElementById('converter-toggle');
+    /** @type {HTMLElement|null} */
+    const converterPanel = document.getElementById('converter-panel');
+    /** @type {HTMLSelectElement|null} */
+    const convertCategory = document.getElementById('convert-category');
+    /** @type {HTMLInputElement|null} */
+    const convertValue = document.getElementById('convert-value');
+    /** @type {HTMLSelectElement|null} */
+    const convertFrom = document.getElementById('convert-from');
+    /** @type {HTMLSelectElement|null} */
+    const convertTo = document.getElementById('convert-to');
+    /** @type {HTMLOutputElement|null} */
+    const convertResult = document.getElementById('convert-result');
+    /** @type {HTMLButtonElement|null} */
+    const convertSwap = document.getElementById('convert-swap');
+    /** @type {HTMLButtonElement|null} */
+    const convertTake = document.getElementById('convert-take');
+    /** @type {HTMLButtonElement|null} */
+    const convertSend = document.getElementById('convert-send');
+    /** @type {HTMLElement|null} */
+    const currencyRates = document.getElementById('currency-rates');
+    /** @type {HTMLElement|null} */
+    const currencyRateList = document.getElementById('currency-rate-list');
+    /** @type {HTMLFormElement|null} */
+    const currencyAdd = document.getElementById('currency-add');
+    /** @type {HTMLButtonElement|null} */
+    const currencyReset = document.getElementById('currency-reset');
+    /** @type {HTMLButtonElement|null} */
+    const graphToggle = document.getElementById('graph-toggle');
+    /** @type {HTMLElement|null} */
+    const graphPanel = document.getElementById('graph-panel');
+    /** @type {HTMLElement|null} */
+    const graphFunctions = document.getElementById('graph-functions');
+    /** @type {HTMLButtonElement|null} */
+    const graphAdd = document.getElementById('graph-add');
+    /** @type {HTMLCanvasElement|null} */
+    const graphCanvas = document.getElementById('graph-canvas');
+    /** @type {HTMLOutputElement|null} */
+    const graphTrace = document.getElementById('graph-trace');
+    /** @type {HTMLButtonElement|null} */
+    const graphRoots = document.getElementById('graph-roots');
+    /** @type {HTMLButtonElement|null} */
+    const graphIntersections = document.getElementById('graph-intersections');
+    /** @type {HTMLButtonElement|null} */
+    const graphZoomIn = document.getElementById('graph-zoom-in');
+    /** @type {HTMLButtonElement|null} */
+    const graphZoomOut = document.getElementById('graph-zoom-out');
+    /** @type {HTMLButtonElement|null} */
+    const graphReset = document.getElementById('graph-reset');
+    /** @type {HTMLElement|null} */
+    const graphResults = document.getElementById('graph-results');
+    /** @type {HTMLElement|null} */
+    const announcer = document.getElementById('announcer');
+    /** @type {HTMLElement|null} */
+    const alertRegion = document.getElementById('alert');
+    /** @type {NodeListOf<HTMLElement>} */
+    const keypads = document.querySelectorAll('.keypad');
+    /** @type {HTMLButtonElement|null} */
+    const contrastToggle = document.getElementById('contrast-toggle');
+    /** @type {HTMLElement|null} */
+    const angleButton = document.querySelector('.btn.angle');
+    /** @type {HTMLSelectElement|null} */
+    const memorySlot = document.getElementById('memory-slot');
+    /** @type {HTMLElement|null} */
+    const memoryList = document.getElementById('memory-list');
+    /** @type {HTMLElement|null} */
+    const historyTape = document.getElementById('history-tape');
+    /** @type {HTMLButtonElement|null} */
+    const historyExport = document.getElementById('history-export');
+    /** @type {HTMLButtonElement|null} */
+    const historyClear = document.getElementById('history-clear');
+
+    // Number backend chosen per calculator via data-numeric / data-precision / data-rounding
+    const backendOptions = { numeric: (container && container.dataset.numeric) || 'float' };
+    if (container && container.dataset.precision) backendOptions.precision = parseInt(container.dataset.precision, 10);
+    if (container && container.dataset.rounding) backendOptions.rounding = container.dataset.rounding;
+    // Display locale and digit limit via data-locale / data-max-digits (locale defaults to the browser's)
+    if (container && container.dataset.locale) backendOptions.locale = container.dataset.locale;
+    if (container && container.dataset.maxDigits) backendOptions.maxDigits = parseInt(container.dataset.maxDigits, 10);
+
+    const calculator = new window.Calculator(display, backendOptions, expressionLine);
+    // Exposed for debugging from the console
+    window.calculator = calculator;
+
+    /**
+     * Context for actionForButton / actionForKey: engine mode plus the
+     * locale's decimal separator, so ',' types a decimal point where it is one.
+     */
+    function inputContext() {
+        return { ...calculator.engine.getState(), decimalSeparator: calculator.formatter.decimalSeparator };
+    }
+
+    // History tape persisted across reloads
+    const history = new window.CalcHistory.CalculationHistory({ storage: window.localStorage });
 
-    let currentInput = '';
-    let previousValue = null; // number
-    let operator = null; // '+', '-', '*', '/' or null
-    let resetDisplay = false; // flag to clear currentInput on next digit entry
+    // Conversions use the calculator's standard number backend, even in programmer mode
+    const rates = new window.CalcConverter.CurrencyRates({ storage: window.localStorage });
+    const converterNumeric = window.CalcNumeric.createBackend(backendOptions);
+    const converter = window.CalcConverter.createConverter(converterNumeric, { currency: rates });
+    /** Text of the last successful conversion, or null */
+    let convertedText = null;
+
+    // Graph curves, one colour per function input
+    const GRAPH_COLORS = ['#0062cc', '#d70015', '#1e7e34', '#b35400', '#7b2fbf'];
+    /** Created when the panel is first shown, so the canvas has a size */
+    let graphView = null;
+    /** Trig functions in the graph follow the calculator's angle mode */
+    let graphAngleMode = calculator.engine.getState().angleMode;
+
+    // Keep the angle-mode button label, programmer panel and memory list in sync with the engine
+    calculator.engine.on('change', state => {
+        if (angleButton) angleButton.textContent = state.angleMode.toUpperCase();
+        if (state.angleMode !== graphAngleMode) {
+            graphAngleMode = state.angleMode;
+            updateGraph();
+        }
+        renderProgrammer(state);
+        updateTabStops();
+        renderMemory(state.memory);
+    });
+    calculator.engine.on('result', (value, state, expression) => {
+        history.add(expression, calculator.numeric.format(value));
+        renderHistory();
+        announce(announcer, `${speakable(expression)} equals ${speakable(state.display)}`);
+    });
+    calculator.engine.on('error', message => announce(alertRegion, message));
 
     // --------------------------------------------------
-    // Utility Functions
+    // Accessibility – Announcements, Roving Focus & Contrast
     // --------------------------------------------------
     /**
-     * Update the calculator display.
-     * @param {string|number} value
+     * Put text in a live region. The region is emptied first so repeating
+     * the same result is announced again.
+     * @param {HTMLElement|null} region
+     * @param {string} text
      */
-    function updateDisplay(value) {
-        if (display) {
-            display.value = String(value);
+    function announce(region, text) {
+        if (!region) return;
+        region.textContent = '';
+        window.setTimeout(() => {
+            region.textContent = text;
+        }, 50);
+    }
+
+    /**
+     * Number or expression text as the display shows it (locale grouping),
+     * except in programmer mode where digits are read as written.
+     * @param {string} text
+     */
+    function speakable(text) {
+        if (calculator.engine.getState().mode === 'programmer') return text;
+        return calculator.formatter.formatExpression(text);
+    }
+
+    /**
+     * Make `target` the keypad's single Tab stop and focus it.
+     * @param {HTMLElement} keypad
+     * @param {HTMLElement} target
+     */
+    function setRovingFocus(keypad, target) {
+        keypad.querySelectorAll('.btn').forEach(btn => {
+            btn.tabIndex = btn === target ? 0 : -1;
+        });
+        target.focus();
+    }
+
+    /**
+     * Keep exactly one enabled key per keypad in the Tab order, moving the
+     * stop to the first enabled key when its key gets disabled.
+     */
+    function updateTabStops() {
+        keypads.forEach(keypad => {
+            const keys = [...keypad.querySelectorAll('.btn')];
+            const stop = keys.find(btn => btn.tabIndex === 0 && !btn.disabled) || keys.find(btn => !btn.disabled);
+            keys.forEach(btn => {
+                btn.tabIndex = btn === stop ? 0 : -1;
+            });
+        });
+    }
+
+    /**
+     * Arrow-key navigation inside a keypad grid. Left/Right follow reading
+     * order, Up/Down pick the nearest key in the row above or below, and
+     * Home/End jump to the first or last key.
+     * @param {KeyboardEvent} e
+     */
+    function handleKeypadNavigation(e) {
+        const keypad = e.currentTarget;
+        const current = e.target.closest('.btn');
+        if (!current) return;
+        const keys = [...keypad.querySelectorAll('.btn')].filter(btn => !btn.disabled);
+        const index = keys.indexOf(current);
+        let target = null;
+        if (e.key === 'ArrowRight') target = keys[(index + 1) % keys.length];
+        else if (e.key === 'ArrowLeft') target = keys[(index - 1 + keys.length) % keys.length];
+        else if (e.key === 'Home') target = keys[0];
+        else if (e.key === 'End') target = keys[keys.length - 1];
+        else if (e.key === 'ArrowUp' || e.key === 'ArrowDown') {
+            const from = current.getBoundingClientRect();
+            const centre = from.left + from.width / 2;
+            const down = e.key === 'ArrowDown';
+            const rows = keys.filter(btn => {
+                const top = btn.getBoundingClientRect().top;
+                return down ? top > from.top + 1 : top < from.top - 1;
+            });
+            // Nearest row first, then the key closest to the current column
+            const distance = btn => {
+                const r = btn.getBoundingClientRect();
+                return [Math.abs(r.top - from.top), Math.abs(r.left + r.width / 2 - centre)];
+            };
+            target = rows.sort((a, b) => {
+                const [rowA, colA] = distance(a);
+                const [rowB, colB] = distance(b);
+                return rowA - rowB || colA - colB;
+            })[0] || null;
+        } else {
+            return;
         }
+        e.preventDefault();
+        if (target) setRovingFocus(keypad, target);
     }
 
     /**
-     * Reset all state and clear the display.
-     */
-    function clearAll() {
-        currentInput = '';
-        previousValue = null;
-        operator = null;
-        resetDisplay = false;
-        updateDisplay('0');
-    }
-
-    /**
-     * Perform a basic arithmetic operation.
-     * Returns a number or the string 'Error' for invalid operations.
-     * @param {number|string} a
-     * @param {number|string} b
-     * @param {string} op
-     * @returns {number|string}
-     */
-    function calculate(a, b, op) {
-        const numA = typeof a === 'number' ? a : parseFloat(a);
-        const numB = typeof b === 'number' ? b : parseFloat(b);
-        if (isNaN(numA) || isNaN(numB)) return 'Error';
-        switch (op) {
-            case '+':
-                return numA + numB;
-            case '-':
-                return numA - numB;
-            case '*':
-                return numA * numB;
-            case '/':
-                return numB === 0 ? 'Error' : numA / numB;
-            default:
-                return 'Error';
+     * Switch the high-contrast theme and remember the choice.
+     * @param {boolean} enabled
+     */
+    function setHighContrast(enabled) {
+        document.body.classList.toggle('high-contrast', enabled);
+        if (contrastToggle) contrastToggle.setAttribute('aria-pressed', String(enabled));
+        try {
+            window.localStorage.setItem('calcHighContrast', enabled ? '1' : '0');
+        } catch (err) {
+            console.error('Error saving contrast preference', err);
         }
     }
 
     // --------------------------------------------------
-    // Input Handlers
+    // Programmer Mode Rendering
+    // --------------------------------------------------
+    /**
+     * Show the value in every base and enable only the keys that make sense
+     * for the current mode and base.
+     * @param {Object} state - engine state snapshot
+     */
+    function renderProgrammer(state) {
+        const programmer = state.mode === 'programmer';
+        if (programmerKeypad) programmerKeypad.hidden = !programmer;
+        if (programmerToggle) programmerToggle.setAttribute('aria-pressed', String(programmer));
+        if (modeToggle) modeToggle.disabled = programmer;
+        if (programmer && scientificKeypad) scientificKeypad.hidden = true;
+        baseRows.forEach(row => {
+            const base = parseInt(row.dataset.base, 10);
+            row.setAttribute('aria-pressed', String(base === state.base));
+            row.querySelector('output').textContent = state.conversions ? state.conversions[base] : '';
+        });
+        if (wordSize) wordSize.value = String(state.wordSize);
+        if (signedToggle) {
+            signedToggle.setAttribute('aria-pressed', String(state.signed));
+            signedToggle.textContent = state.signed ? 'Signed' : 'Unsigned';
+        }
+        buttons.forEach(btn => {
+            const value = btn.dataset.value;
+            if (btn.classList.contains('digit')) {
+                btn.disabled = programmer && (value === '.' || parseInt(value, 16) >= state.base);
+            } else if (value === '%') {
+                btn.disabled = programmer;
+            }
+        });
+    }
+
+    // --------------------------------------------------
+    // Conversion Panel
     // --------------------------------------------------
     /**
-     * Append a digit or decimal point to the current input.
-     * @param {string} digit
+     * Replace a select's options, keeping the chosen value when still present.
+     * @param {HTMLSelectElement} select
+     * @param {Array<{id: string, label: string}>} options
+     * @param {number} [fallbackIndex=0] - option chosen when the old value is gone
      */
-    function appendDigit(digit) {
-        if (resetDisplay) {
-            currentInput = '';
-            resetDisplay = false;
+    function fillSelect(select, options, fallbackIndex = 0) {
+        const previous = select.value;
+        select.innerHTML = '';
+        options.forEach(({ id, label }) => {
+            const option = document.createElement('option');
+            option.value = id;
+            option.textContent = label;
+            select.appendChild(option);
+        });
+        const kept = options.some(o => o.id === previous);
+        select.value = kept ? previous : (options[Math.min(fallbackIndex, options.length - 1)] || {}).id || '';
+    }
+
+    /**
+     * Refill the unit lists for the selected category.
+     */
+    function renderUnits() {
+        if (!convertCategory || !convertFrom || !convertTo) return;
+        const units = converter.units(convertCategory.value);
+        fillSelect(convertFrom, units);
+        fillSelect(convertTo, units, 1);
+        if (currencyRates) currencyRates.hidden = convertCategory.value !== 'currency';
+        updateConversion();
+    }
+
+    /**
+     * Convert the typed value and show the result, both written the way the
+     * main display writes numbers (1.234,5 in German).
+     */
+    function updateConversion() {
+        if (!convertValue || !convertResult || !convertCategory) return;
+        convertedText = null;
+        try {
+            const value = converterNumeric.parse(calculator.formatter.parse(convertValue.value));
+            const result = converter.convert(value, convertCategory.value, convertFrom.value, convertTo.value);
+            convertedText = converterNumeric.format(result);
+            convertResult.textContent = calculator.formatter.format(convertedText);
+        } catch (err) {
+            convertResult.textContent = err.message;
         }
-        if (digit === '.' && currentInput.includes('.')) return; // prevent multiple dots
-        // Allow leading dot by prefixing a zero for user‑friendliness
-        if (digit === '.' && currentInput === '') {
-            currentInput = '0';
+        if (convertSend) convertSend.disabled = convertedText === null;
+    }
+
+    /**
+     * List the currency rates as editable rows.
+     */
+    function renderRates() {
+        if (!currencyRateList) return;
+        currencyRateList.innerHTML = '';
+        rates.codes().forEach(code => {
+            const li = document.createElement('li');
+            const label = document.createElement('label');
+            label.textContent = code;
+            const input = document.createElement('input');
+            input.value = rates.rates[code];
+            input.inputMode = 'decimal';
+            input.dataset.code = code;
+            label.appendChild(input);
+            const remove = document.createElement('button');
+            remove.type = 'button';
+            remove.className = 'currency-remove';
+            remove.dataset.code = code;
+            remove.setAttribute('aria-label', `Remove ${code}`);
+            remove.textContent = '×';
+            li.append(label, remove);
+            currencyRateList.appendChild(li);
+        });
+    }
+
+    /**
+     * Show or hide the conversion panel.
+     */
+    function toggleConverter() {
+        if (!converterPanel || !converterToggle) return;
+        converterPanel.hidden = !converterPanel.hidden;
+        converterToggle.setAttribute('aria-pressed', String(!converterPanel.hidden));
+    }
+
+    /**
+     * Copy the calculator's current number into the conversion input.
+     */
+    function takeDisplayValue() {
+        const state = calculator.engine.getState();
+        if (state.error || !convertValue) return;
+        // Programmer mode may be showing hex; convert its decimal form
+        const text = state.conversions ? state.conversions[10] : state.display;
+        convertValue.value = calculator.formatter.format(text, { typing: true });
+        updateConversion();
+    }
+
+    /**
+     * Send the converted value to the calculator as the current operand, so
+     * it can be chained into further arithmetic.
+     */
+    function sendConversion() {
+        if (convertedText === null) return;
+        try {
+            calculator.engine.dispatch({ type: 'value', value: convertedText });
+        } catch (err) {
+            // Fractions cannot be entered in programmer mode
+            convertResult.textContent = err.message;
         }
-        currentInput += digit;
-        updateDisplay(currentInput);
     }
 
+    // --------------------------------------------------
+    // Graphing
+    // --------------------------------------------------
     /**
-     * Store the selected operator and prepare for the next number.
-     * @param {string} op
+     * Graph coordinates for display: ten significant digits in the
+     * calculator's locale, with rounding noise around zero shown as 0.
+     * @param {number} value
      */
-    function setOperator(op) {
-        // If there is a pending calculation, compute it first
-        if (previousValue !== null && operator && currentInput !== '') {
-            const result = calculate(previousValue, currentInput, operator);
-            if (result === 'Error' || isNaN(result)) {
-                updateDisplay('Error');
-                resetDisplay = true;
-                previousValue = null;
-                operator = null;
-                currentInput = '';
-                return;
+    function graphNumber(value) {
+        const cleaned = Math.abs(value) < 1e-12 ? 0 : value;
+        return calculator.formatter.format(String(Number(cleaned.toPrecision(10))));
+    }
+
+    /**
+     * Add a function input row.
+     * @param {string} [text]
+     * @returns {HTMLInputElement|undefined} the new input
+     */
+    function addGraphFunction(text = '') {
+        if (!graphFunctions) return;
+        const index = graphFunctions.children.length;
+        const li = document.createElement('li');
+        li.style.setProperty('--curve-color', GRAPH_COLORS[index % GRAPH_COLORS.length]);
+        const label = document.createElement('label');
+        label.textContent = 'y =';
+        const input = document.createElement('input');
+        input.value = text;
+        input.placeholder = 'sin(x)';
+        input.spellcheck = false;
+        input.id = `graph-function-${Date.now()}-${index}`;
+        label.htmlFor = input.id;
+        const error = document.createElement('span');
+        error.className = 'graph-error';
+        error.id = `${input.id}-error`;
+        input.setAttribute('aria-describedby', error.id);
+        const remove = document.createElement('button');
+        remove.type = 'button';
+        remove.className = 'graph-remove';
+        remove.setAttribute('aria-label', 'Remove function');
+        remove.textContent = '×';
+        li.append(label, input, remove, error);
+        graphFunctions.appendChild(li);
+        updateGraph();
+        return input;
+    }
+
+    /**
+     * Compile every function input and redraw. Malformed input is marked
+     * invalid with the parser's message and left out of the plot.
+     */
+    function updateGraph() {
+        if (!graphFunctions) return;
+        const curves = [];
+        Array.from(graphFunctions.children).forEach((li, index) => {
+            const input = li.querySelector('input');
+            const error = li.querySelector('.graph-error');
+            const color = GRAPH_COLORS[index % GRAPH_COLORS.length];
+            li.style.setProperty('--curve-color', color);
+            input.removeAttribute('aria-invalid');
+            error.textContent = '';
+            if (!input.value.trim()) return;
+            try {
+                const fn = window.CalcGraph.compile(input.value, { angleMode: graphAngleMode });
+                curves.push({ fn, color, label: input.value.trim() });
+            } catch (err) {
+                input.setAttribute('aria-invalid', 'true');
+                error.textContent = err.message;
             }
-            previousValue = result;
-        } else if (currentInput !== '') {
-            previousValue = parseFloat(currentInput);
+        });
+        if (graphResults) graphResults.innerHTML = '';
+        if (!graphView) return;
+        graphView.setCurves(curves);
+        if (graphCanvas) {
+            const names = curves.map(curve => `y = ${curve.label}`).join(', ');
+            graphCanvas.setAttribute('aria-label', names ? `Graph of ${names}` : 'Empty graph');
         }
-        operator = op;
-        resetDisplay = true; // next digit starts a fresh input
-        // Show the stored value (or 0 if none) for visual feedback
-        updateDisplay(previousValue !== null ? previousValue : '0');
     }
 
     /**
-     * Execute the pending operation when '=' is pressed.
+     * Show the values under the trace cursor.
+     * @param {Array<{label: string, x: number, y: number}>|null} points
      */
-    function performEquals() {
-        if (operator === null || previousValue === null) {
-            // Nothing to compute – just ensure the display reflects the current input
-            if (currentInput !== '') updateDisplay(currentInput);
+    function renderTrace(points) {
+        if (!graphTrace) return;
+        if (!points || points.length === 0) {
+            graphTrace.textContent = '';
             return;
         }
-        const rightOperand = currentInput !== '' ? currentInput : previousValue;
-        const result = calculate(previousValue, rightOperand, operator);
-        if (result === 'Error' || isNaN(result)) {
-            updateDisplay('Error');
-            resetDisplay = true;
-        } else {
-            updateDisplay(result);
-            // Prepare for a possible chain of operations (e.g., 5 + 2 = -> 7, then + 3 =)
-            previousValue = result;
-            resetDisplay = true;
+        const values = points.map(p => `${p.label}: ${Number.isFinite(p.y) ? graphNumber(p.y) : 'undefined'}`);
+        graphTrace.textContent = `x = ${graphNumber(points[0].x)}; ${values.join('; ')}`;
+    }
+
+    /**
+     * List found points and mark them on the plot.
+     * @param {string[]} lines
+     * @param {Array<{x: number, y: number}>} points
+     * @param {string} emptyText - shown when nothing was found
+     */
+    function renderGraphResults(lines, points, emptyText) {
+        if (!graphResults || !graphView) return;
+        graphResults.innerHTML = '';
+        (lines.length ? lines : [emptyText]).forEach(line => {
+            const li = document.createElement('li');
+            li.textContent = line;
+            graphResults.appendChild(li);
+        });
+        graphView.setMarkers(points);
+    }
+
+    /**
+     * Find where each curve crosses the x axis in the visible range.
+     */
+    function showRoots() {
+        if (!graphView) return;
+        const { xMin, xMax } = graphView.range();
+        const lines = [];
+        const points = [];
+        graphView.curves.forEach(curve => {
+            window.CalcGraph.findRoots(curve.fn, xMin, xMax).forEach(x => {
+                lines.push(`y = ${curve.label}: x = ${graphNumber(x)}`);
+                points.push({ x, y: 0 });
+            });
+        });
+        renderGraphResults(lines, points, 'No roots in view');
+    }
+
+    /**
+     * Find where each pair of curves meets in the visible range.
+     */
+    function showIntersections() {
+        if (!graphView) return;
+        const { xMin, xMax } = graphView.range();
+        const { curves } = graphView;
+        const lines = [];
+        const points = [];
+        curves.forEach((f, i) => {
+            curves.slice(i + 1).forEach(g => {
+                window.CalcGraph.findIntersections(f.fn, g.fn, xMin, xMax).forEach(point => {
+                    lines.push(`${f.label} and ${g.label}: (${graphNumber(point.x)}, ${graphNumber(point.y)})`);
+                    points.push(point);
+                });
+            });
+        });
+        renderGraphResults(lines, points, curves.length < 2 ? 'Add a second function' : 'No intersections in view');
+    }
+
+    /**
+     * Show or hide the graph panel.
+     */
+    function toggleGraph() {
+        if (!graphPanel || !graphToggle) return;
+        graphPanel.hidden = !graphPanel.hidden;
+        graphToggle.setAttribute('aria-pressed', String(!graphPanel.hidden));
+        if (graphPanel.hidden) return;
+        if (!graphView && graphCanvas) {
+            graphView = new window.GraphView(graphCanvas, {
+                onTrace: renderTrace,
+                // Found points belong to the old view
+                onViewChange: () => {
+                    if (graphResults) graphResults.innerHTML = '';
+                },
+            });
+            window.addEventListener('resize', () => graphView.resize());
+        } else if (graphView) {
+            graphView.resize();
         }
-        // Reset operator but keep previousValue for chaining
-        operator = null;
-        currentInput = '';
+        updateGraph();
+    }
+
+    // --------------------------------------------------
+    // Memory & History Rendering
+    // --------------------------------------------------
+    /**
+     * List every non-empty memory slot.
+     * @param {Object} memory - backend values by slot name
+     */
+    function renderMemory(memory) {
+        if (!memoryList) return;
+        memoryList.innerHTML = '';
+        Object.keys(memory).forEach(slot => {
+            const li = document.createElement('li');
+            li.textContent = `${slot} = ${calculator.numeric.format(memory[slot])}`;
+            memoryList.appendChild(li);
+        });
+    }
+
+    /**
+     * Rebuild the history tape, newest entry at the bottom.
+     */
+    function renderHistory() {
+        if (!historyTape) return;
+        historyTape.innerHTML = '';
+        history.entries.forEach(entry => {
+            const li = document.createElement('li');
+            const btn = document.createElement('button');
+            btn.type = 'button';
+            btn.className = 'history-entry';
+            btn.dataset.result = entry.result;
+            btn.title = 'Recall this result';
+            btn.textContent = `${entry.expression} = ${entry.result}`;
+            li.appendChild(btn);
+            historyTape.appendChild(li);
+        });
+        historyTape.scrollTop = historyTape.scrollHeight;
     }
 
+    /**
+     * Download the history tape as a CSV file.
+     */
+    function exportHistory() {
+        const blob = new Blob([history.toCSV()], { type: 'text/csv' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = 'calculator-history.csv';
+        link.click();
+        URL.revokeObjectURL(link.href);
+    }
+
+    // --------------------------------------------------
+    // Input Handlers
+    // --------------------------------------------------
     /**
      * Click handler for calculator buttons.
      * @param {MouseEvent} event
      */
     function handleButtonClick(event) {
-        const value = event.target.dataset.value;
-        if (!value) return;
-        if (value === 'C') {
-            clearAll();
-        } else if (value === '=') {
-            performEquals();
-        } else if (['+', '-', '*', '/'].includes(value)) {
-            setOperator(value);
-        } else {
-            // Digit or decimal point
-            appendDigit(value);
-        }
+        const action = actionForButton(event.currentTarget.dataset.value, inputContext());
+        if (!action) return;
+        if (action.type === 'memory' && memorySlot) action.slot = memorySlot.value;
+        calculator.engine.dispatch(action);
+    }
+
+    /**
+     * Show or hide the scientific keypad.
+     */
+    function toggleScientificMode() {
+        if (!scientificKeypad || !modeToggle) return;
+        scientificKeypad.hidden = !scientificKeypad.hidden;
+        modeToggle.setAttribute('aria-pressed', String(!scientificKeypad.hidden));
+    }
+
+    /**
+     * Switch between standard arithmetic and integer programmer mode.
+     */
+    function toggleProgrammerMode() {
+        const programmer = calculator.engine.getState().mode === 'programmer';
+        calculator.engine.dispatch({ type: 'mode', value: programmer ? 'standard' : 'programmer' });
     }
 
-    // --------------------------------------------------
-    // Keyboard Support
-    // --------------------------------------------------
     /**
      * Keydown handler to map keyboard input to calculator actions.
      * @param {KeyboardEvent} e
      */
     function handleKeyDown(e) {
-        const key = e.key;
-        if (/[0-9]/.test(key)) {
-            appendDigit(key);
-            e.preventDefault();
-        } else if (key === '.') {
-            appendDigit('.');
-            e.preventDefault();
-        } else if (['+', '-', '*', '/'].includes(key)) {
-            setOperator(key);
-            e.preventDefault();
-        } else if (key === 'Enter' || key === '=') {
-            performEquals();
-            e.preventDefault();
-        } else if (key === 'Backspace') {
-            clearAll();
-            e.preventDefault();
-        } else if (key === 'Escape') {
-            clearAll();
-            e.preventDefault();
-        }
+        if (e.ctrlKey || e.metaKey || e.altKey) return; // leave browser shortcuts alone
+        if (e.target.matches && e.target.matches('input:not([readonly]), select, textarea, canvas')) return; // typing in a form field or the graph
+        if (e.key === 'Enter' && e.target.closest && e.target.closest('button')) return; // Enter activates the focused key
+        const action = actionForKey(e.key, inputContext());
+        if (!action) return;
+        calculator.engine.dispatch(action);
+        e.preventDefault();
     }
 
     // --------------------------------------------------
@@ -192,9 +684,150 @@
     // --------------------------------------------------
     buttons.forEach(btn => btn.addEventListener('click', handleButtonClick));
     document.addEventListener('keydown', handleKeyDown);
+    keypads.forEach(keypad => {
+        keypad.addEventListener('keydown', handleKeypadNavigation);
+        // Clicking a key also makes it the keypad's Tab stop
+        keypad.addEventListener('focusin', e => {
+            const key = e.target.closest('.btn');
+            if (key && key.tabIndex !== 0) setRovingFocus(keypad, key);
+        });
+    });
+    if (contrastToggle) {
+        contrastToggle.addEventListener('click', () => setHighContrast(!document.body.classList.contains('high-contrast')));
+    }
+    if (modeToggle) modeToggle.addEventListener('click', toggleScientificMode);
+    if (programmerToggle) programmerToggle.addEventListener('click', toggleProgrammerMode);
+    baseRows.forEach(row => {
+        row.addEventListener('click', () => {
+            calculator.engine.dispatch({ type: 'base', value: parseInt(row.dataset.base, 10) });
+        });
+    });
+    if (wordSize) {
+        wordSize.addEventListener('change', () => {
+            calculator.engine.dispatch({ type: 'wordSize', value: parseInt(wordSize.value, 10) });
+        });
+    }
+    if (signedToggle) signedToggle.addEventListener('click', () => calculator.engine.dispatch({ type: 'signed' }));
+    if (converterToggle) converterToggle.addEventListener('click', toggleConverter);
+    if (convertCategory) convertCategory.addEventListener('change', renderUnits);
+    [convertFrom, convertTo].forEach(select => {
+        if (select) select.addEventListener('change', updateConversion);
+    });
+    if (convertValue) convertValue.addEventListener('input', updateConversion);
+    if (convertSwap) {
+        convertSwap.addEventListener('click', () => {
+            [convertFrom.value, convertTo.value] = [convertTo.value, convertFrom.value];
+            updateConversion();
+        });
+    }
+    if (convertTake) convertTake.addEventListener('click', takeDisplayValue);
+    if (convertSend) convertSend.addEventListener('click', sendConversion);
+    if (currencyRateList) {
+        currencyRateList.addEventListener('change', e => {
+            const code = e.target.dataset.code;
+            if (!code) return;
+            try {
+                rates.set(code, e.target.value);
+                e.target.removeAttribute('aria-invalid');
+            } catch (err) {
+                e.target.setAttribute('aria-invalid', 'true');
+            }
+            updateConversion();
+        });
+        currencyRateList.addEventListener('click', e => {
+            const remove = e.target.closest('.currency-remove');
+            if (!remove) return;
+            rates.remove(remove.dataset.code);
+            renderRates();
+            renderUnits();
+        });
+    }
+    if (currencyAdd) {
+        currencyAdd.addEventListener('submit', e => {
+            e.preventDefault();
+            try {
+                rates.set(currencyAdd.elements.code.value, currencyAdd.elements.rate.value);
+                currencyAdd.reset();
+            } catch (err) {
+                convertResult.textContent = err.message;
+                return;
+            }
+            renderRates();
+            renderUnits();
+        });
+    }
+    if (currencyReset) {
+        currencyReset.addEventListener('click', () => {
+            rates.reset();
+            renderRates();
+            renderUnits();
+        });
+    }
+    if (graphToggle) graphToggle.addEventListener('click', toggleGraph);
+    if (graphAdd) {
+        graphAdd.addEventListener('click', () => {
+            const input = addGraphFunction();
+            if (input) input.focus();
+        });
+    }
+    if (graphFunctions) {
+        graphFunctions.addEventListener('input', updateGraph);
+        graphFunctions.addEventListener('click', e => {
+            const remove = e.target.closest('.graph-remove');
+            if (!remove) return;
+            remove.closest('li').remove();
+            updateGraph();
+            if (graphAdd) graphAdd.focus();
+        });
+    }
+    if (graphRoots) graphRoots.addEventListener('click', showRoots);
+    if (graphIntersections) graphIntersections.addEventListener('click', showIntersections);
+    if (graphZoomIn) graphZoomIn.addEventListener('click', () => graphView && graphView.zoom(1.25));
+    if (graphZoomOut) graphZoomOut.addEventListener('click', () => graphView && graphView.zoom(1 / 1.25));
+    if (graphReset) graphReset.addEventListener('click', () => graphView && graphView.reset());
+    if (historyTape) {
+        // Clicking an entry recalls its result as the current operand
+        historyTape.addEventListener('click', e => {
+            const entry = e.target.closest('.history-entry');
+            if (!entry) return;
+            try {
+                calculator.engine.dispatch({ type: 'value', value: entry.dataset.result });
+            } catch (err) {
+                // e.g. a decimal result recalled in hex mode
+                console.error('Cannot recall history entry in the current mode', err);
+            }
+        });
+    }
+    if (historyExport) historyExport.addEventListener('click', exportHistory);
+    if (historyClear) {
+        historyClear.addEventListener('click', () => {
+            history.clear();
+            renderHistory();
+        });
+    }
 
     // --------------------------------------------------
-    // Initialise display
+    // Initialise programmer panel, conversion panel, graph and history tape
     // --------------------------------------------------
-    updateDisplay('0');
+    renderProgrammer(calculator.engine.getState());
+    // One Tab stop per keypad: its first enabled key
+    updateTabStops();
+    // High contrast follows the saved choice, else the system preference
+    const savedContrast = window.localStorage.getItem('calcHighContrast');
+    const prefersContrast = window.matchMedia && window.matchMedia('(prefers-contrast: more)').matches;
+    if (savedContrast === '1' || (savedContrast === null && prefersContrast)) {
+        document.body.classList.add('high-contrast');
+        if (contrastToggle) contrastToggle.setAttribute('aria-pressed', 'true');
+    }
+    // The decimal-point key shows the locale's separator
+    buttons.forEach(btn => {
+        if (btn.dataset.value === '.') btn.textContent = calculator.formatter.decimalSeparator;
+    });
+    if (convertCategory) {
+        fillSelect(convertCategory, converter.categories());
+        renderRates();
+        renderUnits();
+    }
+    addGraphFunction('x^2 - 2');
+    renderHistory();
 })();
@@ -0,0 +1,218 @@
+// calculator.test.js - Keypad state transitions through Calculator and a fake display
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { CalculatorEngine } = require('../engine.js');
+const { createBackend } = require('../numeric.js');
+const { createScientific } = require('../scientific.js');
+const { createDisplayFormatter } = require('../format.js');
+const { createCalculator } = require('./helpers.js');
+
+const DECIMAL = { numeric: 'decimal', precision: 12 };
+
+describe('digit entry', () => {
+  it('starts at 0 and replaces the leading zero', () => {
+    const { display, press } = createCalculator();
+    assert.equal(display.value, '0');
+    assert.equal(press('0', '0', '5'), '5');
+  });
+
+  it('groups digits while typing', () => {
+    const { press } = createCalculator();
+    assert.equal(press('1', '2', '3', '4', '5', '6', '7'), '1,234,567');
+  });
+
+  it('keeps typed trailing zeros and the decimal point', () => {
+    assert.equal(createCalculator().press('1', '.', '5', '0'), '1.50');
+    assert.equal(createCalculator().press('.'), '0.');
+  });
+
+  it('ignores a second decimal point', () => {
+    assert.equal(createCalculator().press('1', '.', '.', '5'), '1.5');
+  });
+
+  it('deletes the last character with backspace', () => {
+    assert.equal(createCalculator().press('1', '2', '⌫'), '1');
+    assert.equal(createCalculator().press('1', '.', '⌫'), '1');
+  });
+
+  it('starts a fresh number after a result', () => {
+    assert.equal(createCalculator().press('3', '=', '4'), '4');
+  });
+
+  it('applies the sign toggle to the number being typed', () => {
+    assert.equal(createCalculator().press('±', '5'), '-5');
+  });
+});
+
+describe('operator chaining', () => {
+  it('applies operator precedence', () => {
+    const { expression, press } = createCalculator();
+    assert.equal(press('2', '+', '3', '*', '4', '='), '14');
+    assert.equal(expression.textContent, '2 + 3 × 4 =');
+    assert.equal(createCalculator().press('2', '^', '3', '^', '2', '='), '512');
+  });
+
+  it('shows the running result when the next operator is pressed', () => {
+    const { expression, press } = createCalculator();
+    assert.equal(press('2', '+', '3', '+'), '5');
+    assert.equal(expression.textContent, '2 + 3 +');
+    assert.equal(press('4', '*'), '4');
+    assert.equal(press('5', '-'), '25');
+  });
+
+  it('works out an operator pressed twice with the new precedence', () => {
+    assert.equal(createCalculator().press('2', '+', '3', '*', '+', '4', '='), '9');
+    assert.equal(createCalculator().press('2', '+', '3', '+', '*', '4', '='), '14');
+  });
+
+  it('replaces an operator pressed twice', () => {
+    const { expression, press } = createCalculator();
+    assert.equal(press('5', '+', '-', '3', '='), '2');
+    assert.equal(expression.textContent, '5 − 3 =');
+  });
+
+  it('uses the running result as the missing operand', () => {
+    assert.equal(createCalculator().press('2', '-', '='), '0');
+  });
+
+  it('applies percent relative to the running result', () => {
+    assert.equal(createCalculator().press('2', '0', '0', '+', '1', '0', '%', '='), '220');
+    assert.equal(createCalculator().press('5', '0', '*', '1', '0', '%', '='), '5');
+  });
+});
+
+describe('repeated equals', () => {
+  it('repeats the last operation on the result', () => {
+    const { press } = createCalculator();
+    assert.equal(press('2', '*', '3', '='), '6');
+    assert.equal(press('='), '18');
+    assert.equal(press('='), '54');
+  });
+
+  it('repeats with the last operand, not the result', () => {
+    const { expression, press } = createCalculator();
+    assert.equal(press('1', '0', '-', '2', '=', '=', '='), '4');
+    assert.equal(expression.textContent, '6 − 2 =');
+  });
+
+  it('does nothing without a previous operation', () => {
+    assert.equal(createCalculator().press('7', '=', '='), '7');
+  });
+});
+
+describe('division by zero', () => {
+  it('shows an error and marks the display', () => {
+    const { display, engine, press } = createCalculator();
+    assert.equal(press('1', '/', '0', '='), 'Error: Division by zero');
+    assert.equal(engine.getState().error, 'Error: Division by zero');
+    assert.equal(display.classList.contains('error'), true);
+  });
+
+  it('reports 0 ÷ 0 and chained division the same way', () => {
+    assert.equal(createCalculator().press('0', '/', '0', '='), 'Error: Division by zero');
+    assert.equal(createCalculator().press('5', '/', '0', '+'), 'Error: Division by zero');
+  });
+
+  it('emits an error event', () => {
+    const { engine, press } = createCalculator();
+    const messages = [];
+    engine.on('error', (message) => messages.push(message));
+    press('1', '/', '0', '=');
+    assert.deepEqual(messages, ['Error: Division by zero']);
+  });
+
+  it('recovers on the next digit', () => {
+    const { display, press } = createCalculator();
+    assert.equal(press('1', '/', '0', '=', '4'), '4');
+    assert.equal(display.classList.contains('error'), false);
+    assert.equal(press('+', '1', '='), '5');
+  });
+
+  it('fails the same way in decimal mode', () => {
+    assert.equal(createCalculator(DECIMAL).press('1', '/', '0', '='), 'Error: Division by zero');
+  });
+});
+
+describe('decimal edge cases', () => {
+  it('hides float noise on the display but keeps it in the engine', () => {
+    const { engine, press } = createCalculator();
+    assert.equal(press('0', '.', '1', '+', '0', '.', '2', '='), '0.3');
+    assert.equal(engine.getState().display, '0.30000000000000004');
+  });
+
+  it('is exact in decimal mode', () => {
+    const { engine, press } = createCalculator(DECIMAL);
+    assert.equal(press('0', '.', '1', '+', '0', '.', '2', '='), '0.3');
+    assert.equal(engine.getState().display, '0.3');
+  });
+
+  it('rounds repeating fractions to the configured precision', () => {
+    const { engine, press } = createCalculator(DECIMAL);
+    assert.equal(press('2', '/', '3', '='), '0.66666666667');
+    assert.equal(engine.getState().display, '0.666666666667');
+  });
+
+  it('adds decimals that start with the point', () => {
+    assert.equal(createCalculator(DECIMAL).press('.', '5', '+', '.', '2', '5', '='), '0.75');
+  });
+
+  it('switches to engineering notation beyond the digit limit', () => {
+    const { press } = createCalculator();
+    assert.equal(press('9', '9', '9', '9', '9', '9', '*', '9', '9', '9', '9', '9', '9', '9', '='), '9.999989e12');
+  });
+
+  it('rejects exponents too large to expand in decimal mode', () => {
+    const engine = new CalculatorEngine(DECIMAL);
+    assert.throws(() => engine.evaluate('1e99999999'), /Exponent out of range/);
+    assert.throws(() => engine.evaluate('1e-99999999 + 1'), /Exponent out of range/);
+    assert.equal(engine.numeric.format(engine.evaluate('2e3 + 1')), '2001');
+  });
+
+  it('reports results beyond the double range as an overflow in float mode', () => {
+    const engine = new CalculatorEngine();
+    assert.throws(() => engine.evaluate('1e308 * 10'), /Overflow/);
+    assert.throws(() => engine.evaluate('-1e308 - 1e308'), /Overflow/);
+    assert.throws(() => engine.evaluate('1e308 / 0.1'), /Overflow/);
+    const { press } = createCalculator();
+    assert.equal(press('1', '0', '^', '3', '0', '8', '=', '*', '1', '0', '='), 'Error: Overflow');
+  });
+
+  it('reports a power that cannot fit as an overflow before multiplying', () => {
+    const numeric = createBackend(DECIMAL);
+    let products = 0;
+    const counting = {
+      ...numeric,
+      multiply: (a, b) => {
+        products++;
+        return numeric.multiply(a, b);
+      },
+    };
+    const { power } = createScientific(counting);
+    assert.throws(() => power(numeric.parse('1e300'), numeric.parse('10000')), /Overflow/);
+    assert.throws(() => power(numeric.parse('0.5'), numeric.parse('-2000')), /Overflow/);
+    assert.equal(products, 0);
+    assert.equal(numeric.format(power(numeric.parse('0.5'), numeric.parse('2000'))), '0');
+  });
+
+  it('rejects number text with anything after the number', () => {
+    const float = new CalculatorEngine().numeric;
+    assert.throws(() => float.parse('1abc'), /Invalid number '1abc'/);
+    assert.equal(float.parse(' -1.5e3 '), -1500);
+    assert.equal(float.parse('.5'), 0.5);
+  });
+
+  it('formats for the display locale', () => {
+    const { press } = createCalculator({ ...DECIMAL, locale: 'de-DE' });
+    assert.equal(press('1', '2', '3', '4', '.', '5', '*', '2', '='), '2.469');
+    assert.equal(press('C', '1', '2', '3', '4', ',', '5'), '1.234,5');
+  });
+
+  it('reads numbers written for the display locale', () => {
+    const german = createDisplayFormatter({ locale: 'de-DE' });
+    assert.equal(german.parse('1,5'), '1.5');
+    assert.equal(german.parse(' 1.234.567,25 '), '1234567.25');
+    assert.equal(german.parse(german.format('-1234.5')), '-1234.5');
+    assert.equal(createDisplayFormatter({ locale: 'en-US' }).parse('1,234.5'), '1234.5');
+  });
+});
@@ -0,0 +1,44 @@
+// graph.test.js - View transforms and zoom limits in graph.js
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const CalcGraph = require('../graph.js');
+
+const WIDTH = 400;
+const HEIGHT = 300;
+
+describe('zoomView', () => {
+  it('keeps the point under the pointer in place', () => {
+    const view = CalcGraph.zoomView(CalcGraph.createView(), 2, WIDTH, HEIGHT, 300, 100);
+    const before = CalcGraph.toGraph(CalcGraph.createView(), WIDTH, HEIGHT, 300, 100);
+    const after = CalcGraph.toGraph(view, WIDTH, HEIGHT, 300, 100);
+    assert.ok(Math.abs(after.x - before.x) < 1e-12);
+    assert.ok(Math.abs(after.y - before.y) < 1e-12);
+    assert.equal(view.scale, 0.025);
+  });
+
+  it('stops zooming out at the largest scale', () => {
+    let view = CalcGraph.createView();
+    for (let i = 0; i < 200; i++) view = CalcGraph.zoomView(view, 0.1, WIDTH, HEIGHT);
+    assert.equal(view.scale, 1e12);
+  });
+
+  it('stops zooming in where grid steps would vanish in rounding', () => {
+    let view = CalcGraph.createView({ centerX: 1e6, centerY: -5 });
+    for (let i = 0; i < 200; i++) view = CalcGraph.zoomView(view, 10, WIDTH, HEIGHT);
+    assert.ok(view.scale >= 1e6 * 1e-12);
+    const step = CalcGraph.gridStep(view.scale);
+    assert.notEqual(view.centerX + step, view.centerX);
+  });
+});
+
+describe('clampScale', () => {
+  it('leaves scales within the limits alone', () => {
+    assert.equal(CalcGraph.clampScale(0.05, 0, 0), 0.05);
+  });
+
+  it('raises the smallest scale with the coordinates in view', () => {
+    assert.equal(CalcGraph.clampScale(1e-20, 0, 0), 1e-12);
+    assert.equal(CalcGraph.clampScale(1e-20, 0, -1e9), 1e-3);
+  });
+});
@@ -0,0 +1,206 @@
+// helpers.js - Shared fixtures for the headless test suite
+// --------------------------------------------------
+// A fake display element for driving Calculator (app.js) directly, and a
+// minimal DOM stand-in that loads the page's scripts in order, so the
+// keyboard wiring in script.js can be exercised without a browser.
+// --------------------------------------------------
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const { Calculator } = require('../app.js');
+const { actionForButton, actionForKey } = require('../engine.js');
+
+const ROOT = path.join(__dirname, '..');
+
+/**
+ * Just enough of an HTMLElement for the calculator UI code: value and text,
+ * attributes, class list, listeners and children.
+ */
+class FakeElement {
+  constructor(id = '') {
+    this.id = id;
+    this.value = '';
+    this.textContent = '';
+    this.hidden = false;
+    this.disabled = false;
+    this.tabIndex = 0;
+    this.dataset = {};
+    this.style = { setProperty() {} };
+    this.children = [];
+    this.attributes = {};
+    this.listeners = {};
+    const classes = new Set();
+    this.classList = {
+      add: (name) => classes.add(name),
+      remove: (name) => classes.delete(name),
+      contains: (name) => classes.has(name),
+      toggle: (name, force = !classes.has(name)) => {
+        if (force) classes.add(name);
+        else classes.delete(name);
+        return force;
+      },
+    };
+  }
+
+  set innerHTML(html) {
+    this.children = [];
+    this.textContent = html;
+  }
+
+  get innerHTML() {
+    return this.textContent;
+  }
+
+  setAttribute(name, value) {
+    this.attributes[name] = String(value);
+  }
+
+  getAttribute(name) {
+    return name in this.attributes ? this.attributes[name] : null;
+  }
+
+  removeAttribute(name) {
+    delete this.attributes[name];
+  }
+
+  addEventListener(type, handler) {
+    (this.listeners[type] = this.listeners[type] || []).push(handler);
+  }
+
+  appendChild(child) {
+    this.children.push(child);
+    return child;
+  }
+
+  append(...children) {
+    this.children.push(...children);
+  }
+
+  querySelector() {
+    return null;
+  }
+
+  querySelectorAll() {
+    return [];
+  }
+
+  matches() {
+    return false;
+  }
+
+  closest() {
+    return null;
+  }
+
+  focus() {}
+}
+
+/**
+ * A Calculator bound to fake display elements, in the en-US locale so
+ * display text is predictable.
+ * @param {Object} [options] - Calculator options, e.g. { numeric: 'decimal' }
+ */
+function createCalculator(options = {}) {
+  const display = new FakeElement('display');
+  const expression = new FakeElement('expression');
+  const calculator = new Calculator(display, { locale: 'en-US', ...options }, expression);
+  const { engine } = calculator;
+  const context = () => ({ ...engine.getState(), decimalSeparator: calculator.formatter.decimalSeparator });
+
+  /** Press keypad buttons by their data-value, e.g. press('1', '+', '2', '='). */
+  function press(...values) {
+    values.forEach((value) => {
+      const action = actionForButton(value, context());
+      if (action) engine.dispatch(action);
+    });
+    return display.value;
+  }
+
+  /** Press keyboard keys by KeyboardEvent#key, e.g. type('1', '*', '2', 'Enter'). */
+  function type(...keys) {
+    keys.forEach((key) => {
+      const action = actionForKey(key, context());
+      if (action) engine.dispatch(action);
+    });
+    return display.value;
+  }
+
+  return { calculator, engine, display, expression, press, type };
+}
+
+/**
+ * Load index.html's scripts into a fresh context with a stand-in document,
+ * as the browser would.
+ * @returns {{window: Object, elements: Object<string, FakeElement>, keydown: Function}}
+ */
+function loadPage() {
+  const elements = {};
+  ['display', 'expression', 'announcer', 'alert', 'memory-list', 'history-tape'].forEach((id) => {
+    elements[id] = new FakeElement(id);
+  });
+  elements['memory-slot'] = new FakeElement('memory-slot');
+  elements['memory-slot'].value = 'M';
+  const container = new FakeElement('calculator');
+  container.dataset = { numeric: 'decimal', precision: '12', locale: 'en-US' };
+
+  const documentListeners = {};
+  const storage = {};
+  const window = {
+    console,
+    setTimeout: (fn) => fn(),
+    localStorage: {
+      getItem: (key) => (key in storage ? storage[key] : null),
+      setItem: (key, value) => {
+        storage[key] = String(value);
+      },
+    },
+    addEventListener() {},
+    document: {
+      body: new FakeElement('body'),
+      getElementById: (id) => elements[id] || null,
+      querySelector: (selector) => (selector === '.calculator' ? container : null),
+      querySelectorAll: () => [],
+      createElement: () => new FakeElement(),
+      addEventListener: (type, handler) => {
+        documentListeners[type] = handler;
+      },
+    },
+  };
+  window.window = window;
+  vm.createContext(window);
+  const html = fs.readFileSync(path.join(ROOT, 'index.html'), 'utf8');
+  for (const [, src] of html.matchAll(/<script src="([^"]+)"><\/script>/g)) {
+    vm.runInContext(fs.readFileSync(path.join(ROOT, src), 'utf8'), window, { filename: src });
+  }
+
+  /**
+   * Send a keydown to the document, as if focus were on the page body.
+   * @returns {boolean} whether the handler called preventDefault
+   */
+  function keydown(key, { target = window.document.body, ...modifiers } = {}) {
+    let prevented = false;
+    documentListeners.keydown({ key, target, ...modifiers, preventDefault: () => (prevented = true) });
+    return prevented;
+  }
+
+  return { window, elements, keydown };
+}
+
+/**
+ * Small seeded PRNG (mulberry32) so property-based tests are reproducible.
+ * @param {number} seed
+ * @returns {function(): number} uniform in [0, 1)
+ */
+function seededRandom(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+module.exports = { FakeElement, createCalculator, loadPage, seededRandom };
@@ -0,0 +1,133 @@
+// keyboard.test.js - Key mapping (engine.js) and the keydown wiring in script.js
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { actionForKey } = require('../engine.js');
+const { FakeElement, createCalculator, loadPage } = require('./helpers.js');
+
+describe('actionForKey', () => {
+  it('maps digits, the decimal point and operators', () => {
+    assert.deepEqual(actionForKey('7'), { type: 'digit', value: '7' });
+    assert.deepEqual(actionForKey('.'), { type: 'digit', value: '.' });
+    ['+', '-', '*', '/', '^'].forEach((key) => {
+      assert.deepEqual(actionForKey(key), { type: 'operator', value: key });
+    });
+  });
+
+  it('maps editing and evaluation keys', () => {
+    assert.deepEqual(actionForKey('Enter'), { type: 'equals' });
+    assert.deepEqual(actionForKey('='), { type: 'equals' });
+    assert.deepEqual(actionForKey('Escape'), { type: 'clear' });
+    assert.deepEqual(actionForKey('Delete'), { type: 'clearEntry' });
+    assert.deepEqual(actionForKey('Backspace'), { type: 'backspace' });
+    assert.deepEqual(actionForKey('F9'), { type: 'negate' });
+    assert.deepEqual(actionForKey('%'), { type: 'percent' });
+  });
+
+  it('maps scientific letters', () => {
+    assert.deepEqual(actionForKey('s'), { type: 'function', value: 'sin' });
+    assert.deepEqual(actionForKey('S'), { type: 'function', value: 'asin' });
+    assert.deepEqual(actionForKey('p'), { type: 'constant', value: 'pi' });
+    assert.deepEqual(actionForKey('d'), { type: 'angleMode' });
+  });
+
+  it('accepts a comma only where it is the decimal separator', () => {
+    assert.equal(actionForKey(','), null);
+    assert.deepEqual(actionForKey(',', { decimalSeparator: ',' }), { type: 'digit', value: '.' });
+  });
+
+  it('maps hex digits and bitwise keys in programmer mode only', () => {
+    const programmer = { mode: 'programmer' };
+    assert.deepEqual(actionForKey('a', programmer), { type: 'digit', value: 'A' });
+    assert.deepEqual(actionForKey('^', programmer), { type: 'operator', value: 'xor' });
+    assert.deepEqual(actionForKey('~', programmer), { type: 'not' });
+    assert.deepEqual(actionForKey('^'), { type: 'operator', value: '^' });
+    assert.deepEqual(actionForKey('e'), { type: 'constant', value: 'e' });
+  });
+
+  it('leaves & and | unmapped outside programmer mode', () => {
+    assert.equal(actionForKey('&'), null);
+    assert.equal(actionForKey('|', { mode: 'standard' }), null);
+    assert.deepEqual(actionForKey('&', { mode: 'programmer' }), { type: 'operator', value: '&' });
+  });
+
+  it('ignores unmapped keys', () => {
+    assert.equal(actionForKey('q'), null);
+    assert.equal(actionForKey('Shift'), null);
+  });
+});
+
+describe('typing a calculation', () => {
+  it('gives the same result as the keypad', () => {
+    const keyboard = createCalculator();
+    const keypad = createCalculator();
+    assert.equal(keyboard.type('1', '2', '*', '3', 'Enter'), keypad.press('1', '2', '*', '3', '='));
+  });
+
+  it('reports an operator the mode lacks as an error instead of throwing', () => {
+    const { engine } = createCalculator();
+    const messages = [];
+    engine.on('error', (message) => messages.push(message));
+    const state = engine.dispatch({ type: 'operator', value: '&' });
+    assert.equal(state.display, "Error: Operator '&' is only available in programmer mode");
+    assert.deepEqual(messages, [state.display]);
+  });
+
+  it('edits with Backspace, Delete and Escape', () => {
+    const { type } = createCalculator();
+    assert.equal(type('1', '2', '3', 'Backspace'), '12');
+    assert.equal(type('+', '9', 'Delete', '1', 'Enter'), '13');
+    assert.equal(type('Escape'), '0');
+  });
+});
+
+describe('script.js keydown handler', () => {
+  it('drives the page display', () => {
+    const { elements, keydown } = loadPage();
+    ['1', '2', '+', '3', 'Enter'].forEach((key) => keydown(key));
+    assert.equal(elements.display.value, '15');
+    assert.equal(elements.announcer.textContent, '12 + 3 equals 15');
+  });
+
+  it('ignores & in standard mode instead of throwing', () => {
+    const { elements, keydown } = loadPage();
+    keydown('6');
+    assert.equal(keydown('&'), false);
+    assert.equal(elements.display.value, '6');
+  });
+
+  it('prevents the default action only for mapped keys', () => {
+    const { keydown } = loadPage();
+    assert.equal(keydown('5'), true);
+    assert.equal(keydown('q'), false);
+  });
+
+  it('leaves browser shortcuts alone', () => {
+    const { elements, keydown } = loadPage();
+    assert.equal(keydown('5', { ctrlKey: true }), false);
+    assert.equal(elements.display.value, '0');
+  });
+
+  it('ignores keys typed into form fields', () => {
+    const { elements, keydown } = loadPage();
+    const field = new FakeElement('convert-value');
+    field.matches = () => true;
+    keydown('7', { target: field });
+    assert.equal(elements.display.value, '0');
+  });
+
+  it('lets Enter press a focused button instead of evaluating', () => {
+    const { elements, keydown } = loadPage();
+    const button = new FakeElement();
+    button.closest = (selector) => (selector === 'button' ? button : null);
+    ['2', '+', '2'].forEach((key) => keydown(key));
+    assert.equal(keydown('Enter', { target: button }), false);
+    assert.equal(elements.display.value, '2');
+  });
+
+  it('announces errors through the alert region', () => {
+    const { elements, keydown } = loadPage();
+    ['1', '/', '0', 'Enter'].forEach((key) => keydown(key));
+    assert.equal(elements.alert.textContent, 'Error: Division by zero');
+  });
+});
@@ -0,0 +1,204 @@
+// property.test.js - Randomised calculations checked against a reference evaluator
+// Inputs come from a seeded generator, so a failure names the seed and run
+// that reproduce it.
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { CalculatorEngine } = require('../engine.js');
+const { createCalculator, seededRandom } = require('./helpers.js');
+
+const RUNS = 300;
+const SEED = 20240611;
+
+// --------------------------------------------------
+// Reference arithmetic: exact scaled integers, independent of numeric.js
+// --------------------------------------------------
+/** @returns {{coefficient: bigint, scale: number}} */
+function exact(text) {
+  const [whole, fraction = ''] = text.split('.');
+  return { coefficient: BigInt(whole + fraction), scale: fraction.length };
+}
+
+function align(a, b) {
+  const scale = Math.max(a.scale, b.scale);
+  return [a.coefficient * 10n ** BigInt(scale - a.scale), b.coefficient * 10n ** BigInt(scale - b.scale), scale];
+}
+
+const EXACT_OPERATIONS = {
+  '+': (a, b) => {
+    const [x, y, scale] = align(a, b);
+    return { coefficient: x + y, scale };
+  },
+  '-': (a, b) => {
+    const [x, y, scale] = align(a, b);
+    return { coefficient: x - y, scale };
+  },
+  '*': (a, b) => ({ coefficient: a.coefficient * b.coefficient, scale: a.scale + b.scale }),
+};
+
+/** Plain decimal text, e.g. { coefficient: -1250n, scale: 3 } → '-1.25'. */
+function exactText({ coefficient, scale }) {
+  const negative = coefficient < 0n;
+  const digits = (negative ? -coefficient : coefficient).toString().padStart(scale + 1, '0');
+  const whole = digits.slice(0, digits.length - scale);
+  const fraction = digits.slice(digits.length - scale).replace(/0+$/, '');
+  const text = fraction ? `${whole}.${fraction}` : whole;
+  return negative && text !== '0' ? `-${text}` : text;
+}
+
+const FLOAT_OPERATIONS = {
+  '+': (a, b) => a + b,
+  '-': (a, b) => a - b,
+  '*': (a, b) => a * b,
+  '/': (a, b) => {
+    if (b === 0) throw new Error('Division by zero');
+    return a / b;
+  },
+};
+
+// --------------------------------------------------
+// Generators
+// --------------------------------------------------
+const pick = (random, items) => items[Math.floor(random() * items.length)];
+
+/** Non-negative number text with at most `fractionDigits` decimals, e.g. '407' or '3.5'. */
+function literal(random, fractionDigits = 1) {
+  const whole = String(Math.floor(random() * (random() < 0.5 ? 10 : 1000)));
+  if (fractionDigits === 0 || random() < 0.5) return whole;
+  const digits = 1 + Math.floor(random() * fractionDigits);
+  return `${whole}.${String(Math.floor(random() * 10 ** digits)).padStart(digits, '0')}`;
+}
+
+/**
+ * Random expression tree and its source text. Every operation is
+ * parenthesised, so the text means exactly what the tree does.
+ */
+function expression(random, operators, depth) {
+  if (depth === 0 || random() < 0.25) {
+    const text = literal(random);
+    return { text, evaluate: (ops) => ops.number(text) };
+  }
+  if (random() < 0.15) {
+    const inner = expression(random, operators, depth - 1);
+    return { text: `-(${inner.text})`, evaluate: (ops) => ops.negate(inner.evaluate(ops)) };
+  }
+  const operator = pick(random, operators);
+  const left = expression(random, operators, depth - 1);
+  const right = expression(random, operators, depth - 1);
+  return {
+    text: `(${left.text} ${operator} ${right.text})`,
+    evaluate: (ops) => ops[operator](left.evaluate(ops), right.evaluate(ops)),
+  };
+}
+
+const EXACT = { ...EXACT_OPERATIONS, number: exact, negate: (a) => ({ ...a, coefficient: -a.coefficient }) };
+const FLOAT = { ...FLOAT_OPERATIONS, number: parseFloat, negate: (a) => -a };
+
+/** Run `check(random, label)` RUNS times; `label` names the seed and run. */
+function forAll(check) {
+  const random = seededRandom(SEED);
+  for (let run = 0; run < RUNS; run++) {
+    check(random, `seed ${SEED}, run ${run}`);
+  }
+}
+
+describe('typed expressions', () => {
+  it('are exact in decimal mode', () => {
+    forAll((random, label) => {
+      // Depth 3 with one-decimal literals keeps products within 12 fraction digits
+      const expr = expression(random, ['+', '-', '*'], 3);
+      const engine = new CalculatorEngine({ numeric: 'decimal', precision: 12 });
+      const actual = engine.numeric.format(engine.evaluate(expr.text));
+      assert.equal(actual, exactText(expr.evaluate(EXACT)), `${expr.text} (${label})`);
+    });
+  });
+
+  it('match IEEE double arithmetic in float mode', () => {
+    forAll((random, label) => {
+      const expr = expression(random, ['+', '-', '*', '/'], 3);
+      const engine = new CalculatorEngine();
+      let expected;
+      try {
+        expected = expr.evaluate(FLOAT);
+      } catch (err) {
+        assert.throws(() => engine.evaluate(expr.text), /Division by zero/, `${expr.text} (${label})`);
+        return;
+      }
+      assert.equal(engine.evaluate(expr.text), expected, `${expr.text} (${label})`);
+    });
+  });
+});
+
+describe('keypad sequences', () => {
+  /**
+   * Random `a op b op c … =` with 2–5 operands. Divisors are never zero:
+   * an error part-way through restarts the calculation, which is covered
+   * on its own below.
+   */
+  function sequence(random, operators) {
+    const operands = [literal(random)];
+    const ops = [];
+    const count = 1 + Math.floor(random() * 4);
+    for (let i = 0; i < count; i++) {
+      const op = pick(random, operators);
+      let operand = literal(random);
+      while (op === '/' && parseFloat(operand) === 0) operand = literal(random);
+      ops.push(op);
+      operands.push(operand);
+    }
+    const keys = [...operands[0]];
+    ops.forEach((op, i) => keys.push(op, ...operands[i + 1]));
+    keys.push('=');
+    return { operands, ops, keys };
+  }
+
+  it('follow operator precedence, and repeated = replays the last operation', () => {
+    forAll((random, label) => {
+      const { operands, ops, keys } = sequence(random, ['+', '-', '*', '/']);
+      const repeats = Math.floor(random() * 3);
+      const { engine, press } = createCalculator();
+      press(...keys, ...Array(repeats).fill('='));
+      const name = `${keys.join(' ')}${' ='.repeat(repeats)} (${label})`;
+
+      // × and ÷ first, then + and − from left to right
+      const terms = [parseFloat(operands[0])];
+      const signs = [];
+      ops.forEach((op, i) => {
+        const operand = parseFloat(operands[i + 1]);
+        if (op === '*' || op === '/') {
+          terms.push(FLOAT_OPERATIONS[op](terms.pop(), operand));
+        } else {
+          terms.push(operand);
+          signs.push(op);
+        }
+      });
+      let expected = signs.reduce((acc, op, i) => FLOAT_OPERATIONS[op](acc, terms[i + 1]), terms[0]);
+      for (let i = 0; i < repeats; i++) {
+        expected = FLOAT_OPERATIONS[ops[ops.length - 1]](expected, parseFloat(operands[operands.length - 1]));
+      }
+      assert.equal(engine.getState().error, null, name);
+      assert.equal(engine.getState().display, String(expected), name);
+    });
+  });
+
+  it('end in the division-by-zero error whatever came before', () => {
+    forAll((random, label) => {
+      const { keys } = sequence(random, ['+', '-', '*', '/']);
+      const { engine, press } = createCalculator();
+      const zero = pick(random, [['0'], ['0', '.', '0'], ['.', '0']]);
+      press(...keys.slice(0, -1), '/', ...zero, '=');
+      assert.equal(engine.getState().error, 'Error: Division by zero', `${keys.join(' ')} / 0 (${label})`);
+    });
+  });
+
+  it('record an expression that re-evaluates to the same result', () => {
+    forAll((random, label) => {
+      const { keys } = sequence(random, ['+', '-', '*']);
+      const { engine, press } = createCalculator({ numeric: 'decimal', precision: 12 });
+      press(...keys);
+      const { lastExpression, display } = engine.getState();
+      const again = new CalculatorEngine({ numeric: 'decimal', precision: 12 });
+      assert.equal(again.numeric.format(again.evaluate(lastExpression)), display, `${lastExpression} (${label})`);
+    });
+  });
+});
@@ -1,7 +1,40 @@
 // app.js
 
+const PRIORITIES = ['low', 'medium', 'high'];
+const FILTERS = ['all', 'active', 'completed'];
+const SORTS = ['manual', 'created', 'due', 'priority', 'alpha'];
+const RECURRENCES = ['daily', 'weekdays', 'weekly', 'monthly', 'interval'];
+
 // Task class definition
 class Task {
+    /**
+     * @param {string} text
+     * @param {Object} [details]
+     * @param {string|null} [details.dueDate] - local date 'YYYY-MM-DD'
+     * @param {string|null} [details.dueTime] - local time 'HH:MM'; only with a date
+     * @param {'low'|'medium'|'high'} [details.priority='medium']
+     * @param {string} [details.notes]
+     * @param {Object|null} [details.recurrence] - see normalizeRecurrence()
+     */
+    constructor(text, { dueDate = null, dueTime = null, priority = 'medium', notes = '', recurrence = null } = {}) {
+        this.id = crypto.randomUUID();
+        this.text = text;
+        this.completed = false;
+        this.createdAt = Date.now();
+        this.dueDate = dueDate || null;
+        this.dueTime = (dueDate && dueTime) || null;
+        this.priority = PRIORITIES.includes(priority) ? priority : 'medium';
+        this.notes = notes;
+        this.reminded = false; // reminder already shown for the current due time
+        this.subtasks = [];
+        this.recurrence = normalizeRecurrence(recurrence, this.dueDate);
+        this.completions = []; // [{completedAt, dueDate}] of earlier occurrences, oldest first
+        this.nextOccurrence = null; // id of the task completing this one added, see markReopened()
+    }
+}
+
+// A checklist item inside a task
+class Subtask {
     constructor(text) {
         this.id = crypto.randomUUID();
         this.text = text;
@@ -9,147 +42,2603 @@ class Task {
     }
 }
 
-// Array to hold tasks
+// A named list of tasks (Work, Home, …)
+class TaskList {
+    constructor(name) {
+        this.id = crypto.randomUUID();
+        this.name = name;
+        this.tasks = [];
+    }
+}
+
+// All lists, and the id of the one shown
+let lists = [];
+let activeListId = null;
+
+// Where lists are saved (see storage.js); null until loaded, or when nothing can be saved
+let storage = null;
+
+// Saved data that could not be read, kept for the user to download
+const unreadableData = [];
+
+// Tasks of the active list; written back to it by saveState()
 let tasks = [];
 
+// Pending timer for the next due time, see scheduleDueCheck()
+let dueTimer = null;
+
+// What each change (undo) and each undo (redo) touched, as it was before; see recordChange().
+// A stack keeps at most HISTORY_LIMIT entries and HISTORY_SIZE characters of saved JSON.
+const undoHistory = { undo: [], redo: [] };
+const HISTORY_LIMIT = 100;
+const HISTORY_SIZE = 2 * 1024 * 1024;
+
+// Timer hiding the Undo toast
+let toastTimer = null;
+const TOAST_MS = 6000;
+
+// Task being dragged by its handle: { li, pointerId }
+let drag = null;
+
+// Ids of tasks whose details panel is open, kept across re-renders
+const expandedTasks = new Set();
+
+// Ids of tasks whose subtask checklist is open
+const openSubtasks = new Set();
+
+// Task being edited in place and its unsaved text, kept across re-renders
+const editing = { id: null, draft: '' };
+
+// List being renamed in the sidebar and its unsaved name, kept across re-renders
+const renaming = { id: null, draft: '' };
+
+// Each task's rendered <li> and the state it shows (see itemKey()), reused until that changes
+const renderedItems = new Map();
+
+// Past VIRTUALIZE_AFTER shown tasks, only those near the viewport are rendered.
+// Heights of items rendered so far (margin included) place the others.
+const VIRTUALIZE_AFTER = 200;
+const OVERSCAN_PX = 800;
+const ESTIMATED_ITEM_HEIGHT = 70;
+const itemHeights = new Map();
+
+// Tasks renderTasks() last showed, in order, and the slice of them in the list
+let shownTasks = [];
+const renderedRange = { start: 0, end: 0 };
+
+// Pending re-render of the rendered slice after scrolling
+let windowFrame = null;
+
+// Task picked with j/k, which x, e and dd act on; and when d was pressed, for dd
+let selectedId = null;
+let lastDPress = 0;
+const CHORD_MS = 800;
+
+// Open command palette: its matching items, the highlighted one and where focus was
+const palette = { items: [], active: 0, returnFocus: null };
+const PALETTE_LIMIT = 50;
+
+// The browser's deferred offer to install the app, and a downloaded new version of it
+let installPrompt = null;
+let waitingWorker = null;
+
+// What the list shows; the filter lives in the URL hash (#/active), the sort in localStorage
+const view = {
+    filter: 'all',
+    search: '',
+    sort: 'manual', // the order tasks were dragged into
+    tag: null, // show only tasks with this #tag
+};
+
 // DOM Elements
 const taskForm = document.getElementById('task-form');
 const newTaskInput = document.getElementById('new-task');
+const newDueDate = document.getElementById('new-due-date');
+const newDueTime = document.getElementById('new-due-time');
+const newPriority = document.getElementById('new-priority');
+const newNotes = document.getElementById('new-notes');
+const newRecurrence = document.getElementById('new-recurrence');
 const taskList = document.getElementById('task-list');
+const reminderList = document.getElementById('reminders');
+const searchInput = document.getElementById('search');
+const sortSelect = document.getElementById('sort');
+const filterLinks = document.querySelectorAll('.filters a');
+const remainingCount = document.getElementById('remaining-count');
+const clearCompletedBtn = document.getElementById('clear-completed');
+const emptyMessage = document.getElementById('empty-message');
+const listNav = document.getElementById('list-nav');
+const newListForm = document.getElementById('new-list-form');
+const newListInput = document.getElementById('new-list-name');
+const listTitle = document.getElementById('list-title');
+const tagFilter = document.getElementById('tag-filter');
+const announcer = document.getElementById('announcer');
+const toast = document.getElementById('toast');
+const toastMessage = document.getElementById('toast-message');
+const toastUndoBtn = document.getElementById('toast-undo');
+const exportFormat = document.getElementById('export-format');
+const exportBtn = document.getElementById('export-button');
+const importForm = document.getElementById('import-form');
+const importFile = document.getElementById('import-file');
+const dataStatus = document.getElementById('data-status');
+const storageNotice = document.getElementById('storage-notice');
+const downloadCorruptBtn = document.getElementById('download-corrupt');
+const dismissNoticeBtn = document.getElementById('dismiss-notice');
+const installBtn = document.getElementById('install-button');
+const updateNotice = document.getElementById('update-notice');
+const reloadAppBtn = document.getElementById('reload-app');
+const dismissUpdateBtn = document.getElementById('dismiss-update');
+const commandPalette = document.getElementById('command-palette');
+const paletteInput = document.getElementById('palette-input');
+const paletteResults = document.getElementById('palette-results');
+const shortcutHelp = document.getElementById('shortcut-help');
+const closeShortcutsBtn = document.getElementById('close-shortcuts');
+
+// Due dates
+
+/**
+ * Moment a task becomes overdue: its due time, or the end of its due day
+ * when no time is set.
+ * @returns {Date|null}
+ */
+function dueMoment(task) {
+    if (!task.dueDate) return null;
+    const [year, month, day] = task.dueDate.split('-').map(Number);
+    if (task.dueTime) {
+        const [hours, minutes] = task.dueTime.split(':').map(Number);
+        return new Date(year, month - 1, day, hours, minutes);
+    }
+    return new Date(year, month - 1, day + 1);
+}
+
+function isOverdue(task, now = new Date()) {
+    const due = dueMoment(task);
+    return !task.completed && due !== null && due <= now;
+}
+
+/** Due date for display, e.g. 'Mon, Oct 20, 2:30 PM'. */
+function formatDue(task) {
+    const [year, month, day] = task.dueDate.split('-').map(Number);
+    const date = new Date(year, month - 1, day);
+    const text = date.toLocaleDateString(undefined, { weekday: 'short', month: 'short', day: 'numeric' });
+    if (!task.dueTime) return text;
+    return `${text}, ${dueMoment(task).toLocaleTimeString(undefined, { hour: 'numeric', minute: '2-digit' })}`;
+}
+
+// Recurrence
+
+/** 'YYYY-MM-DD' → local midnight. */
+function parseDate(text) {
+    const [year, month, day] = text.split('-').map(Number);
+    return new Date(year, month - 1, day);
+}
+
+/** Local date → 'YYYY-MM-DD'. */
+function formatISODate(date) {
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+/** Short weekday name, 0 = Sunday. */
+function weekdayName(day) {
+    // 4 January 1970 was a Sunday
+    return new Date(1970, 0, 4 + day).toLocaleDateString(undefined, { weekday: 'short' });
+}
+
+/**
+ * A usable recurrence rule, or null for none:
+ *   {freq: 'daily'} | {freq: 'weekdays'} | {freq: 'weekly', days: [1, 4]} (0 = Sunday)
+ *   | {freq: 'monthly', monthDay?: 31} | {freq: 'interval', interval: 3} (every 3 days)
+ * A weekly rule without days repeats on the due date's weekday, or today's.
+ * @param {Object|null} rule
+ * @param {string|null} [dueDate]
+ */
+function normalizeRecurrence(rule, dueDate = null) {
+    if (!rule || !RECURRENCES.includes(rule.freq)) return null;
+    const normalized = { freq: rule.freq };
+    if (rule.freq === 'weekly') {
+        const days = Array.isArray(rule.days) ? rule.days.filter(day => Number.isInteger(day) && day >= 0 && day <= 6) : [];
+        normalized.days = days.length ? [...new Set(days)].sort((a, b) => a - b) : [(dueDate ? parseDate(dueDate) : new Date()).getDay()];
+    } else if (rule.freq === 'interval') {
+        normalized.interval = Number.isInteger(rule.interval) && rule.interval >= 1 ? rule.interval : 2;
+    } else if (rule.freq === 'monthly' && Number.isInteger(rule.monthDay) && rule.monthDay >= 1 && rule.monthDay <= 31) {
+        // The day of the month to come back to after a shorter month
+        normalized.monthDay = rule.monthDay;
+    }
+    return normalized;
+}
+
+/** E.g. 'Weekly on Mon, Thu' or 'Every 3 days'. */
+function describeRecurrence(rule) {
+    switch (rule.freq) {
+        case 'daily': return 'Daily';
+        case 'weekdays': return 'Weekdays';
+        case 'weekly': return `Weekly on ${rule.days.map(weekdayName).join(', ')}`;
+        case 'monthly': return 'Monthly';
+        default: return `Every ${rule.interval} days`;
+    }
+}
+
+/** The date one step after `date` under `rule`. */
+function advanceDate(rule, date) {
+    const next = new Date(date);
+    switch (rule.freq) {
+        case 'daily':
+            next.setDate(next.getDate() + 1);
+            break;
+        case 'interval':
+            next.setDate(next.getDate() + rule.interval);
+            break;
+        case 'weekdays':
+            do next.setDate(next.getDate() + 1); while (next.getDay() === 0 || next.getDay() === 6);
+            break;
+        case 'weekly':
+            do next.setDate(next.getDate() + 1); while (!rule.days.includes(next.getDay()));
+            break;
+        case 'monthly': {
+            // Day 0 of the month after next is the last day of next month
+            const lastDay = new Date(next.getFullYear(), next.getMonth() + 2, 0).getDate();
+            return new Date(next.getFullYear(), next.getMonth() + 1, Math.min(rule.monthDay, lastDay));
+        }
+    }
+    return next;
+}
+
+/**
+ * Due date of the occurrence after one due on `from`. Occurrences that
+ * have already passed are skipped, so a task done late comes back once.
+ * @param {Object} rule - with monthDay set for monthly rules
+ * @param {string} from - 'YYYY-MM-DD'
+ * @returns {string} 'YYYY-MM-DD'
+ */
+function nextDueDate(rule, from) {
+    const today = formatISODate(new Date());
+    let date = parseDate(from);
+    do {
+        date = advanceDate(rule, date);
+    } while (formatISODate(date) <= today);
+    return formatISODate(date);
+}
+
+/**
+ * Log a recurring task's completion and add its next occurrence after it.
+ * The new task carries the rule and the log; the finished one keeps neither.
+ * @returns {Task}
+ */
+function spawnNextOccurrence(task) {
+    const from = task.dueDate || formatISODate(new Date());
+    const rule = task.recurrence.freq === 'monthly' && !task.recurrence.monthDay
+        ? { ...task.recurrence, monthDay: parseDate(from).getDate() }
+        : task.recurrence;
+    const next = new Task(task.text, {
+        dueDate: nextDueDate(rule, from),
+        dueTime: task.dueTime,
+        priority: task.priority,
+        notes: task.notes,
+    });
+    next.recurrence = rule;
+    next.subtasks = task.subtasks.map(subtask => new Subtask(subtask.text));
+    next.completions = [...task.completions, { completedAt: Date.now(), dueDate: task.dueDate }];
+    task.recurrence = null;
+    task.completions = [];
+    task.nextOccurrence = next.id;
+    tasks.splice(tasks.indexOf(task) + 1, 0, next);
+    recordAddedTask(next.id);
+    announce(`Next "${next.text}" is due ${formatDue(next)}`);
+    return next;
+}
+
+/** Mark a task done; a recurring one also gets its next occurrence. */
+function markCompleted(task) {
+    if (task.completed) return;
+    task.completed = true;
+    if (task.recurrence) spawnNextOccurrence(task);
+}
+
+/**
+ * Mark a done task open again. A repeating one takes back its rule and
+ * log from the occurrence completing it added, and that occurrence goes,
+ * unless it has been completed too.
+ */
+function markReopened(task) {
+    if (!task.completed) return;
+    task.completed = false;
+    const next = tasks.find(t => t.id === task.nextOccurrence);
+    task.nextOccurrence = null;
+    if (!next || next.completed) return;
+    task.recurrence = next.recurrence;
+    task.completions = next.completions.slice(0, -1);
+    tasks.splice(tasks.indexOf(next), 1);
+    expandedTasks.delete(next.id);
+}
+
+/** Tasks reopening `task` changes, for recordChange(). */
+function reopenedIds(task) {
+    return task.completed && task.nextOccurrence ? [task.id, task.nextOccurrence] : [task.id];
+}
+
+// Lists
+
+function activeList() {
+    return lists.find(list => list.id === activeListId);
+}
+
+/** Tasks of every list, for reminders. */
+function allTasks() {
+    return lists.flatMap(list => (list.id === activeListId ? tasks : list.tasks));
+}
+
+function switchList(id) {
+    if (!lists.some(list => list.id === id)) return;
+    activeList().tasks = tasks;
+    activeListId = id;
+    tasks = activeList().tasks;
+    view.tag = null;
+    saveState();
+    renderTasks();
+}
+
+function createList(name) {
+    if (!name.trim()) return;
+    const list = new TaskList(name.trim());
+    recordListChange(`Add list "${list.name}"`, [list.id]);
+    lists.push(list);
+    switchList(list.id);
+}
+
+function renameList(id, name) {
+    const list = lists.find(l => l.id === id);
+    if (!list || !name.trim()) return;
+    recordListChange(`Rename list "${list.name}"`, [id]);
+    list.name = name.trim();
+    saveState({ changed: [id] });
+}
+
+/** Delete a list and its tasks; the last list cannot be deleted. */
+function deleteList(id) {
+    const deleted = lists.find(list => list.id === id);
+    if (!deleted || lists.length <= 1) return;
+    recordListChange(`Delete list "${deleted.name}"`, [id]);
+    const wasActive = id === activeListId;
+    if (wasActive) activeList().tasks = tasks;
+    lists = lists.filter(list => list.id !== id);
+    if (wasActive) {
+        activeListId = lists[0].id;
+        tasks = activeList().tasks;
+        view.tag = null;
+    }
+    saveState({ deleted: [id] });
+    renderTasks();
+    showUndoToast(`Deleted list "${deleted.name}"`);
+}
+
+/** Sidebar: one entry per list with its open-task count. */
+function renderLists() {
+    // A save while renaming rebuilds the editor; keep it focused
+    const renamingFocused = document.activeElement !== null && document.activeElement.classList.contains('rename-input');
+    listNav.innerHTML = '';
+    lists.forEach(list => {
+        const open = (list.id === activeListId ? tasks : list.tasks).filter(t => !t.completed).length;
+        const li = document.createElement('li');
+        li.dataset.id = list.id;
+
+        // Switch button, or the inline editor while renaming
+        let select;
+        if (list.id === renaming.id) {
+            select = document.createElement('input');
+            select.type = 'text';
+            select.className = 'rename-input';
+            select.value = renaming.draft;
+            select.setAttribute('aria-label', `Rename ${list.name}`);
+        } else {
+            select = document.createElement('button');
+            select.type = 'button';
+            select.className = 'list-select';
+            if (list.id === activeListId) select.setAttribute('aria-current', 'true');
+            const name = document.createElement('span');
+            name.textContent = list.name;
+            const count = document.createElement('span');
+            count.className = 'list-count';
+            count.textContent = open;
+            count.setAttribute('aria-label', `${open} open`);
+            select.appendChild(name);
+            select.appendChild(count);
+        }
+
+        const renameBtn = document.createElement('button');
+        renameBtn.type = 'button';
+        renameBtn.className = 'rename-list';
+        renameBtn.textContent = '✏️';
+        renameBtn.setAttribute('aria-label', `Rename ${list.name}`);
+
+        const deleteBtn = document.createElement('button');
+        deleteBtn.type = 'button';
+        deleteBtn.className = 'delete-list';
+        deleteBtn.textContent = '🗑️';
+        deleteBtn.setAttribute('aria-label', `Delete ${list.name}`);
+        deleteBtn.disabled = lists.length <= 1;
+
+        li.appendChild(select);
+        li.appendChild(renameBtn);
+        li.appendChild(deleteBtn);
+        listNav.appendChild(li);
+    });
+    listTitle.textContent = activeList().name;
+    if (renamingFocused) focusRenameInput();
+}
+
+/** Replace a list's name in the sidebar with an input holding it. */
+function startRenaming(id) {
+    const list = lists.find(l => l.id === id);
+    if (!list) return;
+    renaming.id = id;
+    renaming.draft = list.name;
+    renderLists();
+    const input = focusRenameInput();
+    if (input) input.select();
+}
+
+/** @returns {HTMLInputElement|null} the list name editor, focused */
+function focusRenameInput() {
+    const input = listNav.querySelector('.rename-input');
+    if (input) input.focus();
+    return input;
+}
+
+/** Save the new name; clearing it keeps the old one. */
+function commitRename() {
+    const { id, draft } = renaming;
+    if (!id) return;
+    renaming.id = null;
+    const list = lists.find(l => l.id === id);
+    if (list && draft.trim() && draft.trim() !== list.name) renameList(id, draft);
+    // Unchanged or empty: just close the editor
+    else renderLists();
+}
+
+function cancelRename() {
+    renaming.id = null;
+    renderLists();
+}
+
+/** After the list editor closes with the keyboard, focus the list's rename button. */
+function focusAfterRename(id) {
+    const button = listNav.querySelector(`li[data-id="${id}"] .rename-list`);
+    if (button) button.focus();
+}
+
+// Tags
+
+const TAG_PATTERN = /(^|\s)#([\p{L}\p{N}_-]+)/gu;
+
+// Tags found in each task's text, redone when the text changes; every render needs them all
+const tagCache = new WeakMap();
+
+/** Lower-cased #tags in a task's text, e.g. 'Call Bob #work #Phone' → ['work', 'phone']. */
+function taskTags(task) {
+    const cached = tagCache.get(task);
+    if (cached && cached.text === task.text) return cached.tags;
+    const tags = [...new Set([...task.text.matchAll(TAG_PATTERN)].map(m => m[2].toLowerCase()))];
+    tagCache.set(task, { text: task.text, tags });
+    return tags;
+}
+
+/**
+ * Task text as nodes, with each #tag as a button that filters by it.
+ * @returns {Array<Node>}
+ */
+function textWithTags(text) {
+    const nodes = [];
+    let last = 0;
+    for (const match of text.matchAll(TAG_PATTERN)) {
+        const start = match.index + match[1].length;
+        nodes.push(document.createTextNode(text.slice(last, start)));
+        const tag = document.createElement('button');
+        tag.type = 'button';
+        tag.className = 'tag';
+        tag.dataset.tag = match[2].toLowerCase();
+        tag.textContent = `#${match[2]}`;
+        nodes.push(tag);
+        last = start + match[2].length + 1;
+    }
+    nodes.push(document.createTextNode(text.slice(last)));
+    return nodes;
+}
+
+function setTag(tag) {
+    view.tag = tag;
+    renderTasks();
+}
+
+/** Tag filter chips for every tag used in the active list. */
+function renderTagFilter() {
+    const tags = [...new Set(tasks.flatMap(taskTags))].sort();
+    // A tag removed from every task no longer filters
+    if (view.tag && !tags.includes(view.tag)) view.tag = null;
+    tagFilter.innerHTML = '';
+    tagFilter.hidden = tags.length === 0;
+    tags.forEach(tag => {
+        const chip = document.createElement('button');
+        chip.type = 'button';
+        chip.className = 'tag';
+        chip.dataset.tag = tag;
+        chip.textContent = `#${tag}`;
+        chip.setAttribute('aria-pressed', String(view.tag === tag));
+        tagFilter.appendChild(chip);
+    });
+}
+
+// Filtering and sorting
+
+/** Filter from the URL hash: '#/active' → 'active'; anything unknown shows all. */
+function filterFromHash() {
+    const filter = window.location.hash.replace(/^#\/?/, '');
+    return FILTERS.includes(filter) ? filter : 'all';
+}
+
+const SORT_COMPARATORS = {
+    created: (a, b) => a.createdAt - b.createdAt,
+    // Tasks without a due date go last
+    due: (a, b) => (dueMoment(a) || Infinity) - (dueMoment(b) || Infinity),
+    priority: (a, b) => PRIORITIES.indexOf(b.priority) - PRIORITIES.indexOf(a.priority),
+    alpha: (a, b) => a.text.localeCompare(b.text, undefined, { sensitivity: 'base', numeric: true }),
+};
+
+/** Tasks matching the current filter and search, in the current sort order. */
+function visibleTasks() {
+    const query = view.search.trim().toLowerCase();
+    const shown = tasks.filter(task => {
+        if (view.filter === 'active' && task.completed) return false;
+        if (view.filter === 'completed' && !task.completed) return false;
+        if (view.tag && !taskTags(task).includes(view.tag)) return false;
+        return !query || task.text.toLowerCase().includes(query) || task.notes.toLowerCase().includes(query) ||
+            task.subtasks.some(subtask => subtask.text.toLowerCase().includes(query));
+    });
+    // Manual order is the order of the tasks array
+    if (view.sort === 'manual') return shown;
+    // Ties keep creation order (Array#sort is stable)
+    return shown.sort((a, b) => SORT_COMPARATORS[view.sort](a, b) || SORT_COMPARATORS.created(a, b));
+}
+
+function setFilter(filter) {
+    view.filter = FILTERS.includes(filter) ? filter : 'all';
+    renderTasks();
+}
+
+function setSort(sort) {
+    if (!SORTS.includes(sort)) return;
+    view.sort = sort;
+    localStorage.setItem('todoSort', sort);
+    renderTasks();
+}
+
+/** Remaining-items counter, clear-completed button and filter links. */
+function renderFooter() {
+    const remaining = tasks.filter(t => !t.completed).length;
+    remainingCount.textContent = `${remaining} ${remaining === 1 ? 'item' : 'items'} left`;
+    clearCompletedBtn.disabled = !tasks.some(t => t.completed);
+    filterLinks.forEach(link => {
+        if (link.dataset.filter === view.filter) link.setAttribute('aria-current', 'page');
+        else link.removeAttribute('aria-current');
+    });
+}
+
+// Reordering
+
+/**
+ * Put the shown tasks in a new order. Hidden tasks (filtered out or
+ * searched away) keep their places; the shown ones swap among the
+ * slots they already occupy.
+ * @param {string[]} orderedIds - ids of visibleTasks() in the new order
+ */
+function reorderVisible(orderedIds) {
+    const slots = visibleTasks().map(task => tasks.indexOf(task)).sort((a, b) => a - b);
+    const byId = new Map(tasks.map(task => [task.id, task]));
+    const reordered = [...tasks];
+    orderedIds.forEach((id, i) => {
+        reordered[slots[i]] = byId.get(id);
+    });
+    recordChange('Move task', reordered.filter((task, i) => task !== tasks[i]).map(task => task.id));
+    tasks = reordered;
+    renderTasks();
+    saveState();
+}
+
+/**
+ * Move a task up (-1) or down (+1) among the shown tasks.
+ * @returns {number} its new 0-based position, or -1 if it didn't move
+ */
+function moveTask(id, offset) {
+    const ids = visibleTasks().map(task => task.id);
+    const from = ids.indexOf(id);
+    const to = from + offset;
+    if (from === -1 || to < 0 || to >= ids.length) return -1;
+    ids.splice(to, 0, ...ids.splice(from, 1));
+    reorderVisible(ids);
+    return to;
+}
+
+/** Read a message out to screen readers. */
+function announce(message) {
+    announcer.textContent = message;
+}
+
+/** Where a dragged item goes: before the first item whose middle is below the pointer. */
+function dropTarget(clientY) {
+    const others = [...taskList.querySelectorAll('li.task-item')].filter(li => li !== drag.li);
+    return others.find(li => {
+        const box = li.getBoundingClientRect();
+        return clientY < box.top + box.height / 2;
+    }) || null;
+}
+
+function endDrag(commit) {
+    if (!drag) return;
+    drag.li.classList.remove('dragging');
+    // Only the rendered slice of a long list can have moved
+    const ids = [
+        ...shownTasks.slice(0, renderedRange.start).map(task => task.id),
+        ...[...taskList.querySelectorAll('li.task-item')].map(li => li.dataset.id),
+        ...shownTasks.slice(renderedRange.end).map(task => task.id),
+    ];
+    drag = null;
+    // Cancelling puts the item back where it was
+    if (commit) reorderVisible(ids);
+    else renderTasks();
+}
+
+// Inline editing
+
+/** Replace a task's text with an input holding it. */
+function startEditing(id) {
+    const task = tasks.find(t => t.id === id);
+    if (!task) return;
+    editing.id = id;
+    editing.draft = task.text;
+    renderTasks();
+    const input = focusEditor();
+    if (input) input.select();
+}
+
+/** @returns {HTMLInputElement|null} the inline editor, focused */
+function focusEditor() {
+    const input = taskList.querySelector('.edit-input');
+    if (input) input.focus();
+    return input;
+}
+
+/** Save the edit; clearing the text deletes the task. */
+function commitEdit() {
+    const { id, draft } = editing;
+    if (!id) return;
+    editing.id = null;
+    const task = tasks.find(t => t.id === id);
+    if (!draft.trim()) deleteTask(id);
+    else if (task && draft.trim() !== task.text) editTask(id, draft);
+    // Unchanged: just close the editor
+    else renderTasks();
+}
+
+function cancelEdit() {
+    editing.id = null;
+    renderTasks();
+}
+
+/** Focus an element inside a task's item after a re-render replaced it. */
+function focusInTask(id, selector) {
+    const element = taskList.querySelector(`li[data-id="${id}"] ${selector}`);
+    if (element) element.focus();
+}
+
+/** After the editor closes with the keyboard, focus the task's edit button, or the new-task field if it was deleted. */
+function focusAfterEdit(id) {
+    const button = taskList.querySelector(`li[data-id="${id}"] .edit-btn`);
+    (button || newTaskInput).focus();
+}
+
+// Undo history
+
+/**
+ * Tasks of the active list as they are now, by id. A task that does not
+ * exist (yet) is recorded with json null.
+ * @param {string[]} ids
+ * @returns {{id: string, index: number, json: string|null}[]}
+ */
+function captureTasks(ids) {
+    const indexes = new Map(tasks.map((task, i) => [task.id, i]));
+    return [...new Set(ids)].map(id => (indexes.has(id)
+        ? { id, index: indexes.get(id), json: JSON.stringify(tasks[indexes.get(id)]) }
+        : { id, index: -1, json: null }));
+}
+
+/** Like captureTasks(), for whole lists. */
+function captureLists(ids) {
+    activeList().tasks = tasks;
+    return [...new Set(ids)].map(id => {
+        const index = lists.findIndex(list => list.id === id);
+        return { id, index, json: index === -1 ? null : JSON.stringify(lists[index]) };
+    });
+}
+
+/**
+ * Put captured tasks or lists back where they were, in place of the
+ * current ones with the same ids. Everything else is in the same order as
+ * when they were captured, so inserting by index restores that order.
+ * @param {Object[]} items - tasks or lists
+ * @param {Function} fromJSON - one parsed item → a Task or TaskList
+ * @returns {Object[]} a new array
+ */
+function restoreItems(items, captured, fromJSON) {
+    const ids = new Set(captured.map(item => item.id));
+    const restored = items.filter(item => !ids.has(item.id));
+    captured
+        .filter(item => item.json !== null)
+        .sort((a, b) => a.index - b.index)
+        .forEach(item => restored.splice(item.index, 0, fromJSON(JSON.parse(item.json))));
+    return restored;
+}
+
+/** Push an entry onto an undo or redo stack, dropping its oldest ones past the limits. */
+function pushHistory(stack, entry) {
+    entry.size = (entry.tasks || entry.lists).reduce((sum, item) => sum + (item.json ? item.json.length : 0), 0);
+    stack.push(entry);
+    let size = stack.reduce((sum, e) => sum + e.size, 0);
+    while (stack.length > 1 && (stack.length > HISTORY_LIMIT || size > HISTORY_SIZE)) size -= stack.shift().size;
+}
+
+/**
+ * Call before changing tasks of the active list so the change can be
+ * undone. Only the named tasks are kept, so a long list costs no more
+ * than a short one. Any redo history is dropped.
+ * @param {string} label - what the change does, e.g. 'Delete "Call Bob"'
+ * @param {string[]} ids - every task the change adds, edits, moves or removes
+ */
+function recordChange(label, ids) {
+    pushHistory(undoHistory.undo, { label, listId: activeListId, tasks: captureTasks(ids) });
+    undoHistory.redo = [];
+}
+
+/** Like recordChange(), for adding, renaming, deleting or importing whole lists. */
+function recordListChange(label, ids) {
+    pushHistory(undoHistory.undo, { label, activeListId, lists: captureLists(ids) });
+    undoHistory.redo = [];
+}
+
+/** Include a task created by the change just recorded, e.g. a repeating task's next occurrence. */
+function recordAddedTask(id) {
+    const entry = undoHistory.undo[undoHistory.undo.length - 1];
+    if (entry && entry.tasks) entry.tasks.push({ id, index: -1, json: null });
+}
+
+function undo() {
+    stepHistory(undoHistory.undo, undoHistory.redo, 'Undone');
+}
+
+function redo() {
+    stepHistory(undoHistory.redo, undoHistory.undo, 'Redone');
+}
+
+/** Restore the newest entry on one stack, recording what it replaces on the other. */
+function stepHistory(from, to, verb) {
+    const entry = from.pop();
+    if (!entry) return;
+    pushHistory(to, restoreEntry(entry));
+    announce(`${verb}: ${entry.label}`);
+}
+
+/**
+ * Put back the tasks or lists an entry holds, showing the list it changed.
+ * @returns {Object} an entry putting back what was replaced
+ */
+function restoreEntry(entry) {
+    // A reminder already shown for the same due time is not shown again
+    const reminded = new Map(allTasks().filter(t => t.reminded).map(t => [t.id, `${t.dueDate} ${t.dueTime}`]));
+    activeList().tasks = tasks;
+    let inverse;
+    let changes;
+    if (entry.tasks) {
+        // The list is there: deleting it would have been recorded, and undone, after this
+        activeListId = entry.listId;
+        tasks = activeList().tasks;
+        inverse = { label: entry.label, listId: activeListId, tasks: captureTasks(entry.tasks.map(t => t.id)) };
+        tasks = restoreItems(tasks, entry.tasks, raw => tasksFromJSON([raw])[0]);
+        changes = { changed: [activeListId] };
+    } else {
+        const previousIds = lists.map(list => list.id);
+        inverse = { label: entry.label, activeListId, lists: captureLists(entry.lists.map(l => l.id)) };
+        lists = restoreItems(lists, entry.lists, raw => listsFromJSON([raw])[0]);
+        activeListId = lists.some(list => list.id === entry.activeListId) ? entry.activeListId : lists[0].id;
+        tasks = activeList().tasks;
+        const ids = lists.map(list => list.id);
+        changes = { changed: entry.lists.map(l => l.id).filter(id => ids.includes(id)), deleted: previousIds.filter(id => !ids.includes(id)) };
+    }
+    allTasks().forEach(task => {
+        if (reminded.get(task.id) === `${task.dueDate} ${task.dueTime}`) task.reminded = true;
+    });
+    editing.id = null;
+    renaming.id = null;
+    hideToast();
+    renderTasks();
+    saveState(changes);
+    scheduleDueCheck();
+    return inverse;
+}
+
+/** Toast with an Undo button, shown after deleting. */
+function showUndoToast(message) {
+    toastMessage.textContent = message;
+    toast.hidden = false;
+    clearTimeout(toastTimer);
+    toastTimer = setTimeout(hideToast, TOAST_MS);
+}
+
+function hideToast() {
+    clearTimeout(toastTimer);
+    toast.hidden = true;
+}
 
 // Core functions
 
-function addTask(text) {
+/**
+ * @param {string} text
+ * @param {Object} [details] - due date/time, priority, notes and recurrence, see Task
+ */
+function addTask(text, details = {}) {
     if (!text.trim()) return;
-    const task = new Task(text.trim());
+    const task = new Task(text.trim(), details);
+    recordChange(`Add "${task.text}"`, [task.id]);
+    // No reminder for a due time that has already passed
+    task.reminded = isOverdue(task);
     tasks.push(task);
     renderTasks();
-    saveToLocalStorage();
+    saveState();
+    scheduleDueCheck();
 }
 
 function editTask(id, newText) {
     const task = tasks.find(t => t.id === id);
     if (!task) return;
+    recordChange(`Edit "${task.text}"`, [id]);
     task.text = newText.trim();
     renderTasks();
-    saveToLocalStorage();
+    saveState();
+}
+
+/**
+ * Change a task's due date/time, priority, notes or recurrence.
+ * @param {string} id
+ * @param {{dueDate?: string|null, dueTime?: string|null, priority?: string, notes?: string, recurrence?: Object|null}} changes
+ */
+function updateTaskDetails(id, changes) {
+    const task = tasks.find(t => t.id === id);
+    if (!task) return;
+    recordChange(`Change details of "${task.text}"`, [id]);
+    if ('dueDate' in changes) task.dueDate = changes.dueDate || null;
+    if ('dueTime' in changes) task.dueTime = changes.dueTime || null;
+    if (!task.dueDate) task.dueTime = null;
+    if ('priority' in changes && PRIORITIES.includes(changes.priority)) task.priority = changes.priority;
+    if ('notes' in changes) task.notes = changes.notes;
+    if ('recurrence' in changes) task.recurrence = normalizeRecurrence(changes.recurrence, task.dueDate);
+    // A monthly rule follows a moved due date
+    if ('dueDate' in changes && task.recurrence) delete task.recurrence.monthDay;
+    // A new due time deserves a new reminder, unless it has already passed
+    if ('dueDate' in changes || 'dueTime' in changes) task.reminded = isOverdue(task);
+    renderTasks();
+    saveState();
+    scheduleDueCheck();
 }
 
 function deleteTask(id) {
+    const task = tasks.find(t => t.id === id);
+    if (!task) return;
+    recordChange(`Delete "${task.text}"`, [id]);
     tasks = tasks.filter(t => t.id !== id);
+    expandedTasks.delete(id);
+    renderTasks();
+    saveState();
+    showUndoToast(`Deleted "${task.text}"`);
+}
+
+function clearCompleted() {
+    const completed = tasks.filter(t => t.completed);
+    if (completed.length === 0) return;
+    recordChange('Clear completed', completed.map(t => t.id));
+    completed.forEach(t => expandedTasks.delete(t.id));
+    tasks = tasks.filter(t => !t.completed);
     renderTasks();
-    saveToLocalStorage();
+    saveState();
+    showUndoToast(`Cleared ${completed.length} completed ${completed.length === 1 ? 'task' : 'tasks'}`);
 }
 
 function toggleComplete(id) {
     const task = tasks.find(t => t.id === id);
     if (!task) return;
-    task.completed = !task.completed;
+    recordChange(`${task.completed ? 'Reopen' : 'Complete'} "${task.text}"`, reopenedIds(task));
+    if (task.completed) markReopened(task);
+    else markCompleted(task);
     renderTasks();
-    saveToLocalStorage();
+    saveState();
+    scheduleDueCheck();
 }
 
-function renderTasks() {
-    // Clear list
-    taskList.innerHTML = '';
+// Subtasks
 
-    tasks.forEach(task => {
-        const li = document.createElement('li');
-        li.className = 'task-item';
-        li.dataset.id = task.id;
-        if (task.completed) {
-            li.classList.add('completed');
-        }
+/** Find a task's subtask; both are undefined when missing. */
+function findSubtask(taskId, subtaskId) {
+    const task = tasks.find(t => t.id === taskId);
+    return { task, subtask: task && task.subtasks.find(s => s.id === subtaskId) };
+}
 
-        // Checkbox for completion
-        const checkbox = document.createElement('input');
-        checkbox.type = 'checkbox';
-        checkbox.checked = task.completed;
-        checkbox.className = 'toggle-complete';
+function addSubtask(taskId, text) {
+    const task = tasks.find(t => t.id === taskId);
+    if (!task || !text.trim()) return;
+    recordChange(`Add subtask to "${task.text}"`, reopenedIds(task));
+    task.subtasks.push(new Subtask(text.trim()));
+    // Something left to do again
+    markReopened(task);
+    renderTasks();
+    saveState();
+    scheduleDueCheck();
+}
+
+/** Tick or untick a subtask; ticking the last one completes the task, unticking reopens it. */
+function toggleSubtask(taskId, subtaskId) {
+    const { task, subtask } = findSubtask(taskId, subtaskId);
+    if (!subtask) return;
+    recordChange(`${subtask.completed ? 'Reopen' : 'Complete'} "${subtask.text}"`, subtask.completed ? reopenedIds(task) : [taskId]);
+    subtask.completed = !subtask.completed;
+    if (!subtask.completed) markReopened(task);
+    else if (task.subtasks.every(s => s.completed)) markCompleted(task);
+    renderTasks();
+    saveState();
+    scheduleDueCheck();
+}
 
-        // Text span
-        const span = document.createElement('span');
-        span.textContent = task.text;
-        span.style.flex = '1';
-        span.style.marginLeft = '0.5rem';
+function deleteSubtask(taskId, subtaskId) {
+    const { task, subtask } = findSubtask(taskId, subtaskId);
+    if (!subtask) return;
+    recordChange(`Delete "${subtask.text}"`, [taskId]);
+    task.subtasks = task.subtasks.filter(s => s.id !== subtaskId);
+    // Deleting the last open item finishes the task too
+    if (task.subtasks.length && task.subtasks.every(s => s.completed)) markCompleted(task);
+    renderTasks();
+    saveState();
+    scheduleDueCheck();
+}
 
-        // Buttons container
-        const btnContainer = document.createElement('div');
-        btnContainer.style.display = 'flex';
-        btnContainer.style.gap = '0.5rem';
+/** Button showing subtask progress ('3/5') that opens the checklist. */
+function subtaskToggle(task) {
+    const done = task.subtasks.filter(s => s.completed).length;
+    const total = task.subtasks.length;
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'subtask-toggle';
+    button.setAttribute('aria-controls', `subtasks-${task.id}`);
+    button.setAttribute('aria-expanded', String(openSubtasks.has(task.id)));
+    if (total === 0) {
+        button.textContent = '+ Subtasks';
+    } else {
+        button.textContent = `☑ ${done}/${total}`;
+        button.setAttribute('aria-label', `Subtasks, ${done} of ${total} done`);
+        if (done === total) button.classList.add('all-done');
+    }
+    return button;
+}
 
-        const editBtn = document.createElement('button');
-        editBtn.textContent = '✏️';
-        editBtn.className = 'edit-btn';
+/** The checklist under a task, with a field for adding items. */
+function renderSubtasks(task) {
+    const section = document.createElement('div');
+    section.className = 'subtasks';
+    section.id = `subtasks-${task.id}`;
+    section.hidden = !openSubtasks.has(task.id);
 
-        const deleteBtn = document.createElement('button');
-        deleteBtn.textContent = '🗑️';
-        deleteBtn.className = 'delete-btn';
+    const list = document.createElement('ul');
+    task.subtasks.forEach(subtask => {
+        const item = document.createElement('li');
+        item.className = 'subtask';
+        item.dataset.subtaskId = subtask.id;
+        if (subtask.completed) item.classList.add('completed');
 
-        btnContainer.appendChild(editBtn);
-        btnContainer.appendChild(deleteBtn);
+        const label = document.createElement('label');
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.className = 'toggle-subtask';
+        checkbox.checked = subtask.completed;
+        label.appendChild(checkbox);
+        label.append(subtask.text);
 
-        li.appendChild(checkbox);
-        li.appendChild(span);
-        li.appendChild(btnContainer);
+        const remove = document.createElement('button');
+        remove.type = 'button';
+        remove.className = 'delete-subtask';
+        remove.textContent = '✕';
+        remove.setAttribute('aria-label', `Delete ${subtask.text}`);
 
-        taskList.appendChild(li);
+        item.appendChild(label);
+        item.appendChild(remove);
+        list.appendChild(item);
     });
+
+    const form = document.createElement('form');
+    form.className = 'subtask-form';
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.className = 'new-subtask';
+    input.placeholder = 'Add a subtask';
+    input.setAttribute('aria-label', `Add a subtask to ${task.text}`);
+    const add = document.createElement('button');
+    add.type = 'submit';
+    add.textContent = 'Add';
+    form.appendChild(input);
+    form.appendChild(add);
+
+    section.appendChild(list);
+    section.appendChild(form);
+    return section;
 }
 
-function saveToLocalStorage() {
-    localStorage.setItem('todoTasks', JSON.stringify(tasks));
+function renderTasks() {
+    renderTagFilter();
+    shownTasks = visibleTasks();
+    emptyMessage.hidden = shownTasks.length > 0;
+    emptyMessage.textContent = tasks.length === 0 ? 'Nothing to do yet.' : 'No tasks match.';
+    renderFooter();
+    renderWindow();
 }
 
-function loadFromLocalStorage() {
-    const data = localStorage.getItem('todoTasks');
-    if (data) {
-        try {
-            const parsed = JSON.parse(data);
-            // Ensure objects are instances of Task
-            tasks = parsed.map(t => {
-                const task = new Task(t.text);
-                task.id = t.id;
-                task.completed = t.completed;
-                return task;
-            });
-        } catch (e) {
-            console.error('Error parsing tasks from localStorage', e);
+/**
+ * Bring the list in line with shownTasks: items whose task and state are
+ * unchanged are kept, so typing, focus and scroll position survive, and
+ * only items out of place are moved. Long lists render just the slice
+ * around the viewport, with the list's padding standing in for the rest.
+ */
+function renderWindow() {
+    const now = new Date();
+    const virtual = shownTasks.length > VIRTUALIZE_AFTER;
+    const offsets = virtual ? itemOffsets() : null;
+    const { start, end } = virtual ? windowRange(offsets) : { start: 0, end: shownTasks.length };
+    const focused = document.activeElement;
+    const focusedItem = focused && taskList.contains(focused) ? focused.closest('li.task-item') : null;
+
+    const items = shownTasks.slice(start, end).map((task, i) => {
+        const key = itemKey(task, now);
+        let rendered = renderedItems.get(task.id);
+        if (!rendered || rendered.key !== key) {
+            rendered = { li: renderTaskItem(task, now), key };
+            renderedItems.set(task.id, rendered);
         }
+        rendered.li.classList.toggle('selected', task.id === selectedId);
+        // Screen readers count the whole list, not just the rendered slice
+        rendered.li.setAttribute('aria-posinset', String(start + i + 1));
+        rendered.li.setAttribute('aria-setsize', String(shownTasks.length));
+        return rendered.li;
+    });
+
+    const wanted = new Set(items);
+    [...taskList.children].forEach(li => {
+        if (!wanted.has(li)) li.remove();
+    });
+    renderedItems.forEach((rendered, id) => {
+        if (!wanted.has(rendered.li)) renderedItems.delete(id);
+    });
+    items.forEach((li, i) => {
+        const current = taskList.children[i];
+        if (current !== li) taskList.insertBefore(li, current || null);
+    });
+    renderedRange.start = start;
+    renderedRange.end = end;
+
+    taskList.style.paddingTop = virtual ? `${offsets[start]}px` : '';
+    taskList.style.paddingBottom = virtual ? `${offsets[shownTasks.length] - offsets[end]}px` : '';
+    if (virtual) {
+        const margin = items.length ? parseFloat(getComputedStyle(items[0]).marginBottom) || 0 : 0;
+        items.forEach(li => itemHeights.set(li.dataset.id, li.offsetHeight + margin));
     }
+
+    if (focusedItem && document.activeElement !== focused) restoreFocus(focused, focusedItem.dataset.id);
 }
 
-// Event listeners
+/**
+ * Everything an item shows, so an unchanged one is not rebuilt. Its panels
+ * are opened and closed in place, so whether they are open is left out.
+ */
+function itemKey(task, now) {
+    return JSON.stringify([
+        task,
+        isOverdue(task, now),
+        task.id === editing.id,
+        view.sort === 'manual',
+    ]);
+}
 
-// Add task via form submit
-taskForm.addEventListener('submit', e => {
-    e.preventDefault();
-    const text = newTaskInput.value;
-    addTask(text);
-    newTaskInput.value = '';
-});
+/** offsets[i] is the top of shownTasks[i] within the list; the last entry is the list's height. */
+function itemOffsets() {
+    const offsets = [0];
+    shownTasks.forEach((task, i) => {
+        offsets.push(offsets[i] + (itemHeights.get(task.id) || ESTIMATED_ITEM_HEIGHT));
+    });
+    return offsets;
+}
 
-// Delegate clicks on task list
-taskList.addEventListener('click', e => {
-    const li = e.target.closest('li.task-item');
-    if (!li) return;
-    const id = li.dataset.id;
+/** The shown tasks within OVERSCAN_PX of the viewport, as a slice. */
+function windowRange(offsets) {
+    // Where the viewport is, measured from the top of the list
+    const top = -taskList.getBoundingClientRect().top - OVERSCAN_PX;
+    const bottom = top + window.innerHeight + 2 * OVERSCAN_PX;
+    let start = 0;
+    while (start < shownTasks.length - 1 && offsets[start + 1] <= top) start++;
+    let end = start;
+    while (end < shownTasks.length && offsets[end] < bottom) end++;
+    return { start, end };
+}
 
-    if (e.target.classList.contains('delete-btn')) {
-        deleteTask(id);
-    } else if (e.target.classList.contains('edit-btn')) {
-        const newText = prompt('Edit task', li.querySelector('span').textContent);
-        if (newText !== null) {
-            editTask(id, newText);
+/** Re-render the slice of a long list once per frame while it scrolls. */
+function scheduleWindowUpdate() {
+    if (windowFrame !== null || shownTasks.length <= VIRTUALIZE_AFTER) return;
+    windowFrame = requestAnimationFrame(() => {
+        windowFrame = null;
+        // Moving items mid-drag would lose the one being dragged
+        if (!drag) renderWindow();
+    });
+}
+
+/**
+ * Focus a control that was moved or rebuilt by rendering: the same element
+ * if it is still there, else the matching one in the task's new item.
+ */
+function restoreFocus(element, id) {
+    if (element.isConnected) {
+        element.focus();
+        return;
+    }
+    const li = taskList.querySelector(`li[data-id="${id}"]`);
+    if (!li) return;
+    if (element.classList.contains('task-item')) {
+        li.focus();
+        return;
+    }
+    let selector = element.dataset.field ? `[data-field="${element.dataset.field}"]` : element.classList[0] && `.${element.classList[0]}`;
+    if (!selector) return;
+    if (element.dataset.day !== undefined) selector += `[data-day="${element.dataset.day}"]`;
+    const subtask = element.closest('li.subtask');
+    if (subtask) selector = `li.subtask[data-subtask-id="${subtask.dataset.subtaskId}"] ${selector}`;
+    const control = li.querySelector(selector);
+    if (!control) return;
+    control.focus();
+    if (control.type === 'text' && typeof element.selectionStart === 'number') {
+        control.setSelectionRange(element.selectionStart, element.selectionEnd);
+    }
+}
+
+/** A task's <li>: handle, checkbox, text and details, with its panels. */
+function renderTaskItem(task, now) {
+    const li = document.createElement('li');
+    li.className = 'task-item';
+    li.dataset.id = task.id;
+    // Focused by the j/k shortcuts
+    li.tabIndex = -1;
+    if (task.completed) {
+        li.classList.add('completed');
+    }
+    if (isOverdue(task, now)) {
+        li.classList.add('overdue');
+    }
+
+    // Drag handle; reordering only makes sense in manual order
+    const handle = document.createElement('button');
+    handle.type = 'button';
+    handle.className = 'drag-handle';
+    handle.textContent = '⠿';
+    handle.setAttribute('aria-label', `Reorder ${task.text}`);
+    handle.title = 'Drag to reorder, or press Alt+↑ / Alt+↓';
+    handle.hidden = view.sort !== 'manual';
+
+    // Checkbox for completion
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.checked = task.completed;
+    checkbox.className = 'toggle-complete';
+
+    // Text span, or the inline editor while editing
+    let span;
+    if (task.id === editing.id) {
+        span = document.createElement('input');
+        span.type = 'text';
+        span.className = 'edit-input';
+        span.value = editing.draft;
+        span.setAttribute('aria-label', 'Edit task');
+    } else {
+        span = document.createElement('span');
+        span.className = 'task-text';
+        span.append(...textWithTags(task.text));
+    }
+
+    // Priority, due date and notes indicator under the text
+    const meta = document.createElement('div');
+    meta.className = 'task-meta';
+    const priority = document.createElement('span');
+    priority.className = `priority priority-${task.priority}`;
+    priority.textContent = task.priority;
+    meta.appendChild(priority);
+    if (task.dueDate) {
+        const due = document.createElement('span');
+        due.className = 'due';
+        due.textContent = isOverdue(task, now) ? `Overdue: ${formatDue(task)}` : `Due ${formatDue(task)}`;
+        meta.appendChild(due);
+    }
+    if (task.notes) {
+        const notes = document.createElement('span');
+        notes.className = 'notes-indicator';
+        notes.textContent = '📝';
+        notes.title = task.notes;
+        meta.appendChild(notes);
+    }
+    if (task.recurrence) {
+        const repeat = document.createElement('span');
+        repeat.className = 'recurrence';
+        repeat.textContent = `🔁 ${describeRecurrence(task.recurrence)}`;
+        meta.appendChild(repeat);
+    }
+    meta.appendChild(subtaskToggle(task));
+
+    const content = document.createElement('div');
+    content.className = 'task-content';
+    content.appendChild(span);
+    content.appendChild(meta);
+
+    // Buttons container
+    const btnContainer = document.createElement('div');
+    btnContainer.className = 'task-buttons';
+
+    const detailsBtn = document.createElement('button');
+    detailsBtn.textContent = '⋯';
+    detailsBtn.className = 'details-btn';
+    detailsBtn.setAttribute('aria-label', 'Details');
+    detailsBtn.setAttribute('aria-controls', `details-${task.id}`);
+    detailsBtn.setAttribute('aria-expanded', String(expandedTasks.has(task.id)));
+
+    const editBtn = document.createElement('button');
+    editBtn.textContent = '✏️';
+    editBtn.className = 'edit-btn';
+    editBtn.setAttribute('aria-label', 'Edit');
+
+    const deleteBtn = document.createElement('button');
+    deleteBtn.textContent = '🗑️';
+    deleteBtn.className = 'delete-btn';
+
+    btnContainer.appendChild(detailsBtn);
+    btnContainer.appendChild(editBtn);
+    btnContainer.appendChild(deleteBtn);
+
+    li.appendChild(handle);
+    li.appendChild(checkbox);
+    li.appendChild(content);
+    li.appendChild(btnContainer);
+    li.appendChild(renderDetails(task));
+    li.appendChild(renderSubtasks(task));
+    return li;
+}
+
+/**
+ * Hidden panel for editing a task's due date/time, priority and notes.
+ * Fields carry data-field so one delegated change listener saves them.
+ */
+function renderDetails(task) {
+    const panel = document.createElement('div');
+    panel.className = 'task-details';
+    panel.id = `details-${task.id}`;
+    panel.hidden = !expandedTasks.has(task.id);
+
+    const field = (labelText, input) => {
+        const label = document.createElement('label');
+        label.textContent = labelText;
+        label.appendChild(input);
+        panel.appendChild(label);
+        return label;
+    };
+
+    const date = document.createElement('input');
+    date.type = 'date';
+    date.value = task.dueDate || '';
+    date.dataset.field = 'dueDate';
+    field('Due date', date);
+
+    const time = document.createElement('input');
+    time.type = 'time';
+    time.value = task.dueTime || '';
+    time.disabled = !task.dueDate;
+    time.dataset.field = 'dueTime';
+    field('Time', time);
+
+    const priority = document.createElement('select');
+    PRIORITIES.forEach(level => {
+        const option = document.createElement('option');
+        option.value = level;
+        option.textContent = level[0].toUpperCase() + level.slice(1);
+        priority.appendChild(option);
+    });
+    priority.value = task.priority;
+    priority.dataset.field = 'priority';
+    field('Priority', priority);
+
+    const rule = task.recurrence;
+    const repeat = document.createElement('select');
+    [['', 'Never'], ['daily', 'Daily'], ['weekdays', 'Weekdays'], ['weekly', 'Weekly'], ['monthly', 'Monthly'], ['interval', 'Every N days']]
+        .forEach(([value, text]) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = text;
+            repeat.appendChild(option);
+        });
+    repeat.value = rule ? rule.freq : '';
+    repeat.dataset.field = 'recurrence';
+    field('Repeat', repeat);
+
+    const days = document.createElement('fieldset');
+    days.className = 'recurrence-days';
+    days.hidden = !rule || rule.freq !== 'weekly';
+    const legend = document.createElement('legend');
+    legend.textContent = 'On';
+    days.appendChild(legend);
+    for (let day = 0; day < 7; day++) {
+        const label = document.createElement('label');
+        const box = document.createElement('input');
+        box.type = 'checkbox';
+        box.checked = Boolean(rule && rule.days && rule.days.includes(day));
+        box.dataset.field = 'recurrenceDays';
+        box.dataset.day = day;
+        label.appendChild(box);
+        label.append(weekdayName(day));
+        days.appendChild(label);
+    }
+    panel.appendChild(days);
+
+    const interval = document.createElement('input');
+    interval.type = 'number';
+    interval.min = 1;
+    interval.value = rule && rule.interval ? rule.interval : 2;
+    interval.dataset.field = 'recurrenceInterval';
+    field('Every (days)', interval).hidden = !rule || rule.freq !== 'interval';
+
+    const notes = document.createElement('textarea');
+    notes.value = task.notes;
+    notes.rows = 3;
+    notes.dataset.field = 'notes';
+    field('Notes', notes).className = 'notes-field';
+
+    if (task.completions.length) panel.appendChild(renderCompletionLog(task));
+
+    return panel;
+}
+
+/** Rule chosen in a details panel's Repeat fields. */
+function recurrenceFromPanel(panel) {
+    const freq = panel.querySelector('[data-field="recurrence"]').value;
+    if (!freq) return null;
+    return {
+        freq,
+        days: [...panel.querySelectorAll('[data-field="recurrenceDays"]')].filter(box => box.checked).map(box => Number(box.dataset.day)),
+        interval: Number(panel.querySelector('[data-field="recurrenceInterval"]').value),
+    };
+}
+
+/** Earlier completions of a recurring task, newest first. */
+function renderCompletionLog(task) {
+    const log = document.createElement('details');
+    log.className = 'completion-log';
+    const summary = document.createElement('summary');
+    const count = task.completions.length;
+    summary.textContent = `Done ${count} ${count === 1 ? 'time' : 'times'} before`;
+    log.appendChild(summary);
+    const list = document.createElement('ol');
+    [...task.completions].reverse().forEach(entry => {
+        const item = document.createElement('li');
+        const done = new Date(entry.completedAt).toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' });
+        item.textContent = entry.dueDate ? `${done} (due ${formatDue({ dueDate: entry.dueDate })})` : done;
+        list.appendChild(item);
+    });
+    log.appendChild(list);
+    return log;
+}
+
+/**
+ * Save the lists that changed; by default the active one. The write
+ * happens in the background and errors are only logged.
+ * @param {{changed?: string[], deleted?: string[]}} [changes] - list ids
+ */
+function saveState({ changed = [activeListId], deleted = [] } = {}) {
+    activeList().tasks = tasks;
+    renderLists();
+    if (!storage) return;
+    storage.save({ activeListId, lists }, { changed, deleted }).catch(e => console.error('Error saving tasks', e));
+}
+
+/** Save every list, e.g. after undo; lists in `previousIds` that are gone get deleted. */
+function saveAllLists(previousIds = []) {
+    const ids = lists.map(list => list.id);
+    saveState({ changed: ids, deleted: previousIds.filter(id => !ids.includes(id)) });
+}
+
+/** Ensure saved objects are instances of Task; tasks saved before due dates get the defaults. */
+function tasksFromJSON(parsed) {
+    return parsed.map((t, index) => {
+        const task = new Task(t.text, t);
+        task.id = t.id;
+        task.completed = t.completed;
+        // Older tasks had no timestamp; their saved order is their creation order
+        task.createdAt = Number.isFinite(t.createdAt) ? t.createdAt : index;
+        task.reminded = Boolean(t.reminded);
+        task.subtasks = (Array.isArray(t.subtasks) ? t.subtasks : [])
+            .filter(s => s && typeof s.text === 'string')
+            .map(s => {
+                const subtask = new Subtask(s.text);
+                if (typeof s.id === 'string') subtask.id = s.id;
+                subtask.completed = Boolean(s.completed);
+                return subtask;
+            });
+        task.completions = (Array.isArray(t.completions) ? t.completions : [])
+            .filter(entry => entry && Number.isFinite(entry.completedAt));
+        task.nextOccurrence = typeof t.nextOccurrence === 'string' ? t.nextOccurrence : null;
+        return task;
+    });
+}
+
+function listsFromJSON(parsed) {
+    return parsed.map(l => {
+        const list = new TaskList(l.name);
+        list.id = l.id;
+        list.tasks = tasksFromJSON(l.tasks);
+        return list;
+    });
+}
+
+/**
+ * Open storage and load every list, migrating old data. The storage keeps
+ * unreadable data aside, and a notice offers it for download.
+ */
+async function loadState() {
+    let data = null;
+    let movedFromLocalStorage = false;
+    try {
+        storage = await openStorage();
+        data = await storage.load();
+        if (!data && !(storage instanceof LocalStorageBackend)) {
+            // Lists saved before IndexedDB move over once
+            const previous = new LocalStorageBackend();
+            data = await previous.load();
+            movedFromLocalStorage = data !== null;
+            unreadableData.push(...previous.recovered);
+        }
+    } catch (e) {
+        console.error('Error loading tasks; changes will not be saved', e);
+        storage = null;
+    }
+
+    let damagedIds = [];
+    let needsSave = movedFromLocalStorage;
+    if (data) {
+        try {
+            const migrated = migrate(data);
+            const checked = checkLists(migrated.lists);
+            checked.damaged.forEach(raw => keepCorrupt(raw));
+            // Lists too damaged to load are deleted from storage; their copies stay
+            damagedIds = checked.damaged
+                .map(raw => raw && raw.id)
+                .filter(id => typeof id === 'string' && !checked.lists.some(list => list.id === id));
+            needsSave = needsSave || migrated.version !== data.version || checked.damaged.length > 0;
+            lists = listsFromJSON(checked.lists);
+            activeListId = migrated.activeListId;
+        } catch (e) {
+            console.error('Error reading saved tasks', e);
+            keepCorrupt(data);
+            lists = [];
+        }
+    }
+    if (lists.length === 0) {
+        lists = [new TaskList('My Tasks')];
+        needsSave = needsSave || data !== null;
+    }
+    if (!lists.some(list => list.id === activeListId)) activeListId = lists[0].id;
+    tasks = activeList().tasks;
+
+    if (storage) unreadableData.push(...storage.recovered);
+    // Saving replaces what could not be read, so it isn't set aside again next time
+    if (unreadableData.length) needsSave = true;
+    if (storage && needsSave) {
+        try {
+            await storage.save({ activeListId, lists }, { changed: lists.map(list => list.id), deleted: damagedIds });
+            // Old copies go only once the new one is written
+            if (movedFromLocalStorage) localStorage.removeItem('todoLists');
+            localStorage.removeItem('todoTasks');
+        } catch (e) {
+            console.error('Error saving migrated tasks', e);
+        }
+    }
+    if (storage) {
+        storage.subscribe(() => reloadState().catch(e => console.error('Error loading tasks saved in another tab', e)));
+    }
+    storageNotice.hidden = unreadableData.length === 0;
+}
+
+function keepCorrupt(raw) {
+    if (storage) storage.keepCorrupt(raw).catch(e => console.error('Error keeping unreadable data', e));
+}
+
+/** Another tab saved: take its lists, but stay on this tab's list. */
+async function reloadState() {
+    const data = await storage.load();
+    if (!data) return;
+    const loaded = listsFromJSON(checkLists(migrate(data).lists).lists);
+    if (loaded.length === 0) return;
+    lists = loaded;
+    if (!lists.some(list => list.id === activeListId)) activeListId = lists[0].id;
+    tasks = activeList().tasks;
+    // Undoing would bring back what the other tab changed
+    undoHistory.undo = [];
+    undoHistory.redo = [];
+    renderTasks();
+    renderLists();
+    scheduleDueCheck();
+}
+
+// Import and export
+
+const CSV_COLUMNS = ['id', 'text', 'completed', 'dueDate', 'dueTime', 'priority', 'notes', 'createdAt'];
+
+// Import format of each file extension; other files (.txt) are JSON if they look like it, else Markdown
+const IMPORT_FORMATS = new Map([['json', 'json'], ['csv', 'csv'], ['md', 'markdown'], ['markdown', 'markdown']]);
+
+/** Every list with every field, readable back by importText(). */
+function exportJSON() {
+    activeList().tasks = tasks;
+    return JSON.stringify({ version: 1, activeListId, lists }, null, 2);
+}
+
+/** Quote a CSV field when it holds a comma, quote or line break. */
+function csvField(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/** The active list as CSV, one row per task. */
+function exportCSV() {
+    const rows = tasks.map(task => CSV_COLUMNS.map(column =>
+        csvField(column === 'createdAt' ? new Date(task.createdAt).toISOString() : task[column])).join(','));
+    return [CSV_COLUMNS.join(','), ...rows].join('\r\n') + '\r\n';
+}
+
+/** The active list as a Markdown checklist; subtasks and notes follow their task, indented. */
+function exportMarkdown() {
+    const lines = [`# ${activeList().name}`, ''];
+    tasks.forEach(task => {
+        lines.push(`- [${task.completed ? 'x' : ' '}] ${task.text}`);
+        task.subtasks.forEach(subtask => lines.push(`  - [${subtask.completed ? 'x' : ' '}] ${subtask.text}`));
+        if (task.notes) task.notes.split(/\r?\n/).forEach(line => lines.push(`  ${line}`));
+    });
+    return lines.join('\n') + '\n';
+}
+
+/** Rows of fields; quoted fields may hold commas, quotes and line breaks. */
+function parseCSV(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+    for (let i = 0; i < text.length; i++) {
+        const c = text[i];
+        if (quoted) {
+            if (c === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (c === '"') {
+                quoted = false;
+            } else {
+                field += c;
+            }
+        } else if (c === '"') {
+            quoted = true;
+        } else if (c === ',') {
+            row.push(field);
+            field = '';
+        } else if (c === '\n' || c === '\r') {
+            if (c === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += c;
+        }
+    }
+    if (quoted) throw new Error('CSV has an unclosed quote');
+    row.push(field);
+    rows.push(row);
+    return rows.filter(r => r.some(f => f.trim()));
+}
+
+/** Raw tasks from CSV with a header row; only the text column is required. */
+function tasksFromCSV(text) {
+    const [header, ...rows] = parseCSV(text);
+    const columns = (header || []).map(name => name.trim());
+    if (!columns.includes('text')) throw new Error('CSV needs a "text" column');
+    return rows.map(row => {
+        const raw = {};
+        columns.forEach((column, i) => {
+            if (CSV_COLUMNS.includes(column) && row[i] !== undefined && row[i] !== '') raw[column] = row[i];
+        });
+        if ('completed' in raw) {
+            const value = raw.completed.trim().toLowerCase();
+            raw.completed = ['true', 'yes', '1', 'x'].includes(value) ? true : ['false', 'no', '0'].includes(value) ? false : raw.completed;
+        }
+        if ('priority' in raw) raw.priority = raw.priority.trim().toLowerCase();
+        if ('createdAt' in raw) raw.createdAt = /^\d+$/.test(raw.createdAt) ? Number(raw.createdAt) : Date.parse(raw.createdAt);
+        return raw;
+    });
+}
+
+/** Raw tasks and list name from a Markdown checklist: '- [ ] text', '- [x] done'. */
+function listFromMarkdown(text) {
+    let name = null;
+    const rawTasks = [];
+    text.split(/\r?\n/).forEach(line => {
+        const heading = line.match(/^#{1,6}\s+(.+)$/);
+        const item = line.match(/^(\s*)[-*+]\s+\[([ xX])\]\s+(.*)$/);
+        const last = rawTasks[rawTasks.length - 1];
+        if (heading && name === null && rawTasks.length === 0) {
+            name = heading[1].trim();
+        } else if (item && item[1] && last) {
+            // Indented items are subtasks of the task above
+            last.subtasks = [...(last.subtasks || []), { text: item[3], completed: item[2] !== ' ' }];
+        } else if (item) {
+            rawTasks.push({ text: item[3], completed: item[2] !== ' ' });
+        } else if (last && /^\s+\S/.test(line)) {
+            // Indented lines under a task are its notes
+            last.notes = last.notes ? `${last.notes}\n${line.trim()}` : line.trim();
+        }
+    });
+    if (rawTasks.length === 0) throw new Error('No "- [ ]" checklist items found');
+    return { name, tasks: rawTasks };
+}
+
+/**
+ * Problems with one imported task, e.g. ['row 3: missing text'].
+ * @param {Object} raw
+ * @param {string} where - names the task in messages
+ */
+function validateTask(raw, where) {
+    const problems = [];
+    const check = (ok, message) => {
+        if (!ok) problems.push(`${where}: ${message}`);
+    };
+    const given = field => raw[field] !== undefined && raw[field] !== null && raw[field] !== '';
+    check(raw !== null && typeof raw === 'object', 'not a task');
+    if (problems.length) return problems;
+    check(typeof raw.text === 'string' && raw.text.trim() !== '', 'missing text');
+    check(!given('id') || typeof raw.id === 'string', 'id must be text');
+    check(!given('completed') || typeof raw.completed === 'boolean', `completed must be true or false, not "${raw.completed}"`);
+    check(!given('dueDate') || (/^\d{4}-\d{2}-\d{2}$/.test(raw.dueDate) && !isNaN(Date.parse(raw.dueDate))), `bad due date "${raw.dueDate}" (use YYYY-MM-DD)`);
+    check(!given('dueTime') || /^([01]\d|2[0-3]):[0-5]\d$/.test(raw.dueTime), `bad due time "${raw.dueTime}" (use HH:MM)`);
+    check(!given('dueTime') || given('dueDate'), 'a due time needs a due date');
+    check(!given('priority') || PRIORITIES.includes(raw.priority), `priority must be ${PRIORITIES.join(', ')}`);
+    check(!given('notes') || typeof raw.notes === 'string', 'notes must be text');
+    check(!given('createdAt') || Number.isFinite(raw.createdAt), 'bad createdAt');
+    check(!given('subtasks') || (Array.isArray(raw.subtasks) && raw.subtasks.every(s => s && typeof s.text === 'string' && s.text.trim())),
+        'subtasks must be a list of items with text');
+    check(!given('recurrence') || normalizeRecurrence(raw.recurrence) !== null, `repeat must be one of ${RECURRENCES.join(', ')}`);
+    check(!given('completions') || Array.isArray(raw.completions), 'completions must be a list');
+    return problems;
+}
+
+/**
+ * Read an export back: lists of raw tasks, checked with validateTask().
+ * A list without an id is meant for the active list.
+ * @param {string} text - file contents
+ * @param {string} fileName - its extension picks the format, see IMPORT_FORMATS
+ * @returns {{lists: {id?: string, name?: string, tasks: Object[]}[]}}
+ * @throws {Error} listing what is wrong; nothing is imported then
+ */
+function parseImport(text, fileName) {
+    text = text.replace(/^\uFEFF/, '');
+    const extension = fileName.includes('.') ? fileName.split('.').pop().toLowerCase() : '';
+    // A Markdown file may well start with a [link]; only unknown files are sniffed
+    const format = IMPORT_FORMATS.get(extension) || (/^\s*[[{]/.test(text) ? 'json' : 'markdown');
+    let imported;
+    if (format === 'json') {
+        let parsed;
+        try {
+            parsed = JSON.parse(text);
+        } catch (e) {
+            throw new Error(`Not valid JSON: ${e.message}`);
         }
+        // A bare array is a single list, as the app used to save it
+        if (Array.isArray(parsed)) imported = { lists: [{ tasks: parsed }] };
+        else if (parsed && Array.isArray(parsed.lists) && parsed.lists.length) imported = parsed;
+        else throw new Error('JSON is not a todo export');
+    } else if (format === 'csv') {
+        imported = { lists: [{ tasks: tasksFromCSV(text) }] };
+    } else {
+        imported = { lists: [listFromMarkdown(text)] };
+    }
+
+    const problems = [];
+    imported.lists.forEach((list, l) => {
+        const where = imported.lists.length > 1 ? `list ${l + 1}, task` : format === 'csv' ? 'row' : 'task';
+        if (!Array.isArray(list.tasks)) {
+            problems.push(`list ${l + 1}: no tasks`);
+            return;
+        }
+        if (list.name !== undefined && list.name !== null && (typeof list.name !== 'string' || !list.name.trim())) {
+            problems.push(`list ${l + 1}: bad name`);
+        }
+        // CSV rows are numbered as a spreadsheet shows them, after the header
+        list.tasks.forEach((raw, i) => problems.push(...validateTask(raw, `${where} ${i + (format === 'csv' ? 2 : 1)}`)));
+    });
+    if (problems.length > 10) problems.splice(10, Infinity, `…and ${problems.length - 10} more`);
+    if (problems.length) throw new Error(problems.join('\n'));
+    return imported;
+}
+
+/**
+ * Add imported lists. Tasks whose id is already taken are skipped.
+ * 'replace' first empties the active list, or drops every list when the
+ * import carries whole lists (a JSON export).
+ * @param {{lists: Object[]}} imported - from parseImport()
+ * @param {'merge'|'replace'} mode
+ * @returns {{added: number, skipped: number}}
+ */
+function importLists(imported, mode) {
+    // Every list, as 'replace' may drop them all, and the ones the file adds
+    recordListChange('Import', [...lists.map(list => list.id), ...imported.lists.map(list => list.id).filter(Boolean)]);
+    activeList().tasks = tasks;
+    const previousIds = lists.map(list => list.id);
+    const wholeLists = imported.lists.every(list => list.id);
+    if (mode === 'replace') {
+        if (wholeLists) lists = [];
+        else activeList().tasks = [];
+    }
+    const seen = new Set(lists.flatMap(list => list.tasks.map(task => task.id)));
+    let added = 0;
+    let skipped = 0;
+    imported.lists.forEach(raw => {
+        let list = raw.id ? lists.find(l => l.id === raw.id) : activeList();
+        if (!list) {
+            list = new TaskList(raw.name ? raw.name.trim() : 'Imported');
+            list.id = raw.id;
+            lists.push(list);
+        }
+        const fresh = raw.tasks
+            .map(t => ({
+                ...t,
+                id: t.id || crypto.randomUUID(),
+                text: t.text.trim(),
+                completed: Boolean(t.completed),
+                notes: t.notes || '',
+                createdAt: t.createdAt || Date.now(),
+            }))
+            .filter(t => {
+                if (seen.has(t.id)) {
+                    skipped++;
+                    return false;
+                }
+                seen.add(t.id);
+                return true;
+            });
+        tasksFromJSON(fresh).forEach(task => {
+            // Due times that have already passed are not reminded about
+            task.reminded = task.reminded || isOverdue(task);
+            list.tasks.push(task);
+            added++;
+        });
+    });
+    if (!lists.some(list => list.id === activeListId)) activeListId = lists[0].id;
+    tasks = activeList().tasks;
+    renderTasks();
+    saveAllLists(previousIds);
+    scheduleDueCheck();
+    return { added, skipped };
+}
+
+/** Offer text as a file download. */
+function downloadFile(fileName, type, text) {
+    const url = URL.createObjectURL(new Blob([text], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+}
+
+/** 'Home & Garden' → 'home-garden', for file names. */
+function slug(name) {
+    return name.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, '-').replace(/^-|-$/g, '') || 'tasks';
+}
+
+function showDataStatus(message, isError = false) {
+    dataStatus.textContent = message;
+    dataStatus.classList.toggle('error', isError);
+}
+
+// Reminders
+
+/** Ask for Notification permission; called from a user action that sets a due time. */
+function requestNotificationPermission() {
+    if ('Notification' in window && Notification.permission === 'default') {
+        Notification.requestPermission().catch(e => console.error('Error requesting notification permission', e));
+    }
+}
+
+/**
+ * Show a reminder in the page, and as a system notification when allowed.
+ * @param {Task} task
+ */
+function showReminder(task) {
+    const li = document.createElement('li');
+    li.className = 'reminder';
+    const text = document.createElement('span');
+    const list = lists.find(l => l.tasks.includes(task) || (l.id === activeListId && tasks.includes(task)));
+    text.textContent = `⏰ Due now: ${task.text}${list && lists.length > 1 ? ` (${list.name})` : ''}`;
+    const dismiss = document.createElement('button');
+    dismiss.type = 'button';
+    dismiss.className = 'dismiss-reminder';
+    dismiss.textContent = 'Dismiss';
+    li.appendChild(text);
+    li.appendChild(dismiss);
+    reminderList.appendChild(li);
+
+    if ('Notification' in window && Notification.permission === 'granted') {
+        try {
+            new Notification('Task due', { body: task.text, tag: task.id });
+        } catch (e) {
+            // Some mobile browsers only allow notifications from a service worker
+            console.error('Error showing notification', e);
+        }
+    }
+}
+
+/**
+ * Remind about tasks whose due time has arrived, refresh overdue
+ * highlighting, then wait for the next due moment.
+ */
+function checkDueTasks() {
+    const now = new Date();
+    let reminded = false;
+    allTasks().forEach(task => {
+        if (task.completed || task.reminded || !task.dueTime || dueMoment(task) > now) return;
+        task.reminded = true;
+        reminded = true;
+        showReminder(task);
+    });
+    if (reminded) saveAllLists();
+    renderTasks();
+    scheduleDueCheck();
+}
+
+/** Set a timer for the earliest upcoming due moment of an open task. */
+function scheduleDueCheck() {
+    clearTimeout(dueTimer);
+    const now = Date.now();
+    const upcoming = allTasks()
+        .filter(task => !task.completed)
+        .map(task => dueMoment(task))
+        .filter(due => due !== null && due.getTime() > now)
+        .map(due => due.getTime());
+    if (upcoming.length === 0) return;
+    // Long waits are split up: timers overflow past ~24.8 days and drift while asleep
+    const delay = Math.min(Math.min(...upcoming) - now, 60 * 60 * 1000);
+    dueTimer = setTimeout(checkDueTasks, delay);
+}
+
+// Keyboard shortcuts
+
+/** Whether keys pressed in `element` type into it rather than being shortcuts. */
+function takesTyping(element) {
+    if (element.isContentEditable || element.tagName === 'TEXTAREA' || element.tagName === 'SELECT') return true;
+    return element.tagName === 'INPUT' && !['checkbox', 'radio', 'button', 'submit'].includes(element.type);
+}
+
+/** Mark a task as the one the shortcuts act on, without moving focus. */
+function markSelected(id) {
+    selectedId = id;
+    taskList.querySelectorAll('li.selected').forEach(li => li.classList.remove('selected'));
+    const li = taskList.querySelector(`li[data-id="${id}"]`);
+    if (li) li.classList.add('selected');
+}
+
+/** Select a shown task and focus it, first scrolling a long list to it if it isn't rendered. */
+function selectTask(id) {
+    const index = shownTasks.findIndex(task => task.id === id);
+    if (index === -1) return;
+    if (!taskList.querySelector(`li[data-id="${id}"]`)) {
+        window.scrollBy(0, taskList.getBoundingClientRect().top + itemOffsets()[index] - window.innerHeight / 2);
+        renderWindow();
+    }
+    markSelected(id);
+    const li = taskList.querySelector(`li[data-id="${id}"]`);
+    if (li) li.focus();
+}
+
+/** Select the shown task `offset` places from the selected one; with none selected, j starts at the top. */
+function moveSelection(offset) {
+    if (shownTasks.length === 0) return;
+    const index = shownTasks.findIndex(task => task.id === selectedId);
+    const next = index === -1 ? (offset > 0 ? 0 : shownTasks.length - 1) : Math.min(Math.max(index + offset, 0), shownTasks.length - 1);
+    selectTask(shownTasks[next].id);
+}
+
+/**
+ * Run `action` on the selected task. If that hides or deletes it, the
+ * task that takes its place is selected, so x or dd can be repeated.
+ */
+function actOnSelection(action) {
+    const index = shownTasks.findIndex(task => task.id === selectedId);
+    if (index === -1) return;
+    action(selectedId);
+    const next = shownTasks.find(task => task.id === selectedId) || shownTasks[Math.min(index, shownTasks.length - 1)];
+    if (next) selectTask(next.id);
+}
+
+function openShortcutHelp() {
+    shortcutHelp.hidden = false;
+    closeShortcutsBtn.focus();
+}
+
+function closeShortcutHelp() {
+    shortcutHelp.hidden = true;
+    if (selectedId) selectTask(selectedId);
+}
+
+// Command palette
+
+/**
+ * How well `query` matches `text`: its characters must appear in order,
+ * ignoring case. Runs of consecutive characters and word starts score
+ * higher, gaps and long texts lower.
+ * @returns {{score: number, positions: number[]}|null} null when it doesn't match;
+ *   positions are indexes into `text` where each matched character starts
+ */
+function fuzzyMatch(query, text) {
+    // Lower-case one character at a time: 'İ' becomes two characters, so
+    // indexes into text.toLowerCase() would drift from those into `text`
+    const chars = [];
+    let offset = 0;
+    for (const char of text) {
+        chars.push({ char, at: offset, lower: char.toLocaleLowerCase() });
+        offset += char.length;
+    }
+    const positions = [];
+    let score = 0;
+    let from = 0;
+    for (const char of query) {
+        const lower = char.toLocaleLowerCase();
+        let i = from;
+        while (i < chars.length && !chars[i].lower.startsWith(lower)) i++;
+        if (i === chars.length) return null;
+        if (positions.length && i === from) score += 5;
+        if (i === 0 || /[^\p{L}\p{N}]/u.test(chars[i - 1].char)) score += 3;
+        score -= Math.min(i - from, 10) * 0.2;
+        positions.push(chars[i].at);
+        from = i + 1;
+    }
+    return { score: score - chars.length * 0.01, positions };
+}
+
+/** Text with the matched characters in <mark>. */
+function highlightMatch(text, positions) {
+    const nodes = [];
+    let last = 0;
+    positions.forEach(at => {
+        // A whole character, even one outside the BMP such as an emoji
+        const char = String.fromCodePoint(text.codePointAt(at));
+        if (at > last) nodes.push(document.createTextNode(text.slice(last, at)));
+        const mark = document.createElement('mark');
+        mark.textContent = char;
+        nodes.push(mark);
+        last = at + char.length;
+    });
+    nodes.push(document.createTextNode(text.slice(last)));
+    return nodes;
+}
+
+/** Commands for the palette: {label, keys?, run}. */
+function paletteActions() {
+    const selected = tasks.find(task => task.id === selectedId);
+    const actions = [
+        { label: 'New task', keys: 'n', run: () => newTaskInput.focus() },
+        { label: 'Search tasks', keys: '/', run: () => searchInput.focus() },
+    ];
+    if (selected) {
+        actions.push(
+            { label: `${selected.completed ? 'Reopen' : 'Complete'} "${selected.text}"`, keys: 'x', run: () => actOnSelection(toggleComplete) },
+            { label: `Edit "${selected.text}"`, keys: 'e', run: () => startEditing(selected.id) },
+            { label: `Delete "${selected.text}"`, keys: 'd d', run: () => actOnSelection(deleteTask) },
+        );
+    }
+    actions.push(
+        { label: 'Undo', keys: 'Ctrl+Z', run: undo },
+        { label: 'Redo', keys: 'Ctrl+Shift+Z', run: redo },
+        { label: 'Clear completed', run: clearCompleted },
+        ...FILTERS.map(filter => ({
+            label: `Show ${filter} tasks`,
+            run: () => { window.location.hash = `#/${filter}`; },
+        })),
+        ...[...sortSelect.options].map(option => ({
+            label: `Sort: ${option.textContent}`,
+            run: () => {
+                sortSelect.value = option.value;
+                setSort(option.value);
+            },
+        })),
+        ...lists.filter(list => list.id !== activeListId).map(list => ({
+            label: `Open list: ${list.name}`,
+            run: () => switchList(list.id),
+        })),
+        ...[...exportFormat.options].map(option => ({
+            label: `Export ${option.textContent}`,
+            run: () => {
+                exportFormat.value = option.value;
+                exportBtn.click();
+            },
+        })),
+        { label: 'Keyboard shortcuts', keys: '?', run: openShortcutHelp },
+    );
+    return actions;
+}
+
+/** Every list's tasks as palette items that go to the task. */
+function paletteTasks() {
+    return lists.flatMap(list => (list.id === activeListId ? tasks : list.tasks).map(task => ({
+        label: task.text,
+        detail: lists.length > 1 ? list.name : '',
+        run: () => revealTask(list.id, task.id),
+    })));
+}
+
+/** Open a task's list and select the task, clearing a search or filter that hides it. */
+function revealTask(listId, id) {
+    if (listId !== activeListId) switchList(listId);
+    if (!shownTasks.some(task => task.id === id)) {
+        view.search = '';
+        searchInput.value = '';
+        view.tag = null;
+        if (view.filter !== 'all') window.location.hash = '#/all';
+        setFilter('all');
+    }
+    selectTask(id);
+}
+
+function openPalette() {
+    palette.returnFocus = document.activeElement;
+    commandPalette.hidden = false;
+    paletteInput.value = '';
+    updatePalette();
+    paletteInput.focus();
+}
+
+function closePalette() {
+    commandPalette.hidden = true;
+    if (palette.returnFocus && palette.returnFocus.isConnected) palette.returnFocus.focus();
+    palette.returnFocus = null;
+}
+
+/** Match the typed text; with nothing typed, list the commands. */
+function updatePalette() {
+    const query = paletteInput.value.replace(/\s+/g, '');
+    if (!query) {
+        palette.items = paletteActions().map(item => ({ ...item, positions: [] }));
+    } else {
+        palette.items = [...paletteActions(), ...paletteTasks()]
+            .map(item => ({ ...item, ...fuzzyMatch(query, item.label) }))
+            .filter(item => item.positions)
+            // Best first; ties keep commands before tasks (Array#sort is stable)
+            .sort((a, b) => b.score - a.score)
+            .slice(0, PALETTE_LIMIT);
+    }
+    palette.active = 0;
+    renderPalette();
+}
+
+function renderPalette() {
+    paletteResults.innerHTML = '';
+    palette.items.forEach((item, i) => {
+        const option = document.createElement('li');
+        option.id = `palette-option-${i}`;
+        option.setAttribute('role', 'option');
+        option.setAttribute('aria-selected', String(i === palette.active));
+        option.dataset.index = i;
+        const label = document.createElement('span');
+        label.className = 'palette-label';
+        label.append(...highlightMatch(item.label, item.positions));
+        option.appendChild(label);
+        if (item.detail) {
+            const detail = document.createElement('span');
+            detail.className = 'palette-detail';
+            detail.textContent = item.detail;
+            option.appendChild(detail);
+        }
+        if (item.keys) {
+            const keys = document.createElement('kbd');
+            keys.textContent = item.keys;
+            option.appendChild(keys);
+        }
+        paletteResults.appendChild(option);
+    });
+    if (palette.items.length === 0) {
+        const empty = document.createElement('li');
+        empty.className = 'palette-empty';
+        empty.textContent = 'No matching commands or tasks';
+        paletteResults.appendChild(empty);
+        paletteInput.removeAttribute('aria-activedescendant');
+    } else {
+        paletteInput.setAttribute('aria-activedescendant', `palette-option-${palette.active}`);
+        paletteResults.querySelector(`#palette-option-${palette.active}`).scrollIntoView({ block: 'nearest' });
+    }
+}
+
+/** Close the palette and run an item; running it may move focus elsewhere. */
+function runPaletteItem(index) {
+    const item = palette.items[index];
+    if (!item) return;
+    closePalette();
+    item.run();
+}
+
+// Offline and install
+
+/**
+ * Register sw.js so the app opens offline, and offer to reload when a new
+ * version of it has installed. Service workers need http(s), so nothing
+ * happens when index.html is opened from disk.
+ */
+function registerServiceWorker() {
+    if (!('serviceWorker' in navigator) || location.protocol === 'file:') return;
+    navigator.serviceWorker.register('sw.js')
+        .then(registration => {
+            // Installed earlier while this tab was open
+            if (registration.waiting && navigator.serviceWorker.controller) showUpdateNotice(registration.waiting);
+            registration.addEventListener('updatefound', () => {
+                const worker = registration.installing;
+                worker.addEventListener('statechange', () => {
+                    // Without a controller this is the first install, not an update
+                    if (worker.state === 'installed' && navigator.serviceWorker.controller) showUpdateNotice(worker);
+                });
+            });
+        })
+        .catch(e => console.error('Error registering service worker', e));
+
+    // The new version took over (here or in another tab): load its files
+    let reloading = false;
+    navigator.serviceWorker.addEventListener('controllerchange', () => {
+        if (reloading) return;
+        reloading = true;
+        location.reload();
+    });
+}
+
+/** @param {ServiceWorker} worker - the new version, waiting to take over */
+function showUpdateNotice(worker) {
+    waitingWorker = worker;
+    updateNotice.hidden = false;
+}
+
+// Event listeners
+
+// Add task via form submit
+taskForm.addEventListener('submit', e => {
+    e.preventDefault();
+    const text = newTaskInput.value;
+    addTask(text, {
+        dueDate: newDueDate.value,
+        dueTime: newDueTime.value,
+        priority: newPriority.value,
+        notes: newNotes.value.trim(),
+        recurrence: newRecurrence.value ? { freq: newRecurrence.value } : null,
+    });
+    if (newDueTime.value) requestNotificationPermission();
+    taskForm.reset();
+    newDueTime.disabled = true;
+});
+
+// Delegate clicks on task list
+taskList.addEventListener('click', e => {
+    const li = e.target.closest('li.task-item');
+    if (!li) return;
+    const id = li.dataset.id;
+
+    if (e.target.classList.contains('tag')) {
+        setTag(e.target.dataset.tag);
+    } else if (e.target.classList.contains('delete-btn')) {
+        deleteTask(id);
+    } else if (e.target.classList.contains('edit-btn')) {
+        startEditing(id);
+    } else if (e.target.classList.contains('details-btn')) {
+        const panel = li.querySelector('.task-details');
+        panel.hidden = !panel.hidden;
+        if (panel.hidden) expandedTasks.delete(id);
+        else expandedTasks.add(id);
+        e.target.setAttribute('aria-expanded', String(!panel.hidden));
+    } else if (e.target.classList.contains('subtask-toggle')) {
+        const section = li.querySelector('.subtasks');
+        section.hidden = !section.hidden;
+        if (section.hidden) openSubtasks.delete(id);
+        else openSubtasks.add(id);
+        e.target.setAttribute('aria-expanded', String(!section.hidden));
+        // An empty checklist opens straight into its field
+        if (!section.hidden && !section.querySelector('li.subtask')) section.querySelector('.new-subtask').focus();
+    } else if (e.target.classList.contains('toggle-subtask')) {
+        const subtaskId = e.target.closest('li.subtask').dataset.subtaskId;
+        toggleSubtask(id, subtaskId);
+        focusInTask(id, `li.subtask[data-subtask-id="${subtaskId}"] .toggle-subtask`);
+    } else if (e.target.classList.contains('delete-subtask')) {
+        deleteSubtask(id, e.target.closest('li.subtask').dataset.subtaskId);
+        focusInTask(id, '.new-subtask');
     } else if (e.target.type === 'checkbox') {
         toggleComplete(id);
     }
 });
 
-// On load
-document.addEventListener('DOMContentLoaded', () => {
-    loadFromLocalStorage();
+// Add subtasks; focus stays in the field for the next one
+taskList.addEventListener('submit', e => {
+    if (!e.target.classList.contains('subtask-form')) return;
+    e.preventDefault();
+    const id = e.target.closest('li.task-item').dataset.id;
+    addSubtask(id, e.target.querySelector('.new-subtask').value);
+    focusInTask(id, '.new-subtask');
+});
+
+// Double-click the text to edit it
+taskList.addEventListener('dblclick', e => {
+    const text = e.target.closest('.task-text');
+    if (text) startEditing(text.closest('li.task-item').dataset.id);
+});
+
+// Inline editor: Enter saves, Escape cancels
+taskList.addEventListener('keydown', e => {
+    if (!e.target.classList.contains('edit-input')) return;
+    const id = editing.id;
+    if (e.key === 'Enter') {
+        e.preventDefault();
+        commitEdit();
+        focusAfterEdit(id);
+    } else if (e.key === 'Escape') {
+        e.preventDefault();
+        cancelEdit();
+        focusAfterEdit(id);
+    }
+});
+
+taskList.addEventListener('input', e => {
+    if (e.target.classList.contains('edit-input')) editing.draft = e.target.value;
+});
+
+// Leaving the editor saves it; a re-render removing it does not
+taskList.addEventListener('focusout', e => {
+    if (e.target.classList.contains('edit-input') && e.target.isConnected) commitEdit();
+});
+
+// Save edits from a task's details panel
+taskList.addEventListener('change', e => {
+    const field = e.target.dataset.field;
+    const li = e.target.closest('li.task-item');
+    if (!field || !li) return;
+    // The Repeat select, weekday boxes and interval together make one rule
+    const changes = field.startsWith('recurrence')
+        ? { recurrence: recurrenceFromPanel(e.target.closest('.task-details')) }
+        : { [field]: e.target.value };
+    updateTaskDetails(li.dataset.id, changes);
+    if (field === 'dueTime' && e.target.value) requestNotificationPermission();
+});
+
+// Alt+Up/Down moves the task holding focus; focus follows it
+taskList.addEventListener('keydown', e => {
+    if (!e.altKey || (e.key !== 'ArrowUp' && e.key !== 'ArrowDown')) return;
+    const li = e.target.closest('li.task-item');
+    if (!li || view.sort !== 'manual' || e.target.classList.contains('edit-input')) return;
+    e.preventDefault();
+    const task = tasks.find(t => t.id === li.dataset.id);
+    const position = moveTask(task.id, e.key === 'ArrowUp' ? -1 : 1);
+    // The item is moved, not rebuilt, and renderTasks() keeps its focus
+    if (position === -1) return;
+    announce(`Moved "${task.text}" to position ${position + 1} of ${shownTasks.length}`);
+});
+
+// Drag by the handle; pointer events cover mouse, pen and touch alike
+taskList.addEventListener('pointerdown', e => {
+    const handle = e.target.closest('.drag-handle');
+    if (!handle || e.button !== 0) return;
+    e.preventDefault();
+    handle.setPointerCapture(e.pointerId);
+    drag = { li: handle.closest('li.task-item'), pointerId: e.pointerId };
+    drag.li.classList.add('dragging');
+});
+
+taskList.addEventListener('pointermove', e => {
+    if (!drag || e.pointerId !== drag.pointerId) return;
+    const before = dropTarget(e.clientY);
+    if (before !== drag.li.nextElementSibling) taskList.insertBefore(drag.li, before);
+});
+
+taskList.addEventListener('pointerup', e => {
+    if (drag && e.pointerId === drag.pointerId) endDrag(true);
+});
+
+taskList.addEventListener('pointercancel', e => {
+    if (drag && e.pointerId === drag.pointerId) endDrag(false);
+});
+
+document.addEventListener('keydown', e => {
+    if (drag && e.key === 'Escape') endDrag(false);
+});
+
+// Tabbing or clicking into a task selects it for the shortcuts
+taskList.addEventListener('focusin', e => {
+    const li = e.target.closest('li.task-item');
+    if (li && li.dataset.id !== selectedId) markSelected(li.dataset.id);
+});
+
+// Ctrl+K opens the command palette from anywhere, even a text field
+document.addEventListener('keydown', e => {
+    if (!(e.ctrlKey || e.metaKey) || e.altKey || e.shiftKey || e.key.toLowerCase() !== 'k') return;
+    e.preventDefault();
+    if (commandPalette.hidden) openPalette();
+    else closePalette();
+});
+
+// Single-key shortcuts, listed in #shortcut-help
+document.addEventListener('keydown', e => {
+    if (e.ctrlKey || e.metaKey || e.altKey || e.defaultPrevented || drag || takesTyping(e.target)) return;
+    if (!commandPalette.hidden) return;
+    if (!shortcutHelp.hidden) {
+        if (e.key === 'Escape' || e.key === '?') {
+            e.preventDefault();
+            closeShortcutHelp();
+        }
+        return;
+    }
+    // d must be pressed twice in a row to delete
+    const chord = e.key === 'd' && Date.now() - lastDPress < CHORD_MS;
+    lastDPress = e.key === 'd' && !chord ? Date.now() : 0;
+    switch (e.key) {
+        case 'j':
+            moveSelection(1);
+            break;
+        case 'k':
+            moveSelection(-1);
+            break;
+        case 'x':
+            actOnSelection(toggleComplete);
+            break;
+        case 'e':
+            if (shownTasks.some(task => task.id === selectedId)) startEditing(selectedId);
+            break;
+        case 'd':
+            if (chord) actOnSelection(deleteTask);
+            break;
+        case '/':
+            searchInput.focus();
+            break;
+        case 'n':
+            newTaskInput.focus();
+            break;
+        case '?':
+            openShortcutHelp();
+            break;
+        default:
+            return;
+    }
+    // Keep '/' and 'n' from being typed into the field they focus
+    e.preventDefault();
+});
+
+paletteInput.addEventListener('input', updatePalette);
+
+paletteInput.addEventListener('keydown', e => {
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+        e.preventDefault();
+        if (palette.items.length === 0) return;
+        const step = e.key === 'ArrowDown' ? 1 : -1;
+        palette.active = (palette.active + step + palette.items.length) % palette.items.length;
+        renderPalette();
+    } else if (e.key === 'Enter') {
+        e.preventDefault();
+        runPaletteItem(palette.active);
+    } else if (e.key === 'Escape') {
+        e.preventDefault();
+        closePalette();
+    } else if (e.key === 'Tab') {
+        // The palette is modal; its field is the only stop
+        e.preventDefault();
+    }
+});
+
+paletteResults.addEventListener('click', e => {
+    const option = e.target.closest('[role="option"]');
+    if (option) runPaletteItem(Number(option.dataset.index));
+});
+
+// Clicking the backdrop closes an overlay
+commandPalette.addEventListener('click', e => {
+    if (e.target === commandPalette) closePalette();
+});
+
+shortcutHelp.addEventListener('click', e => {
+    if (e.target === shortcutHelp) closeShortcutHelp();
+});
+
+closeShortcutsBtn.addEventListener('click', closeShortcutHelp);
+
+shortcutHelp.addEventListener('keydown', e => {
+    // Close is the sheet's only control, so focus stays on it
+    if (e.key === 'Tab') e.preventDefault();
+});
+
+// Live search over task text and notes
+searchInput.addEventListener('input', () => {
+    view.search = searchInput.value;
     renderTasks();
 });
 
+sortSelect.addEventListener('change', () => setSort(sortSelect.value));
+
+window.addEventListener('scroll', scheduleWindowUpdate, { passive: true });
+window.addEventListener('resize', scheduleWindowUpdate);
+
+clearCompletedBtn.addEventListener('click', clearCompleted);
+
+// Filter links only change the hash; back/forward and bookmarks work the same way
+window.addEventListener('hashchange', () => setFilter(filterFromHash()));
+
+// Tag chips toggle the tag filter
+tagFilter.addEventListener('click', e => {
+    const chip = e.target.closest('.tag');
+    if (chip) setTag(view.tag === chip.dataset.tag ? null : chip.dataset.tag);
+});
+
+// Sidebar: switch, rename and delete lists; deleting shows the Undo toast instead of asking first
+listNav.addEventListener('click', e => {
+    const li = e.target.closest('li');
+    if (!li) return;
+    const id = li.dataset.id;
+    if (e.target.closest('.list-select')) {
+        switchList(id);
+    } else if (e.target.closest('.rename-list')) {
+        startRenaming(id);
+    } else if (e.target.closest('.delete-list')) {
+        deleteList(id);
+    }
+});
+
+// List name editor: Enter saves, Escape cancels
+listNav.addEventListener('keydown', e => {
+    if (!e.target.classList.contains('rename-input')) return;
+    const id = renaming.id;
+    if (e.key === 'Enter') {
+        e.preventDefault();
+        commitRename();
+        focusAfterRename(id);
+    } else if (e.key === 'Escape') {
+        e.preventDefault();
+        cancelRename();
+        focusAfterRename(id);
+    }
+});
+
+listNav.addEventListener('input', e => {
+    if (e.target.classList.contains('rename-input')) renaming.draft = e.target.value;
+});
+
+// Leaving the editor saves it; a re-render removing it does not
+listNav.addEventListener('focusout', e => {
+    if (e.target.classList.contains('rename-input') && e.target.isConnected) commitRename();
+});
+
+newListForm.addEventListener('submit', e => {
+    e.preventDefault();
+    createList(newListInput.value);
+    newListInput.value = '';
+});
+
+exportBtn.addEventListener('click', () => {
+    const name = slug(activeList().name);
+    if (exportFormat.value === 'csv') downloadFile(`${name}.csv`, 'text/csv', exportCSV());
+    else if (exportFormat.value === 'markdown') downloadFile(`${name}.md`, 'text/markdown', exportMarkdown());
+    else downloadFile('todo-lists.json', 'application/json', exportJSON());
+});
+
+importForm.addEventListener('submit', async e => {
+    e.preventDefault();
+    const file = importFile.files[0];
+    if (!file) return;
+    const mode = importForm.elements['import-mode'].value;
+    try {
+        const { added, skipped } = importLists(parseImport(await file.text(), file.name), mode);
+        showDataStatus(`Imported ${added} ${added === 1 ? 'task' : 'tasks'}${skipped ? `, skipped ${skipped} already here` : ''}.`);
+        importForm.reset();
+    } catch (err) {
+        console.error('Error importing tasks', err);
+        showDataStatus(`Nothing imported:\n${err.message}`, true);
+    }
+});
+
+// Ctrl+Z undoes, Ctrl+Shift+Z or Ctrl+Y redoes; text fields keep their own undo
+document.addEventListener('keydown', e => {
+    if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+    const key = e.key.toLowerCase();
+    if (key !== 'z' && key !== 'y') return;
+    const field = e.target;
+    if (field.tagName === 'TEXTAREA' || (field.tagName === 'INPUT' && field.type !== 'checkbox')) return;
+    e.preventDefault();
+    if (key === 'y' || e.shiftKey) redo();
+    else undo();
+});
+
+toastUndoBtn.addEventListener('click', () => {
+    undo();
+    newTaskInput.focus();
+});
+
+downloadCorruptBtn.addEventListener('click', () => {
+    const copies = unreadableData.map(raw => (typeof raw === 'string' ? raw : JSON.stringify(raw)));
+    downloadFile('todo-unreadable-data.json', 'application/json', JSON.stringify(copies, null, 2));
+});
+
+dismissNoticeBtn.addEventListener('click', () => {
+    storageNotice.hidden = true;
+});
+
+// The new version takes over; registerServiceWorker() reloads once it has
+reloadAppBtn.addEventListener('click', () => {
+    if (waitingWorker) waitingWorker.postMessage('skip-waiting');
+});
+
+dismissUpdateBtn.addEventListener('click', () => {
+    updateNotice.hidden = true;
+});
+
+// Keep the browser's install offer for the Install button instead of its own banner
+window.addEventListener('beforeinstallprompt', e => {
+    e.preventDefault();
+    installPrompt = e;
+    installBtn.hidden = false;
+});
+
+installBtn.addEventListener('click', () => {
+    // The offer can only be shown once
+    installBtn.hidden = true;
+    installPrompt.prompt();
+    installPrompt = null;
+});
+
+window.addEventListener('appinstalled', () => {
+    installPrompt = null;
+    installBtn.hidden = true;
+});
+
+// Dismiss in-page reminders
+reminderList.addEventListener('click', e => {
+    if (e.target.classList.contains('dismiss-reminder')) {
+        e.target.closest('li').remove();
+    }
+});
+
+// Timers are throttled in background tabs; catch up when the page is shown again
+document.addEventListener('visibilitychange', () => {
+    if (!document.hidden) checkDueTasks();
+});
+
+// Enable the time field only once a date is chosen
+newDueDate.addEventListener('input', () => {
+    newDueTime.disabled = !newDueDate.value;
+});
+
+// On load
+document.addEventListener('DOMContentLoaded', async () => {
+    await loadState();
+    renderLists();
+    view.filter = filterFromHash();
+    const savedSort = localStorage.getItem('todoSort');
+    if (SORTS.includes(savedSort)) view.sort = savedSort;
+    sortSelect.value = view.sort;
+    newDueTime.disabled = true;
+    // Reminders that came due while the app was closed are shown now
+    checkDueTasks();
+    registerServiceWorker();
+});
@@ -0,0 +1,289 @@
+// storage.js - Saving the todo lists: IndexedDB, or localStorage where IndexedDB is unavailable
+//
+// Every backend has the same shape:
+//   static open()             → Promise of a ready backend; rejects when unusable
+//   load()                    → Promise of the saved data ({version, activeListId, lists}) or null
+//   save(state, changes)      → Promise; writes only the lists named in changes
+//   keepCorrupt(raw)          → Promise; sets unreadable data aside instead of dropping it
+//   subscribe(callback)       → calls back when another tab saves
+//   recovered                 → payloads set aside by keepCorrupt() since opening
+
+// Version of the saved data; MIGRATIONS bring older data up to it
+const SCHEMA_VERSION = 4;
+
+/**
+ * MIGRATIONS[n] turns version n - 1 data into version n. Version 0 is the
+ * bare task array saved under 'todoTasks' before there were lists; data
+ * without a version number is version 1.
+ */
+const MIGRATIONS = {
+    // Existing tasks become the default list
+    1: data => ({
+        activeListId: null,
+        lists: [{ id: crypto.randomUUID(), name: 'My Tasks', tasks: data.tasks }],
+    }),
+    // Tasks saved before due dates, priorities and timestamps get the defaults;
+    // their saved order is their creation order
+    2: data => mapTasks(data, (task, index) => ({
+        dueDate: null,
+        dueTime: null,
+        priority: 'medium',
+        notes: '',
+        reminded: false,
+        ...task,
+        completed: Boolean(task.completed),
+        createdAt: Number.isFinite(task.createdAt) ? task.createdAt : index,
+    })),
+    // Tasks get a checklist of subtasks
+    3: data => mapTasks(data, task => ({ ...task, subtasks: Array.isArray(task.subtasks) ? task.subtasks : [] })),
+    // Tasks can repeat, and keep a log of earlier completions
+    4: data => mapTasks(data, task => ({ recurrence: null, completions: [], ...task })),
+};
+
+/** Apply `fn` to every task of every list, leaving malformed ones for checkLists(). */
+function mapTasks(data, fn) {
+    return {
+        ...data,
+        lists: data.lists.map(list => (list && Array.isArray(list.tasks)
+            ? { ...list, tasks: list.tasks.map((task, index) => (task && typeof task === 'object' ? fn(task, index) : task)) }
+            : list)),
+    };
+}
+
+/** Bring saved data up to SCHEMA_VERSION; throws when it is too damaged to migrate. */
+function migrate(data) {
+    let version = Number.isInteger(data.version) ? data.version : 1;
+    while (version < SCHEMA_VERSION) {
+        version++;
+        data = { ...MIGRATIONS[version](data), version };
+    }
+    return data;
+}
+
+function isSavedTask(task) {
+    return task !== null && typeof task === 'object' && typeof task.id === 'string' && typeof task.text === 'string';
+}
+
+/**
+ * Split migrated lists into usable ones and damaged originals. A list with
+ * some unreadable tasks is loaded without them; its original is still
+ * reported as damaged so it can be kept.
+ * @returns {{lists: Object[], damaged: Object[]}}
+ */
+function checkLists(lists) {
+    const usable = [];
+    const damaged = [];
+    lists.forEach(list => {
+        if (list === null || typeof list !== 'object' || typeof list.id !== 'string' || !Array.isArray(list.tasks)) {
+            damaged.push(list);
+            return;
+        }
+        const tasks = list.tasks.filter(isSavedTask);
+        if (tasks.length < list.tasks.length) damaged.push(list);
+        usable.push({ ...list, name: typeof list.name === 'string' ? list.name : 'Untitled', tasks });
+    });
+    return { lists: usable, damaged };
+}
+
+// localStorage backend
+
+/**
+ * Everything as one JSON string under 'todoLists'. Saving merges into
+ * what is stored, so a list another tab changed is not overwritten.
+ */
+class LocalStorageBackend {
+    constructor(key = 'todoLists') {
+        this.key = key;
+        this.recovered = [];
+    }
+
+    static async open() {
+        // Throws where storage is blocked, e.g. with cookies disabled
+        localStorage.getItem('todoLists');
+        return new LocalStorageBackend();
+    }
+
+    async load() {
+        if (localStorage.getItem(this.key) !== null) return this.read(this.key);
+        // Saved before lists: a bare task array
+        const tasks = this.read('todoTasks');
+        return Array.isArray(tasks) ? { version: 0, tasks } : null;
+    }
+
+    /** Parsed JSON under `key`, or null after setting an unreadable value aside. */
+    read(key) {
+        const raw = localStorage.getItem(key);
+        if (raw === null) return null;
+        try {
+            return JSON.parse(raw);
+        } catch (e) {
+            console.error(`Error parsing ${key} from localStorage`, e);
+            this.keepCorrupt(raw);
+            return null;
+        }
+    }
+
+    async save(state, { changed = [], deleted = [] } = {}) {
+        let stored = null;
+        try {
+            stored = JSON.parse(localStorage.getItem(this.key));
+        } catch (e) {
+            // Unreadable; the whole state is written below
+        }
+        let lists = state.lists;
+        if (stored && Array.isArray(stored.lists) && stored.version === SCHEMA_VERSION) {
+            const byId = new Map(state.lists.map(list => [list.id, list]));
+            lists = stored.lists
+                .filter(list => !deleted.includes(list.id))
+                .map(list => (changed.includes(list.id) && byId.has(list.id) ? byId.get(list.id) : list));
+            changed.forEach(id => {
+                if (byId.has(id) && !lists.some(list => list.id === id)) lists.push(byId.get(id));
+            });
+        }
+        localStorage.setItem(this.key, JSON.stringify({ version: SCHEMA_VERSION, activeListId: state.activeListId, lists }));
+    }
+
+    async keepCorrupt(raw) {
+        this.recovered.push(raw);
+        try {
+            localStorage.setItem(`${this.key}.corrupt-${Date.now()}`, typeof raw === 'string' ? raw : JSON.stringify(raw));
+        } catch (e) {
+            console.error('Error keeping unreadable data', e);
+        }
+    }
+
+    subscribe(callback) {
+        window.addEventListener('storage', e => {
+            if (e.key === this.key) callback();
+        });
+    }
+}
+
+// IndexedDB backend
+
+const DB_NAME = 'todo-app';
+const DB_VERSION = 1;
+
+/** DB_UPGRADES[n] creates the object stores added in database version n. */
+const DB_UPGRADES = {
+    1: db => {
+        db.createObjectStore('lists', { keyPath: 'id' }); // one record per list
+        db.createObjectStore('meta'); // 'state' → {version, activeListId, order}
+        db.createObjectStore('corrupt', { autoIncrement: true }); // {savedAt, raw}
+    },
+};
+
+function requestResult(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+function transactionDone(transaction) {
+    return new Promise((resolve, reject) => {
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+}
+
+/**
+ * One record per list, so a change writes only the lists it touched.
+ * Other tabs hear about saves over a BroadcastChannel.
+ */
+class IndexedDBBackend {
+    constructor(db) {
+        this.db = db;
+        this.recovered = [];
+        this.channel = 'BroadcastChannel' in window ? new BroadcastChannel(DB_NAME) : null;
+    }
+
+    /** Rejects where IndexedDB is missing or disabled, as in some private modes. */
+    static open() {
+        return new Promise((resolve, reject) => {
+            if (!('indexedDB' in window)) {
+                reject(new Error('IndexedDB is not supported'));
+                return;
+            }
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = e => {
+                for (let version = e.oldVersion + 1; version <= DB_VERSION; version++) DB_UPGRADES[version](request.result);
+            };
+            request.onsuccess = () => {
+                const db = request.result;
+                // Let a newer version of the app open in another tab
+                db.onversionchange = () => db.close();
+                resolve(new IndexedDBBackend(db));
+            };
+            request.onerror = () => reject(request.error);
+            request.onblocked = () => reject(new Error('IndexedDB upgrade blocked by another tab'));
+        });
+    }
+
+    async load() {
+        const transaction = this.db.transaction(['lists', 'meta'], 'readonly');
+        const [meta, lists] = await Promise.all([
+            requestResult(transaction.objectStore('meta').get('state')),
+            requestResult(transaction.objectStore('lists').getAll()),
+        ]);
+        if (!meta && lists.length === 0) return null;
+        // Lists missing from the order, or all of them if it was lost, go last
+        const order = meta && Array.isArray(meta.order) ? meta.order : [];
+        const position = id => (order.includes(id) ? order.indexOf(id) : Infinity);
+        lists.sort((a, b) => position(a.id) - position(b.id));
+        return { version: meta ? meta.version : SCHEMA_VERSION, activeListId: meta ? meta.activeListId : null, lists };
+    }
+
+    async save(state, { changed = [], deleted = [] } = {}) {
+        const transaction = this.db.transaction(['lists', 'meta'], 'readwrite');
+        const done = transactionDone(transaction);
+        const listStore = transaction.objectStore('lists');
+        const metaStore = transaction.objectStore('meta');
+        state.lists.filter(list => changed.includes(list.id)).forEach(list => listStore.put(list));
+        deleted.forEach(id => listStore.delete(id));
+        // The order is merged, not overwritten, so a list another tab just added stays
+        const stored = await requestResult(metaStore.get('state'));
+        const order = (stored && Array.isArray(stored.order) ? stored.order : []).filter(id => !deleted.includes(id));
+        state.lists.forEach(list => {
+            if (changed.includes(list.id) && !order.includes(list.id)) order.push(list.id);
+        });
+        metaStore.put({ version: SCHEMA_VERSION, activeListId: state.activeListId, order }, 'state');
+        await done;
+        if (this.channel) this.channel.postMessage({ changed, deleted });
+        else localStorage.setItem(`${DB_NAME}.saved`, String(Date.now()));
+    }
+
+    async keepCorrupt(raw) {
+        this.recovered.push(raw);
+        const transaction = this.db.transaction('corrupt', 'readwrite');
+        transaction.objectStore('corrupt').add({ savedAt: Date.now(), raw });
+        await transactionDone(transaction);
+    }
+
+    subscribe(callback) {
+        if (this.channel) {
+            this.channel.onmessage = () => callback();
+        } else {
+            // No BroadcastChannel (older Safari): save() touches a localStorage key instead
+            window.addEventListener('storage', e => {
+                if (e.key === `${DB_NAME}.saved`) callback();
+            });
+        }
+    }
+}
+
+/**
+ * Open the first backend that works.
+ * @param {Array} [backends] - backend classes, most preferred first
+ */
+async function openStorage(backends = [IndexedDBBackend, LocalStorageBackend]) {
+    for (const Backend of backends) {
+        try {
+            return await Backend.open();
+        } catch (e) {
+            console.error(`Error opening ${Backend.name}, trying the next storage`, e);
+        }
+    }
+    throw new Error('No storage available');
+}
@@ -0,0 +1,48 @@
+// sw.js - Service worker: keeps the app's files cached so it opens offline
+//
+// Files are served from the cache first. Change CACHE_VERSION whenever a
+// cached file changes: the browser then installs this worker as a new
+// version, which waits until the page asks it to take over (see
+// 'skip-waiting' below) so an open tab never runs a mix of old and new files.
+
+const CACHE_VERSION = 'todo-app-v8';
+
+const APP_FILES = [
+    './',
+    'index.html',
+    'style.css',
+    'storage.js',
+    'app.js',
+    'manifest.webmanifest',
+    'icon.svg',
+];
+
+self.addEventListener('install', e => {
+    e.waitUntil(caches.open(CACHE_VERSION).then(cache => cache.addAll(APP_FILES)));
+});
+
+// Drop the caches of earlier versions once this one is in charge
+self.addEventListener('activate', e => {
+    e.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys
+                .filter(key => key.startsWith('todo-app-') && key !== CACHE_VERSION)
+                .map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', e => {
+    const url = new URL(e.request.url);
+    if (e.request.method !== 'GET' || url.origin !== self.location.origin) return;
+    e.respondWith(
+        // A page URL with a hash or query (e.g. ?source=pwa) is still index.html
+        caches.match(e.request.mode === 'navigate' ? 'index.html' : e.request, { ignoreSearch: true })
+            .then(cached => cached || fetch(e.request))
+    );
+});
+
+// Sent by the page when the user chooses to reload into the new version
+self.addEventListener('message', e => {
+    if (e.data === 'skip-waiting') self.skipWaiting();
+});
@@ -0,0 +1,87 @@
+// editing.test.js - Editing a task's text in place (startEditing, commitEdit, cancelEdit in app.js)
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { FakeEvent, loadApp, plain } = require('./helpers.js');
+
+let app;
+let taskList;
+beforeEach(async () => {
+    app = await loadApp();
+    ['Buy milk', 'Call Bob'].forEach(text => app.window.addTask(text));
+    taskList = app.document.getElementById('task-list');
+});
+
+/** The item showing the task with this text. */
+function item(text) {
+    return taskList.querySelectorAll('li.task-item').find(li => li.querySelector('.task-text')?.textContent === text);
+}
+
+const texts = () => plain(app.run('tasks')).map(task => task.text);
+const editor = () => taskList.querySelector('.edit-input');
+
+/** Type into the inline editor, as the browser would. */
+function type(text) {
+    editor().value = text;
+    editor().dispatchEvent(new FakeEvent('input', { bubbles: true }));
+}
+
+describe('editing a task', () => {
+    it('opens an editor in place of the text, focused, from the edit button or a double-click', () => {
+        item('Buy milk').querySelector('.edit-btn').click();
+        assert.equal(editor().value, 'Buy milk');
+        assert.equal(app.document.activeElement, editor());
+        app.keydown('Escape');
+
+        item('Call Bob').querySelector('.task-text').dispatchEvent(new FakeEvent('dblclick', { bubbles: true }));
+        assert.equal(editor().value, 'Call Bob');
+    });
+
+    it('saves on Enter and gives focus back to the edit button', () => {
+        item('Buy milk').querySelector('.edit-btn').click();
+        type('Buy oat milk');
+        assert.equal(app.keydown('Enter'), true);
+        assert.deepEqual(texts(), ['Buy oat milk', 'Call Bob']);
+        assert.equal(editor(), null);
+        assert.equal(app.document.activeElement, item('Buy oat milk').querySelector('.edit-btn'));
+    });
+
+    it('saves when focus leaves the editor', () => {
+        item('Buy milk').querySelector('.edit-btn').click();
+        type('Buy oat milk');
+        editor().dispatchEvent(new FakeEvent('focusout', { bubbles: true }));
+        assert.deepEqual(texts(), ['Buy oat milk', 'Call Bob']);
+        assert.equal(editor(), null);
+    });
+
+    it('keeps the old text on Escape, or when nothing changed', () => {
+        item('Buy milk').querySelector('.edit-btn').click();
+        type('Buy oat milk');
+        assert.equal(app.keydown('Escape'), true);
+        assert.equal(editor(), null);
+        assert.equal(app.document.activeElement, item('Buy milk').querySelector('.edit-btn'));
+
+        item('Buy milk').querySelector('.edit-btn').click();
+        app.keydown('Enter');
+        assert.deepEqual(texts(), ['Buy milk', 'Call Bob']);
+        assert.equal(app.run('undoHistory.undo.length'), 2);
+    });
+
+    it('deletes the task when the text is cleared, focusing the new-task field', () => {
+        item('Buy milk').querySelector('.edit-btn').click();
+        type('  ');
+        app.keydown('Enter');
+        assert.deepEqual(texts(), ['Call Bob']);
+        assert.equal(app.document.activeElement, app.document.getElementById('new-task'));
+        app.window.undo();
+        assert.deepEqual(texts(), ['Buy milk', 'Call Bob']);
+    });
+
+    it('keeps the draft and focus when the list is redrawn', () => {
+        item('Buy milk').querySelector('.edit-btn').click();
+        type('Buy oat');
+        app.window.addTask('Mow lawn');
+        assert.equal(editor().value, 'Buy oat');
+        assert.equal(app.document.activeElement, editor());
+    });
+});
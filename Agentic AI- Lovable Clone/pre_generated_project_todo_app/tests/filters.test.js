@@ -0,0 +1,84 @@
+// filters.test.js - The All/Active/Completed filter and the URL hash that holds it (filterFromHash, setFilter in app.js)
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { FakeEvent, loadApp } = require('./helpers.js');
+
+/** Saved data holding 'Buy milk' (done) and 'Call Bob'. */
+const saved = {
+    todoLists: JSON.stringify({
+        version: 4,
+        activeListId: 'list',
+        lists: [{
+            id: 'list',
+            name: 'My Tasks',
+            tasks: [
+                { id: 'task-1', text: 'Buy milk', completed: true, createdAt: 1 },
+                { id: 'task-2', text: 'Call Bob', completed: false, createdAt: 2 },
+            ],
+        }],
+    }),
+};
+
+/** Texts of the tasks the list shows. */
+function shown(app) {
+    return app.document.getElementById('task-list').querySelectorAll('li.task-item')
+        .map(li => li.querySelector('.task-text').textContent);
+}
+
+/** Follow a filter link or type a URL: the hash changes and the browser says so. */
+function navigate(app, hash) {
+    app.window.location.hash = hash;
+    app.window.dispatchEvent(new FakeEvent('hashchange'));
+}
+
+describe('filterFromHash', () => {
+    it('reads the filter from the hash, showing all for anything else', async () => {
+        const app = await loadApp();
+        const read = hash => {
+            app.window.location.hash = hash;
+            return app.window.filterFromHash();
+        };
+        assert.equal(read('#/active'), 'active');
+        assert.equal(read('#completed'), 'completed');
+        assert.equal(read('#/'), 'all');
+        assert.equal(read(''), 'all');
+        assert.equal(read('#/done'), 'all');
+    });
+});
+
+describe('the filter', () => {
+    let app;
+    beforeEach(async () => {
+        app = await loadApp(saved);
+    });
+
+    it('follows the hash as it changes', () => {
+        assert.deepEqual(shown(app), ['Buy milk', 'Call Bob']);
+        navigate(app, '#/active');
+        assert.deepEqual(shown(app), ['Call Bob']);
+        navigate(app, '#/completed');
+        assert.deepEqual(shown(app), ['Buy milk']);
+        navigate(app, '#/');
+        assert.deepEqual(shown(app), ['Buy milk', 'Call Bob']);
+    });
+
+    it('is set through the hash from the command palette', () => {
+        app.window.paletteActions().find(action => action.label === 'Show active tasks').run();
+        assert.equal(app.window.location.hash, '#/active');
+        app.window.dispatchEvent(new FakeEvent('hashchange'));
+        assert.deepEqual(shown(app), ['Call Bob']);
+    });
+
+    it('keeps the remaining count to the whole list', () => {
+        navigate(app, '#/completed');
+        assert.equal(app.document.getElementById('remaining-count').textContent, '1 item left');
+    });
+
+    it('comes back from the hash when the page is reloaded', async () => {
+        navigate(app, '#/completed');
+        const reloaded = await loadApp(saved, { hash: app.window.location.hash });
+        assert.equal(reloaded.run('view.filter'), 'completed');
+        assert.deepEqual(shown(reloaded), ['Buy milk']);
+    });
+});
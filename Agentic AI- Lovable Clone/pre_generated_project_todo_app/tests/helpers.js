@@ -0,0 +1,468 @@
+// helpers.js - Shared fixtures for the headless test suite (run `node --test` in this directory)
+// --------------------------------------------------
+// storage.js and app.js are plain browser scripts, so they are loaded into a
+// vm context with a stand-in document: just enough elements, selectors and
+// events for app.js to start up, render its lists and handle input.
+// --------------------------------------------------
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.join(__dirname, '..');
+
+class FakeEvent {
+    constructor(type, init = {}) {
+        this.type = type;
+        this.bubbles = false;
+        this.key = '';
+        Object.assign(this, init);
+        this.target = null;
+        this.defaultPrevented = false;
+        this.stopped = false;
+    }
+
+    preventDefault() {
+        this.defaultPrevented = true;
+    }
+
+    stopPropagation() {
+        this.stopped = true;
+    }
+}
+
+/** Tree, listeners and event dispatch, shared by elements, text and the document. */
+class FakeNode {
+    constructor(document) {
+        this.ownerDocument = document;
+        this.parentNode = null;
+        this.childNodes = [];
+        this.listeners = {};
+    }
+
+    addEventListener(type, handler) {
+        (this.listeners[type] = this.listeners[type] || []).push(handler);
+    }
+
+    removeEventListener(type, handler) {
+        this.listeners[type] = (this.listeners[type] || []).filter(h => h !== handler);
+    }
+
+    /** Run the listeners here, then on each ancestor when the event bubbles. */
+    dispatchEvent(event) {
+        event.target = event.target || this;
+        for (let node = this; node && !event.stopped; node = event.bubbles ? node.parentNode : null) {
+            event.currentTarget = node;
+            [...(node.listeners[event.type] || [])].forEach(handler => handler(event));
+        }
+        return !event.defaultPrevented;
+    }
+
+    get textContent() {
+        return this.childNodes.map(child => child.textContent).join('');
+    }
+
+    set textContent(text) {
+        [...this.childNodes].forEach(child => child.remove());
+        if (text !== '' && text !== null && text !== undefined) this.appendChild(new FakeText(this.ownerDocument, String(text)));
+    }
+
+    get children() {
+        return this.childNodes.filter(child => child instanceof FakeElement);
+    }
+
+    get isConnected() {
+        let node = this;
+        while (node.parentNode) node = node.parentNode;
+        return node === this.ownerDocument;
+    }
+
+    appendChild(child) {
+        return this.insertBefore(child, null);
+    }
+
+    append(...children) {
+        children.forEach(child => this.appendChild(typeof child === 'string' ? new FakeText(this.ownerDocument, child) : child));
+    }
+
+    insertBefore(child, reference) {
+        child.remove();
+        const index = reference ? this.childNodes.indexOf(reference) : -1;
+        if (index === -1) this.childNodes.push(child);
+        else this.childNodes.splice(index, 0, child);
+        child.parentNode = this;
+        return child;
+    }
+
+    remove() {
+        if (!this.parentNode) return;
+        this.parentNode.childNodes.splice(this.parentNode.childNodes.indexOf(this), 1);
+        this.parentNode = null;
+        // As in a browser, focus inside a removed node falls back to the body
+        const document = this.ownerDocument;
+        if (document && document.activeElement && !document.activeElement.isConnected) document.activeElement = document.body;
+    }
+
+    contains(node) {
+        for (; node; node = node.parentNode) {
+            if (node === this) return true;
+        }
+        return false;
+    }
+
+    querySelectorAll(selector) {
+        const found = [];
+        const visit = node => node.children.forEach(child => {
+            if (child.matches(selector)) found.push(child);
+            visit(child);
+        });
+        visit(this);
+        return found;
+    }
+
+    querySelector(selector) {
+        return this.querySelectorAll(selector)[0] || null;
+    }
+}
+
+class FakeText extends FakeNode {
+    constructor(document, text) {
+        super(document);
+        this.data = text;
+    }
+
+    get textContent() {
+        return this.data;
+    }
+
+    get children() {
+        return [];
+    }
+}
+
+class FakeClassList {
+    constructor() {
+        this.names = new Set();
+    }
+
+    get 0() {
+        return [...this.names][0];
+    }
+
+    get length() {
+        return this.names.size;
+    }
+
+    add(...names) {
+        names.forEach(name => this.names.add(name));
+    }
+
+    remove(...names) {
+        names.forEach(name => this.names.delete(name));
+    }
+
+    contains(name) {
+        return this.names.has(name);
+    }
+
+    toggle(name, force = !this.names.has(name)) {
+        if (force) this.names.add(name);
+        else this.names.delete(name);
+        return force;
+    }
+
+    toString() {
+        return [...this.names].join(' ');
+    }
+}
+
+/** 'data-subtask-id' → 'subtaskId', the dataset key the browser uses. */
+function datasetKey(attribute) {
+    return attribute.slice(5).replace(/-(\w)/g, (_, letter) => letter.toUpperCase());
+}
+
+/**
+ * Test for one compound selector, e.g. li.task-item[data-id="a"]. Tags,
+ * #ids, .classes and [attributes] with an optional ="value" are understood.
+ */
+function compoundMatcher(compound) {
+    const tests = [];
+    for (const [, tag, id, className, attribute, value] of compound.matchAll(/^([a-z]+)|#([\w-]+)|\.([\w-]+)|\[([\w-]+)(?:="([^"]*)")?\]/gi)) {
+        if (tag) tests.push(element => element.tagName === tag.toUpperCase());
+        else if (id) tests.push(element => element.id === id);
+        else if (className) tests.push(element => element.classList.contains(className));
+        else if (value === undefined) tests.push(element => element.getAttribute(attribute) !== null);
+        else tests.push(element => element.getAttribute(attribute) === value);
+    }
+    return element => tests.every(test => test(element));
+}
+
+/**
+ * Just enough of an HTMLElement for app.js: tree and selectors, attributes
+ * and dataset, classes, form control state, focus and a fixed layout.
+ */
+class FakeElement extends FakeNode {
+    constructor(document, tagName) {
+        super(document);
+        this.tagName = tagName.toUpperCase();
+        this.attributes = {};
+        this.dataset = {};
+        this.style = {};
+        this.classList = new FakeClassList();
+        this.id = '';
+        this.type = tagName === 'input' ? 'text' : '';
+        this.value = '';
+        this.checked = false;
+        this.disabled = false;
+        this.hidden = false;
+        this.tabIndex = -1;
+    }
+
+    get className() {
+        return this.classList.toString();
+    }
+
+    set className(value) {
+        this.classList = new FakeClassList();
+        this.classList.add(...String(value).split(/\s+/).filter(Boolean));
+    }
+
+    set innerHTML(html) {
+        this.textContent = html;
+    }
+
+    get nextElementSibling() {
+        if (!this.parentNode) return null;
+        const siblings = this.parentNode.children;
+        return siblings[siblings.indexOf(this) + 1] || null;
+    }
+
+    get options() {
+        return this.querySelectorAll('option');
+    }
+
+    setAttribute(name, value) {
+        if (name.startsWith('data-')) this.dataset[datasetKey(name)] = String(value);
+        else if (name === 'class') this.className = value;
+        else if (name === 'id') this.id = String(value);
+        else this.attributes[name] = String(value);
+    }
+
+    getAttribute(name) {
+        if (name.startsWith('data-')) {
+            const value = this.dataset[datasetKey(name)];
+            return value === undefined ? null : String(value);
+        }
+        if (name === 'class') return this.classList.length ? this.className : null;
+        if (name === 'id') return this.id || null;
+        return name in this.attributes ? this.attributes[name] : null;
+    }
+
+    removeAttribute(name) {
+        if (name.startsWith('data-')) delete this.dataset[datasetKey(name)];
+        else delete this.attributes[name];
+    }
+
+    /** Compound selectors joined by spaces (descendants); no commas or other combinators. */
+    matches(selector) {
+        const parts = selector.trim().split(/\s+/).map(compoundMatcher);
+        if (!parts.pop()(this)) return false;
+        let node = this.parentNode;
+        for (let i = parts.length - 1; i >= 0; i--) {
+            while (node instanceof FakeElement && !parts[i](node)) node = node.parentNode;
+            if (!(node instanceof FakeElement)) return false;
+            node = node.parentNode;
+        }
+        return true;
+    }
+
+    closest(selector) {
+        for (let node = this; node instanceof FakeElement; node = node.parentNode) {
+            if (node.matches(selector)) return node;
+        }
+        return null;
+    }
+
+    focus() {
+        if (this.isConnected) this.ownerDocument.activeElement = this;
+    }
+
+    blur() {
+        if (this.ownerDocument.activeElement === this) this.ownerDocument.activeElement = this.ownerDocument.body;
+    }
+
+    /** A click as the browser sends it: checkboxes flip before the listeners run. */
+    click() {
+        if (this.type === 'checkbox') this.checked = !this.checked;
+        this.dispatchEvent(new FakeEvent('click', { bubbles: true }));
+    }
+
+    select() {}
+
+    reset() {}
+
+    setSelectionRange() {}
+
+    scrollIntoView() {}
+
+    // Every element is 40px tall, with the list's top at the top of the viewport
+    get offsetHeight() {
+        return 40;
+    }
+
+    getBoundingClientRect() {
+        return { top: 0, bottom: 40, left: 0, right: 400, width: 400, height: 40 };
+    }
+}
+
+class FakeDocument extends FakeNode {
+    constructor() {
+        super(null);
+        this.ownerDocument = this;
+        this.body = new FakeElement(this, 'body');
+        this.appendChild(this.body);
+        this.activeElement = this.body;
+    }
+
+    /** Elements in index.html are made on first use, so any id app.js asks for exists. */
+    getElementById(id) {
+        let element = this.querySelector(`#${id}`);
+        if (!element) {
+            element = this.createElement('div');
+            element.id = id;
+            this.body.appendChild(element);
+        }
+        return element;
+    }
+
+    createElement(tagName) {
+        return new FakeElement(this, tagName);
+    }
+
+    createTextNode(text) {
+        return new FakeText(this, text);
+    }
+}
+
+/** localStorage over a plain object of strings. */
+class FakeStorage {
+    constructor(items = {}) {
+        this.items = { ...items };
+    }
+
+    getItem(key) {
+        return key in this.items ? this.items[key] : null;
+    }
+
+    setItem(key, value) {
+        this.items[key] = String(value);
+    }
+
+    removeItem(key) {
+        delete this.items[key];
+    }
+}
+
+/**
+ * A fresh context like a browser tab: IndexedDB, notifications and service
+ * workers are missing, timers and animation frames only run when asked,
+ * and console.error is collected rather than printed.
+ * @param {Object} [localStorageItems] - what localStorage holds to begin with
+ * @param {string} [hash] - the URL hash the page opens with
+ */
+function createWindow(localStorageItems = {}, hash = '') {
+    const document = new FakeDocument();
+    const errors = [];
+    const timers = new Map();
+    let nextTimer = 1;
+    const windowTarget = new FakeNode(document);
+    const window = {
+        document,
+        console: { ...console, error: (...args) => errors.push(args), warn: (...args) => errors.push(args) },
+        localStorage: new FakeStorage(localStorageItems),
+        location: { hash, protocol: 'file:', reload() {} },
+        navigator: {},
+        crypto: globalThis.crypto,
+        performance: globalThis.performance,
+        URL,
+        innerHeight: 800,
+        setTimeout: (fn, delay = 0) => {
+            timers.set(nextTimer, { fn, delay });
+            return nextTimer++;
+        },
+        clearTimeout: id => timers.delete(id),
+        requestAnimationFrame: fn => window.setTimeout(fn, 16),
+        cancelAnimationFrame: id => timers.delete(id),
+        getComputedStyle: () => ({ marginBottom: '0px' }),
+        scrollBy() {},
+        addEventListener: (type, handler) => windowTarget.addEventListener(type, handler),
+        dispatchEvent: event => windowTarget.dispatchEvent(event),
+        errors,
+        timers,
+    };
+    window.window = window;
+    vm.createContext(window);
+    return window;
+}
+
+/** Run one of the app's scripts in `window`, as a <script> tag would. */
+function runScript(window, file) {
+    vm.runInContext(fs.readFileSync(path.join(ROOT, file), 'utf8'), window, { filename: file });
+}
+
+/**
+ * Load storage.js on its own, for its pure functions and the localStorage backend.
+ * @returns {{window: Object, run: Function}} run evaluates code in the script's scope
+ */
+function loadStorage(localStorageItems) {
+    const window = createWindow(localStorageItems);
+    runScript(window, 'storage.js');
+    return { window, run: code => vm.runInContext(code, window) };
+}
+
+/**
+ * Load index.html's scripts and start the app as DOMContentLoaded would,
+ * saving to localStorage.
+ * @param {Object} [localStorageItems] - saved data to start from, e.g. { todoLists: '…' }
+ * @param {Object} [options]
+ * @param {string} [options.hash] - the URL hash the page opens with, e.g. '#/active'
+ * @returns {Promise<{window: Object, document: FakeDocument, run: Function, keydown: Function}>}
+ */
+async function loadApp(localStorageItems, { hash } = {}) {
+    const window = createWindow(localStorageItems, hash);
+    const { document } = window;
+    const html = fs.readFileSync(path.join(ROOT, 'index.html'), 'utf8');
+    for (const [, src] of html.matchAll(/<script src="([^"]+)"><\/script>/g)) runScript(window, src);
+    document.dispatchEvent(new FakeEvent('DOMContentLoaded'));
+    // Loading only awaits storage, which is settled within a few turns
+    await new Promise(resolve => setImmediate(resolve));
+
+    /** Evaluate code in the app's scope, where its let and const bindings are visible. */
+    const run = code => vm.runInContext(code, window);
+
+    /**
+     * Press a key on `target` (by default the focused element), as the browser would.
+     * @returns {boolean} whether a handler called preventDefault
+     */
+    function keydown(key, { target = document.activeElement, ...modifiers } = {}) {
+        const event = new FakeEvent('keydown', { key, bubbles: true, ctrlKey: false, metaKey: false, altKey: false, shiftKey: false, ...modifiers });
+        target.dispatchEvent(event);
+        return event.defaultPrevented;
+    }
+
+    return { window, document, run, keydown };
+}
+
+/**
+ * Objects made inside a context have that context's prototypes; a JSON copy
+ * made here can be compared with assert.deepEqual.
+ */
+function plain(value) {
+    return JSON.parse(JSON.stringify(value));
+}
+
+/** A version-0 save: the bare task array the app kept under 'todoTasks' before lists. */
+function legacyTasks(...texts) {
+    return texts.map((text, i) => ({ id: `task-${i + 1}`, text, completed: false }));
+}
+
+module.exports = { FakeEvent, FakeElement, FakeDocument, loadStorage, loadApp, plain, legacyTasks };
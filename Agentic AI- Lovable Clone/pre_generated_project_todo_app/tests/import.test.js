@@ -0,0 +1,137 @@
+// import.test.js - Reading exported files back (parseImport, validateTask in app.js)
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { loadApp, plain } = require('./helpers.js');
+
+let app;
+before(async () => {
+    app = await loadApp();
+});
+
+/** parseImport() as plain data. */
+function parse(text, fileName) {
+    return plain(app.window.parseImport(text, fileName));
+}
+
+describe('parseImport', () => {
+    it('reads a JSON export with whole lists, and a bare task array as one list', () => {
+        const exported = { version: 1, lists: [{ id: 'a', name: 'Work', tasks: [{ id: 't', text: 'Report', completed: true }] }] };
+        assert.deepEqual(parse(JSON.stringify(exported), 'todos.json'), exported);
+        assert.deepEqual(parse('[{"text": "Buy milk"}]', 'old.json'), { lists: [{ tasks: [{ text: 'Buy milk' }] }] });
+    });
+
+    it('reads CSV by its header, with quoted fields and flexible booleans', () => {
+        const csv = 'text,completed,priority,notes\r\n"Call Bob, then Ann",yes,HIGH,"Say ""hi""\nfirst"\r\nWater plants,,,\r\n';
+        assert.deepEqual(parse(csv, 'tasks.CSV').lists[0].tasks, [
+            { text: 'Call Bob, then Ann', completed: true, priority: 'high', notes: 'Say "hi"\nfirst' },
+            { text: 'Water plants' },
+        ]);
+    });
+
+    it('reads a Markdown checklist with its heading, subtasks and notes', () => {
+        const markdown = '# Home\n\n- [ ] Paint fence\n  - [x] Buy paint\n  Green, not blue\n- [x] Mow lawn\n';
+        assert.deepEqual(parse(markdown, 'home.md'), {
+            lists: [{
+                name: 'Home',
+                tasks: [
+                    { text: 'Paint fence', completed: false, subtasks: [{ text: 'Buy paint', completed: true }], notes: 'Green, not blue' },
+                    { text: 'Mow lawn', completed: true },
+                ],
+            }],
+        });
+    });
+
+    it('goes by the extension, so Markdown starting with a link is not read as JSON', () => {
+        const markdown = '[Project board](https://example.com)\n\n- [ ] Triage issues\n';
+        assert.deepEqual(parse(markdown, 'notes.md').lists[0].tasks, [{ text: 'Triage issues', completed: false }]);
+        assert.deepEqual(parse('{"x": 1}\n- [ ] Not JSON\n', 'notes.markdown').lists[0].tasks, [{ text: 'Not JSON', completed: false }]);
+    });
+
+    it('sniffs files of other types: JSON when it looks like it, else Markdown', () => {
+        assert.deepEqual(parse('  [{"text": "From txt"}]', 'tasks.txt').lists[0].tasks, [{ text: 'From txt' }]);
+        assert.deepEqual(parse('- [ ] Plain list', 'tasks').lists[0].tasks, [{ text: 'Plain list', completed: false }]);
+    });
+
+    it('ignores a byte order mark', () => {
+        assert.deepEqual(parse('\uFEFF[{"text": "Buy milk"}]', 'a.json').lists[0].tasks, [{ text: 'Buy milk' }]);
+    });
+
+    it('explains files it cannot read', () => {
+        assert.throws(() => app.window.parseImport('{"lists": [', 'a.json'), /Not valid JSON/);
+        assert.throws(() => app.window.parseImport('{"tasks": []}', 'a.json'), /JSON is not a todo export/);
+        assert.throws(() => app.window.parseImport('name,done\nx,1', 'a.csv'), /CSV needs a "text" column/);
+        assert.throws(() => app.window.parseImport('text\n"open', 'a.csv'), /unclosed quote/);
+        assert.throws(() => app.window.parseImport('Just some notes', 'a.md'), /No "- \[ \]" checklist items found/);
+    });
+
+    it('rejects the whole file when any task is invalid, naming CSV rows as a spreadsheet does', () => {
+        assert.throws(() => app.window.parseImport('text,dueDate\nOk,\nLate,tomorrow', 'a.csv'), {
+            message: 'row 3: bad due date "tomorrow" (use YYYY-MM-DD)',
+        });
+        const twoLists = JSON.stringify({ lists: [{ tasks: [{ text: 'ok' }] }, { tasks: [{ text: '' }] }] });
+        assert.throws(() => app.window.parseImport(twoLists, 'a.json'), { message: 'list 2, task 1: missing text' });
+    });
+
+    it('lists at most ten problems', () => {
+        const tasks = Array.from({ length: 12 }, () => ({ text: '' }));
+        assert.throws(() => app.window.parseImport(JSON.stringify(tasks), 'a.json'), error => {
+            const lines = error.message.split('\n');
+            assert.equal(lines.length, 11);
+            assert.equal(lines[10], '…and 2 more');
+            return true;
+        });
+    });
+});
+
+describe('validateTask', () => {
+    const problems = raw => plain(app.window.validateTask(raw, 'task 1'));
+
+    it('accepts a full task and one with only text', () => {
+        assert.deepEqual(problems({ text: 'Call Bob' }), []);
+        assert.deepEqual(problems({
+            id: 'a',
+            text: 'Call Bob',
+            completed: false,
+            dueDate: '2030-02-28',
+            dueTime: '09:30',
+            priority: 'low',
+            notes: '',
+            createdAt: 0,
+            subtasks: [{ text: 'Find number' }],
+            recurrence: { freq: 'weekly', days: [1] },
+            completions: [],
+        }), []);
+    });
+
+    it('treats empty fields as not given', () => {
+        assert.deepEqual(problems({ text: 'x', dueDate: '', dueTime: null, priority: undefined }), []);
+    });
+
+    it('names every problem with the task', () => {
+        assert.deepEqual(problems({
+            id: 3,
+            text: ' ',
+            completed: 'maybe',
+            dueTime: '25:00',
+            priority: 'urgent',
+            subtasks: [{ text: '' }],
+            recurrence: { freq: 'hourly' },
+        }), [
+            'task 1: missing text',
+            'task 1: id must be text',
+            'task 1: completed must be true or false, not "maybe"',
+            'task 1: bad due time "25:00" (use HH:MM)',
+            'task 1: a due time needs a due date',
+            'task 1: priority must be low, medium, high',
+            'task 1: subtasks must be a list of items with text',
+            'task 1: repeat must be one of daily, weekdays, weekly, monthly, interval',
+        ]);
+    });
+
+    it('rejects dates that do not exist and things that are not tasks', () => {
+        assert.deepEqual(problems({ text: 'x', dueDate: '2030-13-01' }), ['task 1: bad due date "2030-13-01" (use YYYY-MM-DD)']);
+        assert.deepEqual(problems(null), ['task 1: not a task']);
+        assert.deepEqual(problems('Buy milk'), ['task 1: not a task']);
+    });
+});
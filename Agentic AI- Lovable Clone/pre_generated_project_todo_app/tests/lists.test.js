@@ -0,0 +1,86 @@
+// lists.test.js - The sidebar of lists: renaming in place and deleting (renderLists, startRenaming in app.js)
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { FakeEvent, loadApp, plain } = require('./helpers.js');
+
+let app;
+let listNav;
+beforeEach(async () => {
+    app = await loadApp();
+    app.window.createList('Home');
+    listNav = app.document.getElementById('list-nav');
+});
+
+/** The sidebar entry of the list with this name. */
+function entry(name) {
+    return listNav.querySelectorAll('li').find(li => li.querySelector('.list-select').textContent.startsWith(name));
+}
+
+const names = () => plain(app.run('lists')).map(list => list.name);
+
+/** Type into the list name editor, as the browser would. */
+function type(input, text) {
+    input.value = text;
+    input.dispatchEvent(new FakeEvent('input', { bubbles: true }));
+}
+
+describe('renaming a list', () => {
+    it('opens an editor in place of the name, focused', () => {
+        entry('Home').querySelector('.rename-list').click();
+        const input = listNav.querySelector('.rename-input');
+        assert.equal(input.value, 'Home');
+        assert.equal(app.document.activeElement, input);
+    });
+
+    it('saves on Enter and gives focus back to the rename button', () => {
+        const id = entry('Home').dataset.id;
+        entry('Home').querySelector('.rename-list').click();
+        type(listNav.querySelector('.rename-input'), '  House ');
+        assert.equal(app.keydown('Enter'), true);
+        assert.deepEqual(names(), ['My Tasks', 'House']);
+        assert.equal(listNav.querySelector('.rename-input'), null);
+        assert.equal(app.document.activeElement, listNav.querySelector(`li[data-id="${id}"] .rename-list`));
+    });
+
+    it('saves when focus leaves the editor', () => {
+        entry('Home').querySelector('.rename-list').click();
+        const input = listNav.querySelector('.rename-input');
+        type(input, 'House');
+        input.dispatchEvent(new FakeEvent('focusout', { bubbles: true }));
+        assert.deepEqual(names(), ['My Tasks', 'House']);
+    });
+
+    it('keeps the old name on Escape or when cleared', () => {
+        entry('Home').querySelector('.rename-list').click();
+        type(listNav.querySelector('.rename-input'), 'House');
+        app.keydown('Escape');
+        entry('Home').querySelector('.rename-list').click();
+        type(listNav.querySelector('.rename-input'), ' ');
+        app.keydown('Enter');
+        assert.deepEqual(names(), ['My Tasks', 'Home']);
+        assert.equal(app.run('undoHistory.undo.length'), 1);
+    });
+
+    it('keeps the draft and focus when the sidebar is redrawn', () => {
+        entry('Home').querySelector('.rename-list').click();
+        type(listNav.querySelector('.rename-input'), 'Hou');
+        app.window.addTask('Mow lawn');
+        const input = listNav.querySelector('.rename-input');
+        assert.equal(input.value, 'Hou');
+        assert.equal(app.document.activeElement, input);
+    });
+});
+
+describe('deleting a list', () => {
+    it('deletes at once and offers Undo instead of asking first', () => {
+        app.window.addTask('Mow lawn');
+        entry('Home').querySelector('.delete-list').click();
+        assert.deepEqual(names(), ['My Tasks']);
+        assert.equal(app.document.getElementById('toast').hidden, false);
+
+        app.document.getElementById('toast-undo').click();
+        assert.deepEqual(names(), ['My Tasks', 'Home']);
+        assert.deepEqual(plain(app.run('lists[1].tasks')).map(task => task.text), ['Mow lawn']);
+    });
+});
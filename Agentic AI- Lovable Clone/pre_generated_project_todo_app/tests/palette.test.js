@@ -0,0 +1,108 @@
+// palette.test.js - The command palette and its fuzzy matching (fuzzyMatch, updatePalette in app.js)
+const { describe, it, before, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { FakeEvent, loadApp } = require('./helpers.js');
+
+describe('fuzzyMatch', () => {
+    let w;
+    before(async () => {
+        w = (await loadApp()).window;
+    });
+
+    const positions = (query, text) => {
+        const match = w.fuzzyMatch(query, text);
+        return match && [...match.positions];
+    };
+
+    it('matches characters in order, ignoring case', () => {
+        assert.deepEqual(positions('bm', 'Buy milk'), [0, 4]);
+        assert.deepEqual(positions('MILK', 'Buy milk'), [4, 5, 6, 7]);
+        assert.equal(positions('mb', 'Buy milk'), null);
+    });
+
+    it('scores runs and word starts above scattered characters', () => {
+        assert.ok(w.fuzzyMatch('cle', 'Clear').score > w.fuzzyMatch('cle', 'Cycle').score);
+        assert.ok(w.fuzzyMatch('sw', 'Start work').score > w.fuzzyMatch('sw', 'Answer').score);
+    });
+
+    it('gives positions in the text itself when lower-casing changes its length', () => {
+        // 'İ'.toLowerCase() is two characters, 'i' and a combining dot
+        assert.deepEqual(positions('rip', 'İstanbul trip'), [10, 11, 12]);
+        assert.deepEqual(positions('is', 'İstanbul'), [0, 1]);
+        assert.deepEqual(positions('party', '🎉 Party'), [3, 4, 5, 6, 7]);
+    });
+
+    it('marks whole characters', () => {
+        const marked = text => w.highlightMatch(text, w.fuzzyMatch('🎉p', text).positions)
+            .map(node => (node.tagName === 'MARK' ? `[${node.textContent}]` : node.textContent)).join('');
+        assert.equal(marked('🎉 Party'), '[🎉] [P]arty');
+    });
+});
+
+describe('the command palette', () => {
+    let app;
+    let input;
+    beforeEach(async () => {
+        app = await loadApp();
+        ['Buy milk', 'Call Bob', 'İstanbul trip'].forEach(text => app.window.addTask(text));
+        input = app.document.getElementById('palette-input');
+        // Closed to begin with, as in index.html
+        palette().hidden = true;
+    });
+
+    const palette = () => app.document.getElementById('command-palette');
+    const options = () => app.document.getElementById('palette-results').querySelectorAll('[role="option"]');
+
+    /** Type into the palette field, as the browser would. */
+    function type(text) {
+        input.value = text;
+        input.dispatchEvent(new FakeEvent('input', { bubbles: true }));
+    }
+
+    it('opens with Ctrl+K, listing the commands', () => {
+        assert.equal(app.keydown('k', { ctrlKey: true }), true);
+        assert.equal(palette().hidden, false);
+        assert.equal(app.document.activeElement, input);
+        assert.equal(options()[0].querySelector('.palette-label').textContent, 'New task');
+    });
+
+    it('finds tasks and commands and highlights the matched characters', () => {
+        app.keydown('k', { ctrlKey: true });
+        type('rip');
+        const label = options()[0].querySelector('.palette-label');
+        assert.equal(label.textContent, 'İstanbul trip');
+        assert.equal(label.querySelectorAll('mark').map(mark => mark.textContent).join(''), 'rip');
+        type('zzz');
+        assert.equal(options().length, 0);
+        assert.equal(app.document.getElementById('palette-results').textContent, 'No matching commands or tasks');
+    });
+
+    it('runs the chosen item with Enter and closes', () => {
+        app.keydown('k', { ctrlKey: true });
+        type('call');
+        app.keydown('Enter');
+        assert.equal(palette().hidden, true);
+        assert.equal(app.run('selectedId'), app.run('tasks[1].id'));
+    });
+
+    it('moves through the results with the arrow keys, wrapping around', () => {
+        app.keydown('k', { ctrlKey: true });
+        type('b');
+        const count = options().length;
+        app.keydown('ArrowUp');
+        assert.equal(options()[count - 1].getAttribute('aria-selected'), 'true');
+        assert.equal(input.getAttribute('aria-activedescendant'), `palette-option-${count - 1}`);
+        app.keydown('ArrowDown');
+        assert.equal(options()[0].getAttribute('aria-selected'), 'true');
+    });
+
+    it('closes with Escape and gives focus back', () => {
+        const search = app.document.getElementById('search');
+        search.focus();
+        app.keydown('k', { ctrlKey: true });
+        app.keydown('Escape');
+        assert.equal(palette().hidden, true);
+        assert.equal(app.document.activeElement, search);
+    });
+});
@@ -0,0 +1,155 @@
+// recurrence.test.js - Repeating tasks (advanceDate, nextDueDate, completing and reopening in app.js)
+const { describe, it, before, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { loadApp, plain } = require('./helpers.js');
+
+/** A local date as 'YYYY-MM-DD', `days` from today. */
+function fromToday(days) {
+    const date = new Date();
+    date.setDate(date.getDate() + days);
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+describe('dates', () => {
+    let w;
+    before(async () => {
+        w = (await loadApp()).window;
+    });
+
+    /** advanceDate() on 'YYYY-MM-DD' dates. */
+    const step = (rule, date) => w.formatISODate(w.advanceDate(rule, w.parseDate(date)));
+
+    it('advance daily and by an interval across month ends', () => {
+        assert.equal(step({ freq: 'daily' }, '2030-01-31'), '2030-02-01');
+        assert.equal(step({ freq: 'daily' }, '2030-12-31'), '2031-01-01');
+        assert.equal(step({ freq: 'interval', interval: 3 }, '2030-02-27'), '2030-03-02');
+    });
+
+    it('advance on weekdays, skipping the weekend', () => {
+        // 4 January 2030 is a Friday
+        assert.equal(step({ freq: 'weekdays' }, '2030-01-04'), '2030-01-07');
+        assert.equal(step({ freq: 'weekdays' }, '2030-01-05'), '2030-01-07');
+        assert.equal(step({ freq: 'weekdays' }, '2030-01-07'), '2030-01-08');
+    });
+
+    it('advance weekly to the next chosen weekday', () => {
+        const mondayAndThursday = { freq: 'weekly', days: [1, 4] };
+        assert.equal(step(mondayAndThursday, '2030-01-01'), '2030-01-03');
+        assert.equal(step(mondayAndThursday, '2030-01-03'), '2030-01-07');
+        assert.equal(step({ freq: 'weekly', days: [2] }, '2030-01-01'), '2030-01-08');
+    });
+
+    it('advance monthly to the same day, or the last day of a shorter month', () => {
+        const thirtyFirst = { freq: 'monthly', monthDay: 31 };
+        assert.equal(step(thirtyFirst, '2030-01-31'), '2030-02-28');
+        assert.equal(step(thirtyFirst, '2030-02-28'), '2030-03-31');
+        assert.equal(step(thirtyFirst, '2032-01-31'), '2032-02-29');
+        assert.equal(step({ freq: 'monthly', monthDay: 15 }, '2030-12-15'), '2031-01-15');
+    });
+
+    it('give the next occurrence after a future due date', () => {
+        assert.equal(w.nextDueDate({ freq: 'daily' }, '2999-01-01'), '2999-01-02');
+        assert.equal(w.nextDueDate({ freq: 'monthly', monthDay: 31 }, '2999-01-31'), '2999-02-28');
+    });
+
+    it('skip occurrences that have passed, so a late task comes back once', () => {
+        assert.equal(w.nextDueDate({ freq: 'daily' }, '2000-01-01'), fromToday(1));
+        assert.equal(w.nextDueDate({ freq: 'daily' }, fromToday(0)), fromToday(1));
+        const next = w.nextDueDate({ freq: 'interval', interval: 7 }, '2000-01-01');
+        assert.ok(next > fromToday(0) && next <= fromToday(7), next);
+    });
+
+    it('fill in and check recurrence rules', () => {
+        assert.deepEqual(plain(w.normalizeRecurrence({ freq: 'weekly' }, '2030-01-03')), { freq: 'weekly', days: [4] });
+        assert.deepEqual(plain(w.normalizeRecurrence({ freq: 'weekly', days: [5, 1, 5, 9] })), { freq: 'weekly', days: [1, 5] });
+        assert.deepEqual(plain(w.normalizeRecurrence({ freq: 'interval', interval: 0 })), { freq: 'interval', interval: 2 });
+        assert.deepEqual(plain(w.normalizeRecurrence({ freq: 'monthly', monthDay: 32 })), { freq: 'monthly' });
+        assert.equal(w.normalizeRecurrence({ freq: 'hourly' }), null);
+        assert.equal(w.normalizeRecurrence(null), null);
+    });
+});
+
+describe('completing and reopening a repeating task', () => {
+    let app;
+    let w;
+    beforeEach(async () => {
+        app = await loadApp();
+        w = app.window;
+        w.addTask('Water plants', { dueDate: '2999-01-01', recurrence: { freq: 'daily' } });
+    });
+
+    const shown = () => plain(app.run('tasks')).map(task => ({
+        text: task.text,
+        dueDate: task.dueDate,
+        completed: task.completed,
+        repeats: task.recurrence !== null,
+        logged: task.completions.map(entry => entry.dueDate),
+    }));
+    const original = { text: 'Water plants', dueDate: '2999-01-01', completed: false, repeats: true, logged: [] };
+
+    it('adds the next occurrence, which carries the rule and the log', () => {
+        w.toggleComplete(app.run('tasks[0].id'));
+        assert.deepEqual(shown(), [
+            { ...original, completed: true, repeats: false },
+            { ...original, dueDate: '2999-01-02', logged: ['2999-01-01'] },
+        ]);
+    });
+
+    it('takes the next occurrence back, with the rule and the log, when reopened', () => {
+        const id = app.run('tasks[0].id');
+        w.toggleComplete(id);
+        w.toggleComplete(app.run('tasks[1].id'));
+        assert.deepEqual(shown().map(task => task.logged), [[], [], ['2999-01-01', '2999-01-02']]);
+
+        w.toggleComplete(app.run('tasks[1].id'));
+        assert.deepEqual(shown()[1], { ...original, dueDate: '2999-01-02', logged: ['2999-01-01'] });
+        assert.equal(shown().length, 2);
+        w.toggleComplete(id);
+        assert.deepEqual(shown(), [original]);
+        assert.equal(app.run('tasks[0].nextOccurrence'), null);
+    });
+
+    it('takes the next occurrence back when a subtask is unticked', () => {
+        const id = app.run('tasks[0].id');
+        w.addSubtask(id, 'Fill can');
+        const subtaskId = app.run('tasks[0].subtasks[0].id');
+        w.toggleSubtask(id, subtaskId);
+        assert.equal(shown().length, 2);
+        w.toggleSubtask(id, subtaskId);
+        assert.deepEqual(shown(), [original]);
+    });
+
+    it('leaves a next occurrence that is already done, reopening just this one', () => {
+        const id = app.run('tasks[0].id');
+        w.toggleComplete(id);
+        w.toggleComplete(app.run('tasks[1].id'));
+        w.toggleComplete(id);
+        assert.deepEqual(shown().map(task => [task.dueDate, task.completed, task.repeats]), [
+            ['2999-01-01', false, false],
+            ['2999-01-02', true, false],
+            ['2999-01-03', false, true],
+        ]);
+    });
+
+    it('undoes completing and reopening as one change each', () => {
+        const id = app.run('tasks[0].id');
+        w.toggleComplete(id);
+        const completed = shown();
+        w.undo();
+        assert.deepEqual(shown(), [original]);
+        w.redo();
+        assert.deepEqual(shown(), completed);
+        w.toggleComplete(id);
+        w.undo();
+        assert.deepEqual(shown(), completed);
+    });
+
+    it('remembers which occurrence to take back after reloading', async () => {
+        w.toggleComplete(app.run('tasks[0].id'));
+        const reloaded = await loadApp({ todoLists: w.localStorage.getItem('todoLists') });
+        reloaded.window.toggleComplete(reloaded.run('tasks[0].id'));
+        assert.equal(reloaded.run('tasks.length'), 1);
+        assert.deepEqual(plain(reloaded.run('tasks[0].recurrence')), { freq: 'daily' });
+    });
+});
@@ -0,0 +1,98 @@
+// reminders.test.js - Reminders when a due time arrives (checkDueTasks, scheduleDueCheck in app.js)
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { loadApp } = require('./helpers.js');
+
+const MINUTE = 60 * 1000;
+
+/** A local due date and time `minutes` from now. */
+function dueIn(minutes) {
+    const date = new Date(Date.now() + minutes * MINUTE);
+    const pad = n => String(n).padStart(2, '0');
+    return {
+        dueDate: `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`,
+        dueTime: `${pad(date.getHours())}:${pad(date.getMinutes())}`,
+    };
+}
+
+/** Saved data holding one list of these tasks. */
+function savedList(tasks) {
+    tasks = tasks.map((task, i) => ({ id: `task-${i}`, createdAt: i, completed: false, ...task }));
+    return { todoLists: JSON.stringify({ version: 4, activeListId: 'list', lists: [{ id: 'list', name: 'Home', tasks }] }) };
+}
+
+/** Move the app's clock `minutes` ahead. */
+function travel(app, minutes) {
+    const RealDate = app.run('Date');
+    const now = () => RealDate.now() + minutes * MINUTE;
+    app.window.Date = class extends RealDate {
+        constructor(...args) {
+            super(...(args.length > 0 ? args : [now()]));
+        }
+
+        static now() {
+            return now();
+        }
+    };
+}
+
+/** The pending due check, as {fn, delay}. */
+const dueTimer = app => app.window.timers.get(app.run('dueTimer'));
+
+const reminders = app => app.document.getElementById('reminders').querySelectorAll('li.reminder');
+
+describe('reminders', () => {
+    it('are shown on load for due times that passed while the app was closed', async () => {
+        const app = await loadApp(savedList([{ text: 'Pay rent', ...dueIn(-5), reminded: false }]));
+        assert.deepEqual(reminders(app).map(li => li.querySelector('span').textContent), ['⏰ Due now: Pay rent']);
+        assert.equal(JSON.parse(app.window.localStorage.getItem('todoLists')).lists[0].tasks[0].reminded, true);
+
+        app.window.checkDueTasks();
+        assert.equal(reminders(app).length, 1);
+    });
+
+    it('skip done tasks, tasks already reminded and dates without a time', async () => {
+        const app = await loadApp(savedList([
+            { text: 'Done', ...dueIn(-5), completed: true, reminded: false },
+            { text: 'Shown', ...dueIn(-5), reminded: true },
+            { text: 'All day', dueDate: dueIn(-2 * 24 * 60).dueDate, reminded: false },
+        ]));
+        assert.equal(reminders(app).length, 0);
+    });
+
+    it('wait for the next due time, an hour at most', async () => {
+        const app = await loadApp();
+        app.window.addTask('Later', dueIn(3 * 60));
+        assert.equal(dueTimer(app).delay, 60 * MINUTE);
+        app.window.addTask('Soon', dueIn(30));
+        const { fn, delay } = dueTimer(app);
+        assert.equal(fn, app.window.checkDueTasks);
+        assert.ok(delay > 29 * MINUTE && delay <= 30 * MINUTE, `waits ${delay} ms`);
+        assert.equal(app.window.timers.size, 1);
+    });
+
+    it('are shown when the timer fires, and rearmed by a new due time', async () => {
+        const app = await loadApp();
+        app.window.addTask('Call Bob', dueIn(30));
+        const id = app.run('tasks[0].id');
+        assert.equal(app.run('tasks[0].reminded'), false);
+
+        travel(app, 31);
+        dueTimer(app).fn();
+        assert.deepEqual(reminders(app).map(li => li.querySelector('span').textContent), ['⏰ Due now: Call Bob']);
+        // Nothing else is due, so no further check is set
+        assert.equal(dueTimer(app), undefined);
+
+        app.window.updateTaskDetails(id, dueIn(90));
+        assert.equal(app.run('tasks[0].reminded'), false);
+        app.window.updateTaskDetails(id, dueIn(-90));
+        assert.equal(app.run('tasks[0].reminded'), true);
+    });
+
+    it('go away when dismissed', async () => {
+        const app = await loadApp(savedList([{ text: 'Pay rent', ...dueIn(-5), reminded: false }]));
+        reminders(app)[0].querySelector('.dismiss-reminder').click();
+        assert.equal(reminders(app).length, 0);
+    });
+});
@@ -0,0 +1,77 @@
+// render.test.js - Keyed, virtualized rendering of the task list (renderTasks in app.js)
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { loadApp } = require('./helpers.js');
+
+/** Saved data holding one list of `count` tasks, every third one done. */
+function savedList(count) {
+    const tasks = Array.from({ length: count }, (_, i) => ({
+        id: `task-${i}`,
+        text: `Task ${i}${i % 10 === 0 ? ' #work' : ''}`,
+        completed: i % 3 === 0,
+        createdAt: i,
+    }));
+    return { todoLists: JSON.stringify({ version: 4, activeListId: 'list', lists: [{ id: 'list', name: 'Big', tasks }] }) };
+}
+
+describe('a short list', () => {
+    it('renders every task', async () => {
+        const app = await loadApp(savedList(50));
+        const items = app.document.getElementById('task-list').querySelectorAll('li.task-item');
+        assert.equal(items.length, 50);
+        assert.equal(items[49].dataset.id, 'task-49');
+    });
+});
+
+describe('a list of 10,000 tasks', () => {
+    let app;
+    let taskList;
+    before(async () => {
+        app = await loadApp(savedList(10000));
+        taskList = app.document.getElementById('task-list');
+    });
+
+    const items = () => taskList.querySelectorAll('li.task-item');
+
+    /** Ids of the tasks whose items were built while `change` ran. */
+    function itemsBuilt(change) {
+        const build = app.window.renderTaskItem;
+        const built = [];
+        app.window.renderTaskItem = (task, now) => {
+            built.push(task.id);
+            return build(task, now);
+        };
+        try {
+            change();
+        } finally {
+            app.window.renderTaskItem = build;
+        }
+        return built;
+    }
+
+    it('renders only the tasks near the viewport, padding out the rest', () => {
+        assert.ok(items().length > 0 && items().length < 100, `${items().length} items rendered`);
+        assert.equal(items()[0].getAttribute('aria-setsize'), '10000');
+        assert.ok(parseFloat(taskList.style.paddingBottom) > 100000, taskList.style.paddingBottom);
+    });
+
+    it('keeps items whose task has not changed', () => {
+        const [first, second] = items();
+        app.run('renderTasks()');
+        assert.equal(items()[0], first);
+        app.window.editTask('task-0', 'Renamed');
+        assert.notEqual(items()[0], first);
+        assert.equal(items()[0].dataset.id, 'task-0');
+        assert.equal(items()[1], second);
+    });
+
+    it('builds items only for tasks that changed or came into view', () => {
+        // Each render measures the items it shows, which can bring a few more
+        // into range until the measured heights settle
+        const counts = Array.from({ length: 6 }, () => itemsBuilt(() => app.run('renderTasks()')).length);
+        assert.equal(counts[counts.length - 1], 0, `items built by each render: ${counts}`);
+        assert.deepEqual(itemsBuilt(() => app.window.editTask('task-3', 'Renamed')), ['task-3']);
+        assert.deepEqual(itemsBuilt(() => app.window.toggleComplete('task-4')), ['task-4']);
+    });
+});
@@ -0,0 +1,73 @@
+// reorder.test.js - Moving tasks with Alt+Up/Down (moveTask, reorderVisible in app.js)
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { loadApp, plain } = require('./helpers.js');
+
+let app;
+let taskList;
+beforeEach(async () => {
+    app = await loadApp();
+    ['a', 'b', 'c', 'd'].forEach(text => app.window.addTask(text));
+    taskList = app.document.getElementById('task-list');
+});
+
+/** Texts of the active list's tasks, in order. */
+const texts = () => plain(app.run('tasks')).map(task => task.text);
+
+/** The drag handle of the item showing this task. */
+function handle(text) {
+    const li = taskList.querySelectorAll('li.task-item').find(item => item.querySelector('.task-text').textContent === text);
+    return li.querySelector('.drag-handle');
+}
+
+/** Press Alt+Up or Alt+Down on the focused element. */
+const altKey = key => app.keydown(key, { altKey: true });
+
+describe('Alt+Up/Down', () => {
+    it('moves the focused task, keeping focus on it and announcing where it went', () => {
+        handle('b').focus();
+        assert.equal(altKey('ArrowDown'), true);
+        assert.deepEqual(texts(), ['a', 'c', 'b', 'd']);
+        assert.equal(app.document.getElementById('announcer').textContent, 'Moved "b" to position 3 of 4');
+        assert.equal(app.document.activeElement, handle('b'));
+
+        altKey('ArrowUp');
+        altKey('ArrowUp');
+        assert.deepEqual(texts(), ['b', 'a', 'c', 'd']);
+        const saved = JSON.parse(app.window.localStorage.getItem('todoLists'));
+        assert.deepEqual(saved.lists[0].tasks.map(task => task.text), ['b', 'a', 'c', 'd']);
+    });
+
+    it('stops at either end', () => {
+        handle('a').focus();
+        altKey('ArrowUp');
+        handle('d').focus();
+        altKey('ArrowDown');
+        assert.deepEqual(texts(), ['a', 'b', 'c', 'd']);
+        assert.equal(app.run('undoHistory.undo.length'), 4);
+    });
+
+    it('moves past hidden tasks, which keep their places', () => {
+        app.window.toggleComplete(app.run('tasks[1].id'));
+        app.window.setFilter('active');
+        handle('a').focus();
+        altKey('ArrowDown');
+        assert.deepEqual(texts(), ['c', 'b', 'a', 'd']);
+        assert.equal(app.document.getElementById('announcer').textContent, 'Moved "a" to position 2 of 3');
+    });
+
+    it('is one change to undo', () => {
+        handle('c').focus();
+        altKey('ArrowUp');
+        app.window.undo();
+        assert.deepEqual(texts(), ['a', 'b', 'c', 'd']);
+    });
+
+    it('does nothing while the list is sorted', () => {
+        app.window.setSort('alpha');
+        handle('b').focus();
+        assert.equal(altKey('ArrowDown'), false);
+        assert.deepEqual(texts(), ['a', 'b', 'c', 'd']);
+    });
+});
@@ -0,0 +1,106 @@
+// storage.test.js - Migrating saved data (storage.js) and loading it at startup
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { loadStorage, loadApp, plain, legacyTasks } = require('./helpers.js');
+
+describe('migrate', () => {
+    const { window, run } = loadStorage();
+    const { migrate } = window;
+    const SCHEMA_VERSION = run('SCHEMA_VERSION');
+
+    it('turns a bare task array into a default list with every field filled in', () => {
+        const migrated = plain(migrate({ version: 0, tasks: legacyTasks('Buy milk', 'Call Bob') }));
+        assert.equal(migrated.version, SCHEMA_VERSION);
+        assert.equal(migrated.lists.length, 1);
+        assert.equal(migrated.lists[0].name, 'My Tasks');
+        assert.deepEqual(migrated.lists[0].tasks[1], {
+            id: 'task-2',
+            text: 'Call Bob',
+            completed: false,
+            dueDate: null,
+            dueTime: null,
+            priority: 'medium',
+            notes: '',
+            reminded: false,
+            createdAt: 1,
+            subtasks: [],
+            recurrence: null,
+            completions: [],
+        });
+    });
+
+    it('treats data without a version as version 1 and keeps fields already set', () => {
+        const task = { id: 'a', text: 'Pay rent', completed: 1, priority: 'high', createdAt: 5, subtasks: [{ id: 's', text: 'Find checkbook' }] };
+        const migrated = plain(migrate({ activeListId: 'home', lists: [{ id: 'home', name: 'Home', tasks: [task] }] }));
+        assert.equal(migrated.activeListId, 'home');
+        const [saved] = migrated.lists[0].tasks;
+        assert.equal(saved.completed, true);
+        assert.equal(saved.priority, 'high');
+        assert.equal(saved.createdAt, 5);
+        assert.deepEqual(saved.subtasks, task.subtasks);
+        assert.deepEqual(saved.completions, []);
+    });
+
+    it('leaves current data as it is', () => {
+        const data = { version: SCHEMA_VERSION, activeListId: null, lists: [{ id: 'a', name: 'A', tasks: [] }] };
+        assert.deepEqual(plain(migrate(data)), data);
+    });
+
+    it('passes malformed lists and tasks through for checkLists()', () => {
+        const migrated = plain(migrate({ version: 1, activeListId: null, lists: [null, { id: 'a', tasks: [7, { id: 't', text: 'ok' }] }] }));
+        assert.equal(migrated.lists[0], null);
+        assert.equal(migrated.lists[1].tasks[0], 7);
+        assert.equal(migrated.lists[1].tasks[1].priority, 'medium');
+    });
+
+    it('throws on data too damaged to migrate', () => {
+        assert.throws(() => migrate({ version: 1, lists: 'nope' }));
+    });
+});
+
+describe('checkLists', () => {
+    const { checkLists } = loadStorage().window;
+
+    it('keeps intact lists and names unnamed ones', () => {
+        const { lists, damaged } = plain(checkLists([
+            { id: 'a', name: 'Work', tasks: [{ id: 't', text: 'Report' }] },
+            { id: 'b', tasks: [] },
+        ]));
+        assert.deepEqual(lists.map(list => list.name), ['Work', 'Untitled']);
+        assert.deepEqual(damaged, []);
+    });
+
+    it('drops unreadable tasks and reports the original list as damaged', () => {
+        const original = { id: 'a', name: 'Work', tasks: [{ id: 't', text: 'Report' }, { id: 5, text: 'bad id' }, null] };
+        const { lists, damaged } = plain(checkLists([original]));
+        assert.deepEqual(lists[0].tasks, [{ id: 't', text: 'Report' }]);
+        assert.deepEqual(damaged, [original]);
+    });
+
+    it('reports lists without an id or task array as damaged, and does not load them', () => {
+        const { lists, damaged } = plain(checkLists([null, { name: 'No id', tasks: [] }, { id: 'c', tasks: {} }]));
+        assert.deepEqual(lists, []);
+        assert.equal(damaged.length, 3);
+    });
+});
+
+describe('loading saved data', () => {
+    it('moves tasks saved before lists into a list and removes the old key', async () => {
+        const app = await loadApp({ todoTasks: JSON.stringify(legacyTasks('Buy milk')) });
+        assert.deepEqual(plain(app.run('tasks')).map(task => task.text), ['Buy milk']);
+        assert.equal(app.window.localStorage.getItem('todoTasks'), null);
+        const saved = JSON.parse(app.window.localStorage.getItem('todoLists'));
+        assert.equal(saved.version, app.run('SCHEMA_VERSION'));
+        assert.equal(saved.lists[0].tasks[0].id, 'task-1');
+    });
+
+    it('keeps unreadable data aside and offers it for download', async () => {
+        const app = await loadApp({ todoLists: '{"lists": [' });
+        const kept = Object.keys(app.window.localStorage.items).filter(key => key.startsWith('todoLists.corrupt-'));
+        assert.equal(kept.length, 1);
+        assert.equal(app.window.localStorage.getItem(kept[0]), '{"lists": [');
+        assert.equal(app.document.getElementById('storage-notice').hidden, false);
+        assert.equal(app.run('lists.length'), 1);
+    });
+});
@@ -0,0 +1,75 @@
+// subtasks.test.js - A task's checklist and how it completes the task (toggleSubtask, addSubtask, deleteSubtask in app.js)
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { FakeEvent, loadApp } = require('./helpers.js');
+
+let app;
+let id;
+beforeEach(async () => {
+    app = await loadApp();
+    app.window.addTask('Pack');
+    id = app.run('tasks[0].id');
+    item().querySelector('.subtask-toggle').click();
+    ['Socks', 'Charger'].forEach(addSubtask);
+});
+
+const item = () => app.document.getElementById('task-list').querySelector(`li[data-id="${id}"]`);
+const completed = () => app.run('tasks[0].completed');
+
+/** Add a subtask from the checklist's field, as the browser would. */
+function addSubtask(text) {
+    item().querySelector('.new-subtask').value = text;
+    item().querySelector('.subtask-form').dispatchEvent(new FakeEvent('submit', { bubbles: true }));
+}
+
+/** The checkbox of the subtask with this text. */
+function checkbox(text) {
+    return item().querySelectorAll('li.subtask')
+        .find(li => li.textContent.includes(text))
+        .querySelector('.toggle-subtask');
+}
+
+describe('subtasks', () => {
+    it('complete the task when the last one is ticked', () => {
+        checkbox('Socks').click();
+        assert.equal(completed(), false);
+        assert.equal(item().querySelector('.subtask-toggle').textContent, '☑ 1/2');
+
+        checkbox('Charger').click();
+        assert.equal(completed(), true);
+        assert.equal(item().querySelector('.toggle-complete').checked, true);
+        assert.equal(item().querySelector('.subtask-toggle').textContent, '☑ 2/2');
+        assert.equal(app.document.activeElement, checkbox('Charger'));
+    });
+
+    it('reopen the task when one is unticked', () => {
+        checkbox('Socks').click();
+        checkbox('Charger').click();
+        checkbox('Socks').click();
+        assert.equal(completed(), false);
+        assert.equal(item().querySelector('.toggle-complete').checked, false);
+    });
+
+    it('reopen the task when one is added to it', () => {
+        checkbox('Socks').click();
+        checkbox('Charger').click();
+        addSubtask('Passport');
+        assert.equal(completed(), false);
+    });
+
+    it('complete the task when the last open one is deleted', () => {
+        checkbox('Socks').click();
+        checkbox('Charger').closest('li.subtask').querySelector('.delete-subtask').click();
+        assert.equal(completed(), true);
+    });
+
+    it('undo ticking the last one and completing the task as one change', () => {
+        checkbox('Socks').click();
+        checkbox('Charger').click();
+        app.window.undo();
+        assert.equal(completed(), false);
+        assert.equal(checkbox('Charger').checked, false);
+        assert.equal(checkbox('Socks').checked, true);
+    });
+});
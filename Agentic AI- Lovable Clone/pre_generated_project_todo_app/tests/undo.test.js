@@ -0,0 +1,177 @@
+// undo.test.js - The undo and redo history (recordChange, undo, redo in app.js)
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { loadApp, plain } = require('./helpers.js');
+
+let app;
+let w;
+beforeEach(async () => {
+    app = await loadApp();
+    w = app.window;
+});
+
+/** Texts of the active list's tasks, in order. */
+function texts() {
+    return plain(app.run('tasks')).map(task => task.text);
+}
+
+/** Id of the active list's task with this text. */
+function idOf(text) {
+    return app.run('tasks').find(task => task.text === text).id;
+}
+
+/** The saved copy of the lists, as the next load would see them. */
+function saved() {
+    return JSON.parse(w.localStorage.getItem('todoLists'));
+}
+
+describe('undo and redo', () => {
+    it('take back and redo adding, editing and deleting tasks', () => {
+        w.addTask('Buy milk');
+        w.addTask('Call Bob');
+        w.editTask(idOf('Call Bob'), 'Call Ann');
+        w.deleteTask(idOf('Buy milk'));
+        assert.deepEqual(texts(), ['Call Ann']);
+
+        w.undo();
+        assert.deepEqual(texts(), ['Buy milk', 'Call Ann']);
+        assert.equal(app.document.getElementById('announcer').textContent, 'Undone: Delete "Buy milk"');
+        w.undo();
+        w.undo();
+        assert.deepEqual(texts(), ['Buy milk']);
+
+        w.redo();
+        w.redo();
+        assert.deepEqual(texts(), ['Buy milk', 'Call Ann']);
+        w.redo();
+        assert.deepEqual(texts(), ['Call Ann']);
+        assert.equal(app.document.getElementById('announcer').textContent, 'Redone: Delete "Buy milk"');
+        assert.deepEqual(saved().lists[0].tasks.map(task => task.text), ['Call Ann']);
+    });
+
+    it('restores a task as it was, subtasks and all', () => {
+        w.addTask('Paint fence', { priority: 'high', notes: 'Green' });
+        const id = idOf('Paint fence');
+        w.addSubtask(id, 'Buy paint');
+        const before = plain(app.run('tasks[0]'));
+        w.toggleSubtask(id, before.subtasks[0].id);
+        w.updateTaskDetails(id, { priority: 'low', notes: '' });
+        assert.equal(app.run('tasks[0].completed'), true);
+
+        w.undo();
+        w.undo();
+        assert.deepEqual(plain(app.run('tasks[0]')), before);
+    });
+
+    it('puts moved and cleared tasks back in their places', () => {
+        ['a', 'b', 'c', 'd', 'e'].forEach(text => w.addTask(text));
+        w.moveTask(idOf('a'), 3);
+        assert.deepEqual(texts(), ['b', 'c', 'd', 'a', 'e']);
+        w.toggleComplete(idOf('b'));
+        w.toggleComplete(idOf('e'));
+        w.clearCompleted();
+        assert.deepEqual(texts(), ['c', 'd', 'a']);
+
+        w.undo();
+        assert.deepEqual(texts(), ['b', 'c', 'd', 'a', 'e']);
+        w.undo();
+        w.undo();
+        w.undo();
+        assert.deepEqual(texts(), ['a', 'b', 'c', 'd', 'e']);
+        w.redo();
+        assert.deepEqual(texts(), ['b', 'c', 'd', 'a', 'e']);
+    });
+
+    it('keeps only the tasks a change touched', () => {
+        for (let i = 0; i < 500; i++) w.addTask(`Task ${i}`);
+        w.editTask(idOf('Task 250'), 'Task 250, edited');
+        const entry = plain(app.run('undoHistory.undo.at(-1)'));
+        assert.deepEqual(entry.tasks.map(task => task.index), [250]);
+        assert.ok(entry.size < 1000, `entry holds ${entry.size} characters`);
+    });
+
+    it('drops redo history on a new change', () => {
+        w.addTask('a');
+        w.addTask('b');
+        w.undo();
+        w.addTask('c');
+        w.redo();
+        assert.deepEqual(texts(), ['a', 'c']);
+    });
+
+    it('switches back to the list a change was made in', () => {
+        w.addTask('Report');
+        const work = app.run('activeListId');
+        w.createList('Home');
+        w.addTask('Mow lawn');
+        w.switchList(work);
+        w.deleteTask(idOf('Report'));
+        w.switchList(app.run('lists[1].id'));
+
+        w.undo();
+        assert.equal(app.run('activeListId'), work);
+        assert.deepEqual(texts(), ['Report']);
+    });
+
+    it('takes back adding, renaming and deleting lists', () => {
+        w.addTask('Report');
+        const first = app.run('activeListId');
+        w.createList('Home');
+        const home = app.run('activeListId');
+        w.addTask('Mow lawn');
+        w.renameList(home, 'House');
+        w.deleteList(home);
+        assert.deepEqual(plain(app.run('lists')).map(list => list.name), ['My Tasks']);
+
+        w.undo();
+        assert.deepEqual(plain(app.run('lists')).map(list => list.name), ['My Tasks', 'House']);
+        w.switchList(home);
+        assert.deepEqual(texts(), ['Mow lawn']);
+        w.undo();
+        assert.equal(app.run('lists[1].name'), 'Home');
+        w.undo();
+        w.undo();
+        assert.deepEqual(plain(app.run('lists')).map(list => list.id), [first]);
+        assert.equal(app.run('activeListId'), first);
+        assert.deepEqual(saved().lists.map(list => list.id), [first]);
+    });
+
+    it('takes back an import that replaced every list', () => {
+        w.addTask('Report');
+        const before = plain(app.run('lists'));
+        const exported = JSON.stringify({ lists: [{ id: 'other', name: 'Other', tasks: [{ text: 'Imported' }] }] });
+        w.importLists(w.parseImport(exported, 'backup.json'), 'replace');
+        assert.deepEqual(texts(), ['Imported']);
+
+        w.undo();
+        assert.deepEqual(plain(app.run('lists')), before);
+        assert.deepEqual(saved().lists.map(list => list.name), ['My Tasks']);
+        w.redo();
+        assert.deepEqual(texts(), ['Imported']);
+    });
+
+    it('keeps at most HISTORY_LIMIT entries', () => {
+        const limit = app.run('HISTORY_LIMIT');
+        for (let i = 0; i < limit + 5; i++) w.addTask(`Task ${i}`);
+        assert.equal(app.run('undoHistory.undo.length'), limit);
+        for (let i = 0; i < limit + 5; i++) w.undo();
+        assert.deepEqual(texts().slice(0, 2), ['Task 0', 'Task 1']);
+        assert.equal(texts().length, 5);
+    });
+
+    it('drops the oldest entries past HISTORY_SIZE characters', () => {
+        const notes = 'x'.repeat(app.run('HISTORY_SIZE') / 4);
+        w.addTask('Big', { notes });
+        const id = idOf('Big');
+        for (let i = 0; i < 6; i++) w.editTask(id, `Big ${i}`);
+        const sizes = plain(app.run('undoHistory.undo')).map(entry => entry.size);
+        assert.ok(sizes.reduce((sum, size) => sum + size, 0) <= app.run('HISTORY_SIZE'));
+        assert.equal(sizes.length, 3);
+        w.undo();
+        w.undo();
+        w.undo();
+        w.undo();
+        assert.deepEqual(texts(), ['Big 2']);
+    });
+});